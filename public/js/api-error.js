@@ -0,0 +1,237 @@
+/**
+ * API Error Module - Classifies failed provider calls into typed errors
+ * Each error gets a type (rate limit, quota, auth, context too long, safety block, network, server),
+ * the HTTP status, the wait the provider asked for, and whether it is worth retrying
+ */
+const ApiError = (function() {
+    'use strict';
+
+    // Error types
+    const TYPES = {
+        RATE_LIMIT: 'rate_limit',
+        QUOTA: 'quota',
+        AUTH: 'auth',
+        CONTEXT_LENGTH: 'context_length',
+        SAFETY: 'safety',
+        NETWORK: 'network',
+        SERVER: 'server',
+        INVALID_REQUEST: 'invalid_request'
+    };
+
+    // Types that may succeed if the same request is sent again
+    const RETRYABLE_TYPES = new Set([TYPES.RATE_LIMIT, TYPES.NETWORK, TYPES.SERVER]);
+
+    // Provider error codes and messages that identify a type, whatever the status
+    const CONTEXT_LENGTH_PATTERN = /context_length_exceeded|context length|context window|maximum number of tokens|too many tokens|prompt is too long/;
+    const AUTH_PATTERN = /invalid_api_key|api key not valid|incorrect api key|invalid api key|api key is not configured/;
+    const SAFETY_PATTERN = /content_policy|content_filter|safety/;
+    const QUOTA_PATTERN = /insufficient_quota|billing|credit/;
+
+    // Messages of the TypeError fetch throws when the connection fails or drops
+    const NETWORK_MESSAGE_PATTERN = /failed to fetch|networkerror|network error|load failed|network connection/i;
+
+    // Shown with each type of error
+    const DESCRIPTIONS = {
+        [TYPES.RATE_LIMIT]: {
+            title: 'Rate limited',
+            hint: 'The provider is getting too many requests for this key. Wait a moment, then retry.'
+        },
+        [TYPES.QUOTA]: {
+            title: 'Quota used up',
+            hint: 'The API key has run out of quota or credit. Check the plan and billing with the provider.'
+        },
+        [TYPES.AUTH]: {
+            title: 'Not authorised',
+            hint: 'The API key was rejected or doesn\'t have access to this model. Check the key on the server or in Settings.'
+        },
+        [TYPES.CONTEXT_LENGTH]: {
+            title: 'Conversation too long',
+            hint: 'Lower the context threshold in Settings, start a new chat, or choose a model with a larger context window.'
+        },
+        [TYPES.SAFETY]: {
+            title: 'Blocked by safety filters',
+            hint: 'The provider refused the prompt or the reply. Rephrase the message and try again.'
+        },
+        [TYPES.NETWORK]: {
+            title: 'Connection problem',
+            hint: 'The connection failed or dropped. Check the network, or that the server is running, then retry.'
+        },
+        [TYPES.SERVER]: {
+            title: 'Provider error',
+            hint: 'The provider had a problem answering. Retry in a moment.'
+        },
+        [TYPES.INVALID_REQUEST]: {
+            title: 'Request rejected',
+            hint: 'The provider didn\'t accept the request, e.g. a generation parameter or attachment this model doesn\'t support.'
+        }
+    };
+
+    /**
+     * Creates a typed error
+     * @param {string} type - One of TYPES
+     * @param {string} message - What went wrong
+     * @param {Object} [details] - More about the failure
+     * @param {number} [details.status] - The HTTP status
+     * @param {number} [details.retryAfterMs] - How long the provider asked to wait before retrying
+     * @returns {Error} - The error, with type, status, retryAfterMs and retryable set
+     */
+    function create(type, message, details = {}) {
+        const error = new Error(message);
+        error.name = 'ApiError';
+        error.type = type;
+        error.status = details.status ?? null;
+        error.retryAfterMs = details.retryAfterMs ?? null;
+        error.retryable = RETRYABLE_TYPES.has(type);
+        return error;
+    }
+
+    /**
+     * Reads a Retry-After header
+     * @param {string|null} value - Seconds to wait, or an HTTP date
+     * @returns {number|null} - The wait in milliseconds, or null if there is none
+     */
+    function parseRetryAfter(value) {
+        if (!value) return null;
+
+        const seconds = Number(value);
+        if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+
+        const date = Date.parse(value);
+        return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+    }
+
+    /**
+     * Reads the retry delay Gemini puts in the details of a rate limit error (RetryInfo)
+     * @param {Object} [providerError] - The error object of the response body
+     * @returns {number|null} - The wait in milliseconds, or null if there is none
+     */
+    function parseRetryInfo(providerError) {
+        const details = Array.isArray(providerError?.details) ? providerError.details : [];
+        const retryInfo = details.find(item => item && typeof item.retryDelay === 'string');
+        const match = retryInfo ? retryInfo.retryDelay.match(/^([\d.]+)s$/) : null;
+        return match ? Number(match[1]) * 1000 : null;
+    }
+
+    /**
+     * Works out the type of a failed response
+     * @param {number} status - The HTTP status
+     * @param {string} text - The provider's error code and message, lower case
+     * @param {number|null} retryAfterMs - The wait the provider asked for
+     * @returns {string} - One of TYPES
+     */
+    function classify(status, text, retryAfterMs) {
+        if (CONTEXT_LENGTH_PATTERN.test(text)) return TYPES.CONTEXT_LENGTH;
+        if (status === 401 || status === 403 || AUTH_PATTERN.test(text)) return TYPES.AUTH;
+        if (status === 402 || text.includes('insufficient_quota')) return TYPES.QUOTA;
+        if (status === 429) {
+            // Quota errors and rate limits share the status; only a rate limit says when to come back
+            return retryAfterMs === null && QUOTA_PATTERN.test(text) ? TYPES.QUOTA : TYPES.RATE_LIMIT;
+        }
+        if (SAFETY_PATTERN.test(text)) return TYPES.SAFETY;
+        if (status === 408 || status >= 500) return TYPES.SERVER;
+        return TYPES.INVALID_REQUEST;
+    }
+
+    /**
+     * Reads the message and code text of a provider's error object
+     * @param {Object|string} [providerError] - The error object (OpenAI, Gemini and the server's own errors share its shape)
+     * @param {string} fallbackMessage - The message if the error has none
+     * @returns {{message: string, text: string}} - The message, and the code and message in lower case for classify
+     */
+    function readProviderError(providerError, fallbackMessage) {
+        const message = (typeof providerError === 'string' ? providerError : providerError?.message) || fallbackMessage;
+        const code = providerError && typeof providerError === 'object' ?
+            [providerError.code, providerError.type, providerError.status].filter(Boolean).join(' ') : '';
+        return { message, text: `${code} ${message}`.toLowerCase() };
+    }
+
+    /**
+     * Creates the typed error for a failed HTTP response
+     * Reads the provider's { error } body
+     * @param {Response} response - The failed response
+     * @returns {Promise<Error>} - The typed error
+     */
+    async function fromResponse(response) {
+        let text = '';
+        try {
+            text = await response.text();
+        } catch (err) {
+            // The body is optional
+        }
+
+        let body = null;
+        try {
+            body = JSON.parse(text);
+        } catch (err) {
+            // Not JSON; the text itself is the message
+        }
+
+        // Gemini sometimes wraps the error in an array
+        const providerError = Array.isArray(body) ? body[0]?.error : body?.error;
+        const { message, text: errorText } = readProviderError(providerError,
+            text.trim() || `Request failed (${response.status})`);
+        const retryAfterMs = parseRetryAfter(response.headers.get('retry-after')) ?? parseRetryInfo(providerError);
+
+        return create(classify(response.status, errorText, retryAfterMs), message, {
+            status: response.status,
+            retryAfterMs
+        });
+    }
+
+    /**
+     * Creates the typed error for an error event in the middle of a stream
+     * The response itself succeeded, so the status is the error's numeric code (Gemini) if it has one;
+     * otherwise rate limits are told apart by their code, and anything else counts as a server error
+     * @param {Object|string} providerError - The error object of the event
+     * @returns {Error} - The typed error
+     */
+    function fromStreamError(providerError) {
+        const { message, text } = readProviderError(providerError, 'The stream reported an error.');
+        const code = providerError && typeof providerError === 'object' ? providerError.code : null;
+        const status = Number.isInteger(code) ? code : null;
+        const retryAfterMs = parseRetryInfo(providerError);
+        const assumedStatus = status ?? (/rate_limit|resource_exhausted/.test(text) ? 429 : 500);
+
+        return create(classify(assumedStatus, text, retryAfterMs), message, { status, retryAfterMs });
+    }
+
+    /**
+     * Turns any error from a provider call into a typed error where its cause is known
+     * Network failures of fetch and stream reads become network errors; aborts and other errors are returned as they are
+     * @param {Error} error - The error
+     * @returns {Error} - The typed error, or the error unchanged
+     */
+    function normalize(error) {
+        if (!error || error.type || error.name === 'AbortError') return error;
+        if (error.name === 'TypeError' && NETWORK_MESSAGE_PATTERN.test(error.message)) {
+            return create(TYPES.NETWORK, error.message);
+        }
+        return error;
+    }
+
+    /**
+     * Describes an error for the user
+     * @param {Error} error - The error
+     * @returns {Object} - { type, title, message, hint, retryable }; errors without a type get a generic title
+     */
+    function describe(error) {
+        const description = DESCRIPTIONS[error && error.type] || { title: 'Something went wrong', hint: '' };
+        return {
+            type: (error && error.type) || null,
+            title: description.title,
+            message: (error && error.message) || '',
+            hint: description.hint,
+            retryable: Boolean(error && error.retryable)
+        };
+    }
+
+    // Public API
+    return {
+        TYPES,
+        create,
+        fromResponse,
+        fromStreamError,
+        normalize,
+        describe
+    };
+})();
@@ -0,0 +1,257 @@
+/**
+ * API Service Module - Handles all communication with AI APIs
+ * Routes requests to the provider adapters in ProviderRegistry
+ */
+const ApiService = (function() {
+    'use strict';
+
+    // Attempts per request for errors worth retrying (rate limits, dropped connections, server errors)
+    const MAX_ATTEMPTS = 4;
+
+    // Exponential backoff: 1 s, 2 s, 4 s, ... with jitter, capped
+    const BASE_RETRY_DELAY_MS = 1000;
+    const MAX_RETRY_DELAY_MS = 30000;
+
+    // A provider asking for a longer wait than this gets the error shown instead
+    const MAX_RETRY_AFTER_MS = 60000;
+
+    /**
+     * Logs in to the server
+     * @param {string} username - The username
+     * @param {string} password - The password
+     * @returns {Promise<Object>} - The session ({ username, maxRequestBytes })
+     */
+    async function login(username, password) {
+        return ProxyClient.login(username, password);
+    }
+
+    /**
+     * Logs out of the server
+     * @returns {Promise<void>}
+     */
+    async function logout() {
+        return ProxyClient.logout();
+    }
+
+    /**
+     * Gets the current login session
+     * @returns {Promise<Object|null>} - The session ({ username, maxRequestBytes }) or null if not logged in
+     */
+    async function getSession() {
+        return ProxyClient.getSession();
+    }
+
+    /**
+     * Registers a callback for when the server reports the session has ended
+     * @param {Function} handler - The callback
+     */
+    function onUnauthorized(handler) {
+        ProxyClient.onUnauthorized(handler);
+    }
+
+    /**
+     * Finds the provider adapter for a model
+     * Models in the catalog go to the provider that listed them, others to the first that matches
+     * @param {string} model - The model ID
+     * @returns {Object|null} - The provider adapter or null if none handles the model
+     */
+    function findProvider(model) {
+        const entry = ModelCatalog.hasModel(model) ? ModelCatalog.getModel(model) : null;
+        return (entry && ProviderRegistry.get(entry.provider)) || ProviderRegistry.getForModel(model);
+    }
+
+    /**
+     * Gets the provider adapter responsible for a model
+     * @param {string} model - The model ID
+     * @returns {Object} - The provider adapter
+     */
+    function getProvider(model) {
+        const provider = findProvider(model);
+        if (!provider) {
+            throw new Error(`No provider available for model: ${model}`);
+        }
+        return provider;
+    }
+
+    /**
+     * Works out how long to wait before retrying a failed request
+     * The provider's Retry-After wins over the backoff
+     * @param {Error} error - The typed error
+     * @param {number} attempt - The attempt that failed, from 1
+     * @returns {number|null} - The wait in milliseconds, or null if the request shouldn't be retried
+     */
+    function getRetryDelay(error, attempt) {
+        if (!error.retryable || attempt >= MAX_ATTEMPTS) return null;
+        if (error.retryAfterMs !== null) {
+            return error.retryAfterMs <= MAX_RETRY_AFTER_MS ? error.retryAfterMs : null;
+        }
+        
+        const backoff = Math.min(BASE_RETRY_DELAY_MS * 2 ** (attempt - 1), MAX_RETRY_DELAY_MS);
+        return Math.round(backoff / 2 + Math.random() * backoff / 2);
+    }
+
+    /**
+     * Waits before a retry
+     * @param {number} ms - The wait in milliseconds
+     * @param {AbortSignal} [signal] - Ends the wait with an AbortError
+     * @returns {Promise<void>}
+     */
+    function wait(ms, signal) {
+        return new Promise((resolve, reject) => {
+            const abort = () => {
+                clearTimeout(timer);
+                reject(new DOMException('The request was stopped', 'AbortError'));
+            };
+            const timer = setTimeout(() => {
+                if (signal) signal.removeEventListener('abort', abort);
+                resolve();
+            }, ms);
+            
+            if (signal) {
+                if (signal.aborted) abort();
+                else signal.addEventListener('abort', abort, { once: true });
+            }
+        });
+    }
+
+    /**
+     * Runs a provider request, retrying errors worth retrying with backoff
+     * Errors come out typed (see ApiError)
+     * @param {Function} request - Sends the request
+     * @param {Object} options - The request options
+     * @param {AbortSignal} [options.signal] - Stops retrying
+     * @param {Function} [options.onRetry] - Awaited before each retry with { error, attempt, maxAttempts, delayMs }
+     * @returns {Promise<Object>} - The request's result
+     */
+    async function withRetries(request, options) {
+        for (let attempt = 1; ; attempt++) {
+            try {
+                return await request();
+            } catch (err) {
+                const error = ApiError.normalize(err);
+                const delayMs = error && error.type ? getRetryDelay(error, attempt) : null;
+                if (delayMs === null || (options.signal && options.signal.aborted)) throw error;
+                
+                console.warn(`Retrying in ${delayMs} ms (attempt ${attempt + 1} of ${MAX_ATTEMPTS}):`, error.message);
+                if (options.onRetry) {
+                    await options.onRetry({ error, attempt: attempt + 1, maxAttempts: MAX_ATTEMPTS, delayMs });
+                }
+                await wait(delayMs, options.signal);
+            }
+        }
+    }
+
+    /**
+     * Sends a non-streaming request to the model's provider
+     * @param {string} model - The model to use
+     * @param {Array} messages - The message history ({ role, content })
+     * @param {Object} [options] - Request options
+     * @param {AbortSignal} [options.signal] - Cancels the request
+     * @param {Object} [options.params] - Generation parameters, validated against getParameterRanges
+     * @param {boolean} [options.reasoning] - Ask a natively reasoning model to include its reasoning
+     * @param {Array} [options.tools] - Tool declarations ({ name, description, parameters }) the model may call
+     * @param {Function} [options.onRetry] - Called before an automatic retry ({ error, attempt, maxAttempts, delayMs })
+     * @returns {Promise<Object>} - The reply as { text, reasoning, toolCalls, usage, raw }
+     */
+    async function send(model, messages, options = {}) {
+        const provider = getProvider(model);
+        return withRetries(() => provider.send(model, messages, options), options);
+    }
+
+    /**
+     * Sends a streaming request to the model's provider
+     * @param {string} model - The model to use
+     * @param {Array} messages - The message history ({ role, content })
+     * @param {Function} onChunk - Callback for each chunk of text (chunk, fullText, fullReasoning)
+     * @param {Object} [options] - Request options
+     * @param {AbortSignal} [options.signal] - Cancels the request
+     * @param {Object} [options.params] - Generation parameters, validated against getParameterRanges
+     * @param {boolean} [options.reasoning] - Ask a natively reasoning model to include its reasoning
+     * @param {Array} [options.tools] - Tool declarations ({ name, description, parameters }) the model may call
+     * @param {Function} [options.onRetry] - Called before an automatic retry ({ error, attempt, maxAttempts, delayMs });
+     *     a stream that drops is sent again from the start, so onChunk's fullText starts over
+     * @returns {Promise<Object>} - The reply as { text, reasoning, toolCalls, usage }
+     */
+    async function stream(model, messages, onChunk, options = {}) {
+        const provider = getProvider(model);
+        return withRetries(() => provider.stream(model, messages, onChunk, options), options);
+    }
+
+    /**
+     * Gets the generation parameter ranges a model accepts
+     * @param {string} model - The model ID
+     * @returns {Object} - Ranges by parameter key (empty if the provider accepts none)
+     */
+    function getParameterRanges(model) {
+        const provider = findProvider(model);
+        return provider && typeof provider.getParameterRanges === 'function' ?
+            provider.getParameterRanges(model) : {};
+    }
+
+    /**
+     * Checks whether a model returns its reasoning separately from the answer
+     * @param {string} model - The model ID
+     * @returns {boolean} - False for models that need the tagged reasoning instructions
+     */
+    function supportsNativeReasoning(model) {
+        const provider = findProvider(model);
+        return Boolean(provider && typeof provider.supportsNativeReasoning === 'function' &&
+            provider.supportsNativeReasoning(model));
+    }
+
+    /**
+     * Checks whether a model can call tools
+     * @param {string} model - The model ID
+     * @returns {boolean} - Whether tool declarations can be sent with requests
+     */
+    function supportsTools(model) {
+        const provider = findProvider(model);
+        return Boolean(provider && typeof provider.supportsTools === 'function' &&
+            provider.supportsTools(model));
+    }
+
+    /**
+     * Counts the tokens in a list of messages without generating a reply
+     * @param {string} model - The model used
+     * @param {Array} messages - The messages to count
+     * @returns {Promise<number>} - The token count (0 if counting failed)
+     */
+    async function countTokens(model, messages) {
+        try {
+            return await getProvider(model).countTokens(model, messages);
+        } catch (err) {
+            console.error('Error fetching token usage:', err);
+            return 0;
+        }
+    }
+
+    /**
+     * Lists the models offered by one or all providers
+     * @param {string} [providerId] - Restrict the listing to this provider
+     * @returns {Promise<Array>} - Models as { id, name, provider } plus any metadata the provider lists
+     */
+    async function listModels(providerId) {
+        const providers = providerId ? [ProviderRegistry.get(providerId)] : ProviderRegistry.list();
+        const results = await Promise.all(providers.filter(Boolean).map(async provider => {
+            const models = await provider.listModels();
+            return models.map(model => ({ ...model, provider: provider.id }));
+        }));
+        return results.flat();
+    }
+
+    // Public API
+    return {
+        login,
+        logout,
+        getSession,
+        onUnauthorized,
+        getProvider,
+        send,
+        stream,
+        getParameterRanges,
+        supportsNativeReasoning,
+        supportsTools,
+        countTokens,
+        listModels
+    };
+})(); 
\ No newline at end of file
@@ -0,0 +1,111 @@
+/**
+ * Main Application Module - Entry point for the application
+ * Coordinates initialization of all other modules
+ */
+const App = (function() {
+    'use strict';
+
+    /**
+     * Initializes the application
+     */
+    async function init() {
+        // Initialize UI controller
+        UIController.init();
+        UIController.setupAuthHandlers(doLogin, logOut);
+        
+        // Load saved settings
+        const savedSettings = Utils.getSavedSettings() || {};
+        
+        // Initialize settings controller with saved settings
+        SettingsController.init();
+        
+        // Initialize chat controller with settings
+        ChatController.init(savedSettings);
+        
+        // Initialize the conversation sidebar
+        SidebarController.init();
+        
+        // Ask for credentials again when the session ends
+        ApiService.onUnauthorized(() => UIController.showLogin('Your session has ended. Please sign in again.'));
+        
+        // Show the models whenever the catalog is (re)loaded
+        ModelCatalog.onChange(() => UIController.setModelOptions(ModelCatalog.getGroups(), ModelCatalog.getErrors()));
+        
+        // Check for an existing session
+        await checkSessionOrShowLogin();
+    }
+
+    /**
+     * Resumes an existing session or shows the login screen
+     */
+    async function checkSessionOrShowLogin() {
+        try {
+            const session = await ApiService.getSession();
+            if (session) {
+                await startSession(session);
+                return;
+            }
+        } catch (err) {
+            console.error('Error checking session:', err);
+        }
+        
+        UIController.showLogin();
+    }
+    
+    /**
+     * Attempts to login with the provided credentials
+     * @param {string} username - The username
+     * @param {string} password - The password
+     */
+    async function doLogin(username, password) {
+        try {
+            const session = await ApiService.login(username, password);
+            await startSession(session);
+        } catch (err) {
+            UIController.showLogin(err.message);
+        }
+    }
+    
+    /**
+     * Shows the chat for a logged in user and reopens their last conversation
+     * @param {Object} session - The session ({ username, maxRequestBytes })
+     * @returns {Promise<void>}
+     */
+    async function startSession(session) {
+        ConversationStore.setUser(session.username);
+        UIController.showChat(session.username);
+        Attachments.setMaxRequestBytes(session.maxRequestBytes);
+        
+        // Personas are needed to show the conversation's system prompt
+        await PersonaController.load();
+        
+        // The catalog lists the models of the built-in and user-defined providers,
+        // which are needed to select the conversation's model
+        await CustomProviderController.load();
+        await ModelCatalog.load();
+        await ChatController.restoreLastConversation();
+    }
+    
+    /**
+     * Logs the user out by ending the server session
+     */
+    async function logOut() {
+        try {
+            await ApiService.logout();
+        } catch (err) {
+            console.error('Error logging out:', err);
+        }
+        location.reload();
+    }
+
+    // Initialize the app when the DOM is ready
+    window.addEventListener('DOMContentLoaded', init);
+    
+    // Public API
+    return {
+        init,
+        logOut
+    };
+})();
+
+// The app will auto-initialize when the DOM is loaded
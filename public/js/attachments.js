@@ -0,0 +1,279 @@
+/**
+ * Attachments Module - Reads and checks files attached to messages
+ * Images and PDFs are kept as base64 data for the providers; text files are
+ * read as text and inlined into the message, cut off beyond a size limit
+ */
+const Attachments = (function() {
+    'use strict';
+
+    // Limits per message and per file
+    const MAX_ATTACHMENTS = 5;
+    const MAX_IMAGE_BYTES = 5 * 1024 * 1024;
+    const MAX_PDF_BYTES = 10 * 1024 * 1024;
+    const MAX_TEXT_BYTES = 1024 * 1024;
+
+    // Characters of a text file inlined into the message
+    const MAX_INLINE_CHARS = 50000;
+
+    // Largest request body the server accepts, until the session reports its own (the server's default)
+    const DEFAULT_MAX_REQUEST_BYTES = 25 * 1024 * 1024;
+
+    // Share of a request one message's attachments may fill, leaving room for the rest of the conversation
+    const MESSAGE_SHARE = 0.6;
+
+    // Room left for the request's own fields, the system prompt and tool definitions
+    const REQUEST_OVERHEAD_BYTES = 64 * 1024;
+
+    // Rough token cost of an image, and of a PDF by its size
+    const IMAGE_TOKENS = 800;
+    const PDF_BYTES_PER_TOKEN = 20;
+
+    const IMAGE_TYPES = ['image/png', 'image/jpeg', 'image/webp', 'image/gif'];
+
+    // Private state
+    let maxRequestBytes = DEFAULT_MAX_REQUEST_BYTES;
+
+    // Extensions read as text when the browser doesn't report a text type
+    const TEXT_EXTENSIONS = [
+        'txt', 'md', 'markdown', 'csv', 'tsv', 'json', 'xml', 'yaml', 'yml', 'toml', 'ini', 'log',
+        'html', 'css', 'js', 'mjs', 'ts', 'jsx', 'tsx', 'py', 'rb', 'go', 'rs', 'java', 'c', 'h',
+        'cpp', 'hpp', 'cs', 'php', 'sh', 'sql'
+    ];
+
+    /**
+     * Gets how many files one message can have
+     * @returns {number} - The maximum number of attachments
+     */
+    function getMaxAttachments() {
+        return MAX_ATTACHMENTS;
+    }
+
+    /**
+     * Works out how a file can be attached
+     * @param {File} file - The file
+     * @returns {string|null} - 'image', 'pdf' or 'text', or null if the type isn't supported
+     */
+    function getKind(file) {
+        const extension = (file.name.split('.').pop() || '').toLowerCase();
+
+        if (IMAGE_TYPES.includes(file.type)) return 'image';
+        if (file.type === 'application/pdf' || extension === 'pdf') return 'pdf';
+        if (file.type.startsWith('text/') || file.type === 'application/json' ||
+            TEXT_EXTENSIONS.includes(extension)) return 'text';
+        return null;
+    }
+
+    /**
+     * Formats a file size for display
+     * @param {number} bytes - The size in bytes
+     * @returns {string} - E.g. '820 B', '14 KB' or '2.3 MB'
+     */
+    function formatSize(bytes) {
+        if (bytes < 1024) return `${bytes} B`;
+        if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+        return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    }
+
+    /**
+     * Reads a file as base64
+     * @param {File} file - The file
+     * @returns {Promise<string>} - The base64 data, without the data URL prefix
+     */
+    function readAsBase64(file) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result.slice(reader.result.indexOf(',') + 1));
+            reader.onerror = () => reject(new Error(`Could not read ${file.name}`));
+            reader.readAsDataURL(file);
+        });
+    }
+
+    /**
+     * Reads a file into an attachment
+     * @param {File} file - The dropped, pasted or chosen file
+     * @returns {Promise<Object>} - The attachment ({ id, kind, name, mimeType, size, and data or text })
+     */
+    async function fromFile(file) {
+        const kind = getKind(file);
+        if (!kind) {
+            throw new Error(`${file.name}: only images, PDFs and text files can be attached`);
+        }
+
+        const limit = { image: MAX_IMAGE_BYTES, pdf: MAX_PDF_BYTES, text: MAX_TEXT_BYTES }[kind];
+        if (file.size > limit) {
+            throw new Error(`${file.name} is larger than ${formatSize(limit)}`);
+        }
+        if (kind !== 'text' && Math.ceil(file.size / 3) * 4 > getMaxMessageBytes()) {
+            throw new Error(`${file.name} is too large to send: the server accepts requests of up to ${formatSize(maxRequestBytes)}`);
+        }
+
+        const attachment = {
+            id: Utils.generateId(),
+            kind,
+            name: file.name || `pasted-${kind}`,
+            mimeType: kind === 'pdf' ? 'application/pdf' : file.type || 'text/plain',
+            size: file.size
+        };
+
+        if (kind === 'text') {
+            attachment.text = await file.text();
+        } else {
+            attachment.data = await readAsBase64(file);
+        }
+        return attachment;
+    }
+
+    /**
+     * Gets the data URL of an image or PDF attachment
+     * @param {Object} attachment - The attachment
+     * @returns {string} - The data URL
+     */
+    function toDataUrl(attachment) {
+        return `data:${attachment.mimeType};base64,${attachment.data}`;
+    }
+
+    /**
+     * Adds the text file attachments to a message's text
+     * Each file is cut off after MAX_INLINE_CHARS characters
+     * @param {string} content - The message text
+     * @param {Array} [attachments] - The message's attachments
+     * @returns {string} - The text to send
+     */
+    function withInlinedText(content, attachments) {
+        const files = (attachments || []).filter(attachment => attachment.kind === 'text');
+        if (files.length === 0) return content;
+
+        const blocks = files.map(file => {
+            const truncated = file.text.length > MAX_INLINE_CHARS;
+            const text = truncated ? file.text.slice(0, MAX_INLINE_CHARS) : file.text;
+
+            // The fence has to be longer than any backtick run in the file
+            const longestRun = Math.max(0, ...(text.match(/`+/g) || []).map(run => run.length));
+            const fence = '`'.repeat(Math.max(3, longestRun + 1));
+            return `Attached file ${file.name}:\n${fence}\n${text}\n${fence}` +
+                (truncated ? `\n(The file was cut off after ${MAX_INLINE_CHARS.toLocaleString()} characters.)` : '');
+        });
+        return [content, ...blocks].filter(Boolean).join('\n\n');
+    }
+
+    /**
+     * Gets the attachments that are sent as binary data rather than text
+     * @param {Array} [attachments] - The message's attachments
+     * @returns {Array} - The image and PDF attachments
+     */
+    function getBinary(attachments) {
+        return (attachments || []).filter(attachment => attachment.kind !== 'text');
+    }
+
+    /**
+     * Estimates the tokens a message's attachments add to a request
+     * @param {Array} [attachments] - The message's attachments
+     * @returns {number} - The estimated token count
+     */
+    function estimateTokens(attachments) {
+        return (attachments || []).reduce((total, attachment) => {
+            if (attachment.kind === 'image') return total + IMAGE_TOKENS;
+            if (attachment.kind === 'pdf') return total + Math.ceil(attachment.size / PDF_BYTES_PER_TOKEN);
+            return total + Utils.estimateTokens(attachment.text.slice(0, MAX_INLINE_CHARS));
+        }, 0);
+    }
+
+    /**
+     * Sets the largest request body the server accepts
+     * @param {number} bytes - The limit the session reported; ignored if it isn't a positive number
+     */
+    function setMaxRequestBytes(bytes) {
+        if (Number.isFinite(bytes) && bytes > 0) {
+            maxRequestBytes = bytes;
+        }
+    }
+
+    /**
+     * Gets how much attachment data one message may carry
+     * @returns {number} - The limit in bytes, as sent (base64 for images and PDFs)
+     */
+    function getMaxMessageBytes() {
+        return Math.floor(maxRequestBytes * MESSAGE_SHARE);
+    }
+
+    /**
+     * Works out how much a message's attachments add to a request
+     * Images and PDFs are sent as base64, a third larger than the file; text files are inlined up to MAX_INLINE_CHARS
+     * @param {Array} [attachments] - The message's attachments
+     * @returns {number} - The size in bytes
+     */
+    function getEncodedSize(attachments) {
+        return (attachments || []).reduce((total, attachment) =>
+            total + (attachment.kind === 'text' ? Math.min(attachment.text.length, MAX_INLINE_CHARS) : attachment.data.length), 0);
+    }
+
+    /**
+     * Checks that one message's attachments leave room for the rest of the request
+     * @param {Array} attachments - The message's attachments
+     * @returns {string} - Why they don't fit, or '' if they do
+     */
+    function checkMessageSize(attachments) {
+        const size = getEncodedSize(attachments);
+        if (size <= getMaxMessageBytes()) return '';
+        return `The attachments come to ${formatSize(size)} once encoded for sending; one message can carry ` +
+            `up to ${formatSize(getMaxMessageBytes())}. Remove some or attach smaller files`;
+    }
+
+    /**
+     * Estimates the size a message adds to a request body
+     * @param {Object} message - The message ({ role, content, attachments, ... })
+     * @returns {number} - The size in bytes
+     */
+    function estimateMessageBytes(message) {
+        return JSON.stringify({ ...message, attachments: undefined }).length + getEncodedSize(message.attachments);
+    }
+
+    /**
+     * Fits a request's messages within the size the server accepts
+     * Starting with the oldest, earlier messages lose their image and PDF data (a note says what was attached)
+     * until the request fits; the newest user message keeps its attachments
+     * @param {Array} messages - The messages to send
+     * @returns {Array} - The messages, with data left out where needed
+     */
+    function fitRequest(messages) {
+        let total = messages.reduce((sum, message) => sum + estimateMessageBytes(message), REQUEST_OVERHEAD_BYTES);
+        const lastUserIndex = messages.map(message => message.role).lastIndexOf('user');
+        const fitted = messages.slice();
+
+        for (let index = 0; index < fitted.length && total > maxRequestBytes; index++) {
+            const message = fitted[index];
+            const binary = getBinary(message.attachments);
+            if (index === lastUserIndex || binary.length === 0) continue;
+
+            const names = binary.map(attachment => attachment.name).join(', ');
+            fitted[index] = {
+                ...message,
+                content: `${message.content}\n\n(Attached here: ${names}. Left out of this request to keep it within the size limit.)`,
+                attachments: message.attachments.filter(attachment => attachment.kind === 'text')
+            };
+            total += estimateMessageBytes(fitted[index]) - estimateMessageBytes(message);
+        }
+
+        if (total > maxRequestBytes) {
+            throw ApiError.create(ApiError.TYPES.INVALID_REQUEST, `The request would come to about ${formatSize(total)}, ` +
+                `more than the ${formatSize(maxRequestBytes)} the server accepts. Remove attachments from the last message ` +
+                'or start a new chat.');
+        }
+        return fitted;
+    }
+
+    // Public API
+    return {
+        getMaxAttachments,
+        getKind,
+        formatSize,
+        fromFile,
+        toDataUrl,
+        withInlinedText,
+        getBinary,
+        estimateTokens,
+        setMaxRequestBytes,
+        checkMessageSize,
+        fitRequest
+    };
+})();
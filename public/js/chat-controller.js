@@ -0,0 +1,1506 @@
+/**
+ * Chat Controller Module - Manages chat history and message handling
+ * Coordinates between UI and API service for sending/receiving messages
+ */
+const ChatController = (function() {
+    'use strict';
+
+    // Cookie remembering the conversation to reopen on load
+    const LAST_CONVERSATION_COOKIE = 'chat_last_conversation';
+
+    // Maximum length of a title derived from the first message
+    const MAX_TITLE_LENGTH = 50;
+
+    // Rounds of tool calls one reply may make before its answer is taken as final
+    const MAX_TOOL_STEPS = 5;
+
+    // How many models compare mode sends a message to
+    const MIN_COMPARE_MODELS = 2;
+    const MAX_COMPARE_MODELS = 4;
+
+    // Failures that move the turn on to the next model of the fallback chain; the others would fail there too
+    // or need the user (a bad key, a conversation too long), and retryable ones have already been retried
+    const FALLBACK_ERROR_TYPES = new Set([
+        ApiError.TYPES.RATE_LIMIT,
+        ApiError.TYPES.QUOTA,
+        ApiError.TYPES.SERVER,
+        ApiError.TYPES.SAFETY
+    ]);
+
+    // Private state
+    let chatTree = MessageTree.create();
+    let usage = Utils.createUsage();
+    let cost = 0;
+    let currentConversation = null;
+    let isSending = false;
+    let activeRequest = null;
+    let pendingAttachments = [];
+    let compareMode = false;
+    let compareModels = [];
+    let pendingComparison = null;
+    let settings = { streaming: false, enableCoT: false, showThinking: true, enableTools: true };
+    const unpricedModelsAccepted = new Set();
+
+    /**
+     * Initializes the chat controller
+     * @param {Object} initialSettings - Initial settings for the chat
+     */
+    function init(initialSettings) {
+        if (initialSettings) {
+            settings = { ...settings, ...initialSettings };
+        }
+        
+        // Set up event handlers through UI controller
+        UIController.setupEventHandlers(sendMessage, stopGeneration, handleMessageAction);
+        UIController.setupSystemPromptHandlers(selectPersona, setSystemPrompt);
+        UIController.setupAttachmentHandlers(addAttachments, removeAttachment);
+        UIController.setupExportHandlers(exportConversation);
+        UIController.setupModelPicker(checkPendingAttachments, () => ModelCatalog.load({ refresh: true }));
+        UIController.setupCompareHandlers(toggleCompareMode, addCompareModel, removeCompareModel);
+    }
+
+    /**
+     * Turns compare mode on or off
+     * Turned on for the first time, it starts with the selected model
+     */
+    function toggleCompareMode() {
+        compareMode = !compareMode;
+        if (compareMode && compareModels.length === 0) {
+            compareModels = [UIController.getSelectedModel()].filter(model => ModelCatalog.hasModel(model));
+        }
+        showCompareModels();
+    }
+
+    /**
+     * Adds a model to the ones compare mode sends to
+     * @param {string} model - The model ID
+     */
+    function addCompareModel(model) {
+        if (!ModelCatalog.hasModel(model) || compareModels.includes(model) ||
+            compareModels.length >= MAX_COMPARE_MODELS) return;
+        
+        compareModels.push(model);
+        showCompareModels();
+        checkPendingAttachments();
+    }
+
+    /**
+     * Removes a model from the ones compare mode sends to
+     * @param {string} model - The model ID
+     */
+    function removeCompareModel(model) {
+        compareModels = compareModels.filter(item => item !== model);
+        showCompareModels();
+        checkPendingAttachments();
+    }
+
+    /**
+     * Shows the compared models and, while there are too few, what to do about it
+     */
+    function showCompareModels() {
+        UIController.showCompareModels(compareModels, compareMode, MAX_COMPARE_MODELS);
+        
+        const missing = MIN_COMPARE_MODELS - compareModels.length;
+        if (compareMode && missing > 0) {
+            UIController.showCompareStatus(`Add ${missing} more model${missing === 1 ? '' : 's'} to compare`);
+        }
+    }
+
+    /**
+     * Gets the models the next message goes to
+     * @returns {Array<string>} - The compared models in compare mode, otherwise the selected model
+     */
+    function getTargetModels() {
+        return compareMode ? compareModels.slice() : [UIController.getSelectedModel()];
+    }
+
+    /**
+     * Checks whether a model reads images and PDFs
+     * @param {string} model - The model ID
+     * @returns {boolean} - Whether binary attachments can be sent to it
+     */
+    function supportsVision(model) {
+        const entry = ModelCatalog.getModel(model);
+        return Boolean(entry && entry.vision);
+    }
+
+    /**
+     * Shows an error if the next message has attachments a model it goes to can't read
+     * @returns {boolean} - Whether the pending attachments can be sent
+     */
+    function checkPendingAttachments() {
+        const model = getTargetModels().find(item => !supportsVision(item));
+        const unreadable = model ? Attachments.getBinary(pendingAttachments) : [];
+        if (unreadable.length > 0) {
+            UIController.showAttachmentError(`${ModelCatalog.getModelName(model)} can't read images or PDFs. ` +
+                `Remove ${unreadable.map(attachment => attachment.name).join(', ')} or choose another model`);
+            return false;
+        }
+        
+        const sizeError = Attachments.checkMessageSize(pendingAttachments);
+        if (sizeError) {
+            UIController.showAttachmentError(sizeError);
+            return false;
+        }
+        
+        UIController.showAttachmentError('');
+        return true;
+    }
+
+    /**
+     * Reads files into attachments for the next message
+     * Files that can't be attached are skipped with an error shown
+     * @param {Array} files - The dropped, pasted or chosen files
+     * @returns {Promise<void>}
+     */
+    async function addAttachments(files) {
+        const model = getTargetModels().find(item => !supportsVision(item));
+        const errors = [];
+        
+        for (const file of files) {
+            if (pendingAttachments.length >= Attachments.getMaxAttachments()) {
+                errors.push(`A message can have at most ${Attachments.getMaxAttachments()} attachments`);
+                break;
+            }
+            try {
+                const attachment = await Attachments.fromFile(file);
+                if (attachment.kind !== 'text' && model) {
+                    errors.push(`${ModelCatalog.getModelName(model)} can't read ${attachment.name}; only text files can be attached`);
+                    continue;
+                }
+                if (Attachments.checkMessageSize([...pendingAttachments, attachment])) {
+                    errors.push(`${attachment.name} would make this message too large to send`);
+                    continue;
+                }
+                pendingAttachments.push(attachment);
+            } catch (err) {
+                errors.push(err.message);
+            }
+        }
+        
+        UIController.showAttachmentError(errors.join('. '));
+        UIController.showPendingAttachments(pendingAttachments);
+    }
+
+    /**
+     * Removes an attachment from the next message
+     * @param {string} id - The attachment ID
+     */
+    function removeAttachment(id) {
+        pendingAttachments = pendingAttachments.filter(attachment => attachment.id !== id);
+        UIController.showAttachmentError('');
+        UIController.showPendingAttachments(pendingAttachments);
+    }
+
+    /**
+     * Updates the settings
+     * @param {Object} newSettings - The new settings
+     */
+    function updateSettings(newSettings) {
+        settings = { ...settings, ...newSettings };
+        console.log('Chat settings updated:', settings);
+    }
+
+    /**
+     * Gets the current settings
+     * @returns {Object} - The current settings
+     */
+    function getSettings() {
+        return { ...settings };
+    }
+
+    /**
+     * Checks whether replies from a model use the tagged reasoning protocol
+     * Models that reason natively return their reasoning separately instead
+     * @param {string} model - The model ID
+     * @returns {boolean} - Whether the reasoning instructions are sent and the reply is parsed
+     */
+    function usesTaggedReasoning(model) {
+        return settings.enableCoT && !ApiService.supportsNativeReasoning(model);
+    }
+
+    /**
+     * Separates a reply's reasoning from its answer
+     * @param {string} model - The model that wrote the reply
+     * @param {Object} reply - The reply as { text, reasoning } from the provider
+     * @param {boolean} [complete] - False while the reply is still streaming
+     * @returns {{text: string, reasoning: string, thinking: boolean}} - The answer and reasoning;
+     *     thinking is true while only reasoning has arrived
+     */
+    function splitReasoning(model, reply, complete = true) {
+        if (usesTaggedReasoning(model)) {
+            return ReasoningParser.split(reply.text, complete);
+        }
+        
+        const reasoning = reply.reasoning || '';
+        return { text: reply.text, reasoning, thinking: !complete && !reply.text && Boolean(reasoning) };
+    }
+
+    /**
+     * Shows a reply, with its reasoning if the settings ask for it
+     * @param {Element} messageElement - The message element
+     * @param {Object} reply - The reply as { text, reasoning, thinking }
+     * @param {boolean} [streaming] - Whether the reply is still streaming
+     */
+    function showReply(messageElement, reply, streaming = false) {
+        UIController.updateMessageContent(messageElement, reply.text, {
+            streaming,
+            thinking: Boolean(reply.thinking),
+            reasoning: settings.showThinking ? reply.reasoning : ''
+        });
+    }
+
+    /**
+     * Lists the models a reply may be charged to
+     * @returns {Array<string>} - The selected model and its fallback models
+     */
+    function getReplyModels() {
+        const model = UIController.getSelectedModel();
+        return [model, ...getFallbackChain(model)];
+    }
+
+    /**
+     * Checks the daily and monthly budget limits before a request is sent
+     * Depending on the settings, a reached limit asks for confirmation or refuses;
+     * so does a model without a known price, whose spending the limits can't count
+     * @param {Array<string>} models - The models the request may be charged to
+     * @returns {Promise<boolean>} - Whether the request may be sent
+     */
+    async function confirmWithinBudget(models) {
+        const { dailyBudget, monthlyBudget, budgetAction } = settings;
+        if (!dailyBudget && !monthlyBudget) return true;
+        
+        // Asked once per model and session
+        const unpriced = models.filter(model => !Pricing.getPrice(model) && !unpricedModelsAccepted.has(model));
+        if (unpriced.length > 0) {
+            const names = unpriced.map(model => ModelCatalog.getModelName(model)).join(', ');
+            const problem = `No price is known for ${names}, so what it costs can't be counted toward your spending limits.`;
+            if (budgetAction === 'block') {
+                alert(`${problem} Choose another model, or turn off the limits in Settings to use it.`);
+                return false;
+            }
+            if (!confirm(`${problem} Send anyway?`)) return false;
+            unpriced.forEach(model => unpricedModelsAccepted.add(model));
+        }
+        
+        let spending;
+        try {
+            spending = await ConversationStore.getSpending();
+        } catch (err) {
+            console.error('Error reading spending:', err);
+            return true;
+        }
+        
+        let reached = null;
+        if (dailyBudget && spending.today >= dailyBudget) {
+            reached = `daily limit of ${Pricing.formatCost(dailyBudget)} (${Pricing.formatCost(spending.today)} spent today)`;
+        } else if (monthlyBudget && spending.month >= monthlyBudget) {
+            reached = `monthly limit of ${Pricing.formatCost(monthlyBudget)} (${Pricing.formatCost(spending.month)} spent this month)`;
+        }
+        if (!reached) return true;
+        
+        if (budgetAction === 'block') {
+            alert(`You have reached your ${reached}. Raise the limit in Settings to keep sending.`);
+            return false;
+        }
+        return confirm(`You have reached your ${reached}. Send anyway?`);
+    }
+
+    /**
+     * Runs the budget check with sending locked, so a second Enter or click while it waits can't send again
+     * The lock is released before the caller continues; generating the reply takes it again
+     * @param {Array<string>} models - The models the request may be charged to
+     * @returns {Promise<boolean>} - Whether the request may be sent
+     */
+    async function confirmBeforeSending(models) {
+        isSending = true;
+        try {
+            return await confirmWithinBudget(models);
+        } finally {
+            isSending = false;
+        }
+    }
+
+    /**
+     * Sends a message to the AI and handles the response
+     */
+    async function sendMessage() {
+        const message = UIController.getUserInput();
+        if ((!message && pendingAttachments.length === 0) || isSending) return;
+        
+        if (compareMode && compareModels.length < MIN_COMPARE_MODELS) {
+            showCompareModels();
+            return;
+        }
+        // The message stays in the input if the model can't read its attachments or the budget stops it
+        if (!checkPendingAttachments()) return;
+        if (!(await confirmBeforeSending(compareMode ? compareModels : getReplyModels()))) return;
+        
+        const attachments = pendingAttachments;
+        pendingAttachments = [];
+        UIController.clearUserInput();
+        UIController.showAttachmentError('');
+        UIController.showPendingAttachments(pendingAttachments);
+        
+        if (!currentConversation) {
+            currentConversation = createConversation(UIController.getSelectedModel(), getDefaultPersona());
+        }
+        if (MessageTree.isEmpty(chatTree)) {
+            currentConversation.title = deriveTitle(message || attachments[0].name);
+        }
+        
+        // A comparison waiting for a choice continues with the reply that is active
+        if (pendingComparison) {
+            renderHistory();
+        }
+        
+        // Add the user message after the last message of the active branch
+        const activePath = MessageTree.getActivePath(chatTree);
+        const parentId = activePath.length > 0 ? activePath[activePath.length - 1].id : null;
+        const entry = { role: 'user', content: message, timestamp: Date.now() };
+        if (attachments.length > 0) {
+            entry.attachments = attachments;
+        }
+        const userNode = MessageTree.addMessage(chatTree, parentId, entry);
+        
+        // Add user message to UI
+        UIController.appendMessage(renderMessage(userNode));
+        refreshMessageControls();
+        
+        if (compareMode) {
+            await generateComparison(userNode.id);
+        } else {
+            await generateReply(userNode.id);
+        }
+    }
+
+    /**
+     * Generates an AI reply to a user message
+     * The reply becomes the newest branch below that message
+     * @param {string} parentId - The user message to reply to
+     */
+    async function generateReply(parentId) {
+        // Get the selected model
+        const selectedModel = UIController.getSelectedModel();
+        currentConversation.model = selectedModel;
+        
+        isSending = true;
+        activeRequest = new AbortController();
+        UIController.setGenerating(true);
+        
+        try {
+            await saveCurrentConversation();
+            await replyWithFallbacks(selectedModel, parentId, activeRequest.signal);
+        } catch (error) {
+            console.error('Error sending message:', error);
+            UIController.showErrorCard(ApiError.describe(error), () => handleMessageAction('regenerate', parentId));
+        } finally {
+            isSending = false;
+            activeRequest = null;
+            UIController.setGenerating(false);
+            refreshMessageControls();
+            
+            // Update token usage display
+            Utils.updateTokenDisplay(usage, cost);
+            await saveCurrentConversation();
+        }
+    }
+
+    /**
+     * Gets the models to try when a model fails
+     * @param {string} model - The model ID
+     * @returns {Array<string>} - The listed fallback models, in order
+     */
+    function getFallbackChain(model) {
+        const chain = settings.fallbackChains ? settings.fallbackChains[model] || [] : [];
+        return chain.filter((candidate, index) =>
+            candidate !== model && chain.indexOf(candidate) === index && ModelCatalog.hasModel(candidate));
+    }
+
+    /**
+     * Replies with a model, moving on to its fallback models while the request fails in a way another model may not
+     * Each model gets the same history; the adapters convert it to their provider's format
+     * @param {string} model - The selected model
+     * @param {string} parentId - The user message to reply to
+     * @param {AbortSignal} signal - Aborts the request when the user presses Stop
+     */
+    async function replyWithFallbacks(model, parentId, signal) {
+        const candidates = [model, ...getFallbackChain(model)];
+        let fallback = null;
+        
+        for (let index = 0; ; index++) {
+            try {
+                await handleMessage(candidates[index], parentId, signal, fallback);
+                return;
+            } catch (err) {
+                if (signal.aborted || index === candidates.length - 1 || !FALLBACK_ERROR_TYPES.has(err.type)) {
+                    throw err;
+                }
+                console.warn(`${candidates[index]} failed, trying ${candidates[index + 1]}:`, err);
+                fallback = fallback || { from: model, reason: ApiError.describe(err).title };
+            }
+        }
+    }
+
+    /**
+     * Handles the per-message actions from the chat window
+     * @param {string} action - 'regenerate', 'edit', 'submit-edit', 'prev-branch' or 'next-branch'
+     * @param {string} messageId - The message the action applies to
+     * @param {string} [value] - The edited text for 'submit-edit'
+     */
+    async function handleMessageAction(action, messageId, value) {
+        const node = MessageTree.getNode(chatTree, messageId);
+        if (!node || isSending) return;
+        
+        switch (action) {
+            case 'regenerate': {
+                if (!(await confirmBeforeSending(getReplyModels()))) return;
+                
+                // Regenerate a reply, or reply to a user message whose reply failed
+                const parentId = node.role === 'assistant' ? node.parentId : node.id;
+                MessageTree.endBranchAt(chatTree, parentId);
+                renderHistory();
+                await generateReply(parentId);
+                break;
+            }
+            case 'edit':
+                UIController.showMessageEditor(messageId, node.content);
+                break;
+            case 'submit-edit': {
+                const content = (value || '').trim();
+                if ((!content && !node.attachments) || content === node.content) {
+                    renderHistory();
+                    return;
+                }
+                if (!(await confirmBeforeSending(getReplyModels()))) return;
+                
+                // The edited message becomes a sibling branch of the original, with the same attachments
+                MessageTree.endBranchAt(chatTree, node.parentId);
+                const edited = { role: 'user', content, timestamp: Date.now() };
+                if (node.attachments) {
+                    edited.attachments = node.attachments;
+                }
+                const editedNode = MessageTree.addMessage(chatTree, node.parentId, edited);
+                renderHistory();
+                await generateReply(editedNode.id);
+                break;
+            }
+            case 'prev-branch':
+            case 'next-branch':
+                if (MessageTree.selectSibling(chatTree, messageId, action === 'prev-branch' ? -1 : 1)) {
+                    renderHistory();
+                    await saveCurrentConversation();
+                }
+                break;
+        }
+    }
+
+    /**
+     * Stops the reply that is currently being generated
+     * A partially streamed reply is kept and marked as interrupted
+     */
+    function stopGeneration() {
+        if (activeRequest) {
+            activeRequest.abort();
+        }
+    }
+
+    /**
+     * Gets the messages on the active branch as plain chat history
+     * @returns {Array} - Messages without the tree links
+     */
+    function getActiveMessages() {
+        return MessageTree.getActivePath(chatTree).map(toHistoryMessage);
+    }
+
+    /**
+     * Strips the tree links from a message node
+     * @param {Object} node - The message node
+     * @returns {Object} - The message
+     */
+    function toHistoryMessage(node) {
+        const { parentId, childIds, activeChildId, ...message } = node;
+        return message;
+    }
+
+    /**
+     * Converts a tool step into the messages sent back to the provider: the
+     * assistant message with the calls, and one tool message per result
+     * @param {Object} step - The step ({ text, calls }) with the calls' results
+     * @returns {Array} - The messages
+     */
+    function toToolMessages(step) {
+        return [
+            { role: 'assistant', content: step.text, toolCalls: step.calls },
+            ...step.calls.map(call => ({
+                role: 'tool',
+                toolCallId: call.id,
+                name: call.name,
+                content: JSON.stringify(call.error ? { error: call.error } : { result: call.result })
+            }))
+        ];
+    }
+
+    /**
+     * Expands a reply's tool steps into the messages that led to it
+     * Without tools in the request only the final answer is sent
+     * @param {Object} message - The history message
+     * @param {boolean} withTools - Whether the request declares tools
+     * @returns {Array} - The messages
+     */
+    function expandToolSteps(message, withTools) {
+        const { toolSteps, ...rest } = message;
+        if (!toolSteps || !withTools) return [rest];
+        return [...toolSteps.flatMap(toToolMessages), rest];
+    }
+
+    /**
+     * Gets the tool declarations to send to a model
+     * @param {string} model - The model to use
+     * @returns {Array} - The declarations; empty if tools are off or the model can't call them
+     */
+    function getRequestTools(model) {
+        const entry = ModelCatalog.getModel(model);
+        if (!settings.enableTools || !entry || !entry.tools) return [];
+        return ToolRegistry.getDefinitions();
+    }
+
+    /**
+     * Gets the context manager options for the open conversation
+     * The system messages are the conversation's system prompt and, for models
+     * without native reasoning, the tagged reasoning instructions
+     * @param {string} model - The model to use
+     * @param {number} [replyTokens] - The max output tokens of the request, if set
+     * @returns {Object} - Options for ContextManager.plan() and prepare()
+     */
+    function getContextOptions(model, replyTokens) {
+        const systemPrompt = currentConversation ? currentConversation.systemPrompt : '';
+        const systemMessages = systemPrompt ? [{ role: 'system', content: systemPrompt }] : [];
+        if (usesTaggedReasoning(model)) {
+            systemMessages.push({ role: 'system', content: ReasoningParser.getInstructions() });
+        }
+        
+        return {
+            systemMessages,
+            summaries: currentConversation ? currentConversation.contextSummaries : null,
+            threshold: settings.contextThreshold,
+            strategy: settings.contextStrategy,
+            replyTokens
+        };
+    }
+
+    /**
+     * Builds the messages sent to the provider
+     * Starts with the system messages and fits the history into the model's context
+     * window by summarising or leaving out older turns; images and PDFs earlier in the
+     * conversation are left out for models that can't read them
+     * @param {string} model - The model to use
+     * @param {string} lastId - The last message to include
+     * @param {Object} params - The request's generation parameters
+     * @param {AbortSignal} signal - Cancels a summary request
+     * @param {boolean} [withTools] - Whether the request declares tools, so earlier tool calls are sent too
+     * @returns {Promise<Array>} - The request messages
+     */
+    async function buildRequestMessages(model, lastId, params, signal, withTools = false) {
+        const vision = supportsVision(model);
+        const history = MessageTree.getPathTo(chatTree, lastId).map(toHistoryMessage).map(message =>
+            vision || !message.attachments ? message :
+                { ...message, attachments: message.attachments.filter(attachment => attachment.kind === 'text') });
+        const context = await ContextManager.prepare(model, history, {
+            ...getContextOptions(model, params.maxTokens),
+            signal
+        });
+        if (context.summaryUsage) {
+            addToTotals(model, context.summaryUsage);
+            Utils.updateTokenDisplay(usage, cost);
+        }
+        if (currentConversation) {
+            currentConversation.contextSummaries = context.summaries;
+        }
+        UIController.markContext(context.summarisedIds, context.droppedIds);
+        
+        // Older images and PDFs are left out if the whole conversation would be too large to send
+        return Attachments.fitRequest(context.messages).flatMap(message => expandToolSteps(message, withTools));
+    }
+
+    /**
+     * Adds a request's token usage to the conversation totals and records its cost
+     * @param {string} model - The model used
+     * @param {Object} requestUsage - The request's token usage
+     * @returns {number|null} - The request's cost, or null if the model's price is unknown
+     */
+    function addToTotals(model, requestUsage) {
+        usage = Utils.addUsage(usage, requestUsage);
+        
+        const requestCost = Pricing.calculateCost(model, requestUsage);
+        if (requestCost !== null) {
+            cost += requestCost;
+            ConversationStore.recordSpending(requestCost).catch(err => {
+                console.error('Error recording spending:', err);
+            });
+        }
+        return requestCost;
+    }
+
+    /**
+     * Shows the final reply and records it in the message tree
+     * @param {string} reply - The full reply text
+     * @param {string} parentId - The user message being replied to
+     * @param {Element} [aiMsgElement] - Existing message element to update
+     * @param {Object} [details] - Extra information about the reply
+     * @param {boolean} [details.interrupted] - Whether the reply was stopped before it finished
+     * @param {string} [details.model] - The model that wrote the reply
+     * @param {Object} [details.fallback] - Set when a fallback model wrote the reply ({ from, reason })
+     * @param {string} [details.reasoning] - The reasoning that led to the reply
+     * @param {Array} [details.toolSteps] - The tool calls made for the reply, with their results
+     * @param {Object} [details.usage] - The reply's token usage
+     */
+    function finalizeReply(reply, parentId, aiMsgElement, details = {}) {
+        const entry = createReplyEntry(reply, details);
+        
+        if (!aiMsgElement) {
+            aiMsgElement = UIController.addMessage('ai', reply);
+        }
+        showReply(aiMsgElement, { text: reply, reasoning: entry.reasoning || '' });
+        UIController.setMessageModel(aiMsgElement, entry.model, entry.fallback);
+        
+        if (entry.toolSteps) {
+            UIController.setToolSteps(aiMsgElement, entry.toolSteps);
+        }
+        if (entry.interrupted) {
+            UIController.markInterrupted(aiMsgElement);
+        }
+        if (entry.usage) {
+            UIController.setMessageUsage(aiMsgElement, entry.usage, entry.cost);
+        }
+        
+        // Add the full response to the message tree
+        const node = MessageTree.addMessage(chatTree, parentId, entry);
+        UIController.setMessageControls(aiMsgElement, getMessageControls(node));
+    }
+
+    /**
+     * Creates the message tree entry of a reply and adds its usage to the conversation totals
+     * @param {string} reply - The full reply text
+     * @param {Object} [details] - Extra information about the reply, as for finalizeReply
+     * @returns {Object} - The entry ({ role, content, model, timestamp, fallback, reasoning, toolSteps, interrupted, usage, cost })
+     */
+    function createReplyEntry(reply, details = {}) {
+        const entry = { role: 'assistant', content: reply, model: details.model, timestamp: Date.now() };
+        if (details.fallback) {
+            entry.fallback = details.fallback;
+        }
+        if (details.reasoning) {
+            entry.reasoning = details.reasoning;
+        }
+        if (details.toolSteps && details.toolSteps.length > 0) {
+            entry.toolSteps = details.toolSteps;
+        }
+        if (details.interrupted) {
+            entry.interrupted = true;
+        }
+        if (details.usage) {
+            entry.usage = withReasoningTokens(details.usage, details.reasoning || '');
+            
+            const replyCost = addToTotals(details.model, entry.usage);
+            if (replyCost !== null) {
+                entry.cost = replyCost;
+            }
+        }
+        return entry;
+    }
+
+    /**
+     * Fills in the reasoning tokens of a reply whose provider doesn't report them,
+     * e.g. tagged reasoning, which is an ordinary part of the completion
+     * @param {Object} replyUsage - The reply's token usage
+     * @param {string} reasoning - The reply's reasoning
+     * @returns {Object} - The usage with reasoningTokens set
+     */
+    function withReasoningTokens(replyUsage, reasoning) {
+        if (replyUsage.reasoningTokens || !reasoning) return replyUsage;
+        return {
+            ...replyUsage,
+            reasoningTokens: Math.min(Utils.estimateTokens(reasoning), replyUsage.completionTokens)
+        };
+    }
+
+    /**
+     * Estimates the usage of a reply the provider didn't report usage for
+     * (e.g. a stream stopped before its final chunk), without generating anything
+     * @param {string} model - The model used
+     * @param {Array} messages - The request messages
+     * @param {string} reply - The reply text
+     * @returns {Promise<Object>} - Usage marked as estimated
+     */
+    async function estimateUsage(model, messages, reply) {
+        const promptTokens = await ApiService.countTokens(model, messages);
+        const completionTokens = await ApiService.countTokens(model, [{ role: 'assistant', content: reply }]);
+        return { ...Utils.createUsage(promptTokens, completionTokens), estimated: true };
+    }
+
+    /**
+     * Adds up the usage of the requests that make up one reply
+     * @param {Object|null} total - The usage so far
+     * @param {Object|null} extra - The next request's usage
+     * @returns {Object|null} - The combined usage, marked as estimated if either part was
+     */
+    function sumUsage(total, extra) {
+        if (!total || !extra) return total || extra;
+        const sum = Utils.addUsage(total, extra);
+        return total.estimated || extra.estimated ? { ...sum, estimated: true } : sum;
+    }
+
+    /**
+     * Works out the generation parameters for a request
+     * The conversation's values override the model's defaults; values the model
+     * doesn't accept are left out so the provider uses its own defaults
+     * @param {string} model - The model to use
+     * @returns {Object} - The validated generation parameters
+     */
+    function getRequestParams(model) {
+        const defaults = settings.modelParams ? settings.modelParams[model] : null;
+        const overrides = currentConversation ? currentConversation.generationParams : null;
+        const { params, errors } = GenerationParams.validate(
+            GenerationParams.merge(defaults, overrides), ApiService.getParameterRanges(model));
+        
+        if (Object.keys(errors).length > 0) {
+            console.warn(`Ignoring generation parameters for ${model}:`, errors);
+        }
+        return params;
+    }
+
+    /**
+     * Sends the request to the model's provider and renders the reply
+     * While the model calls tools, the calls are run and their results sent
+     * back until it answers, each call shown above the reply as it runs
+     * @param {string} model - The model to use
+     * @param {string} parentId - The user message being replied to
+     * @param {AbortSignal} signal - Aborts the request when the user presses Stop
+     * @param {Object} [fallback] - Set when the model stands in for one that failed ({ from, reason })
+     */
+    async function handleMessage(model, parentId, signal, fallback = null) {
+        const params = getRequestParams(model);
+        const tools = getRequestTools(model);
+        const messages = await buildRequestMessages(model, parentId, params, signal, tools.length > 0);
+        
+        // Models that can't stream get a plain request
+        const modelEntry = ModelCatalog.getModel(model);
+        const streaming = settings.streaming && (!modelEntry || modelEntry.streaming);
+        
+        // The reply's message element; without streaming it is created once there is something to show
+        let aiMsgElement = streaming || fallback ? UIController.createEmptyAIMessage() : null;
+        let partial = { text: '', reasoning: '' };
+        const toolSteps = [];
+        let earlierReasoning = '';
+        let replyUsage = null;
+        
+        // The reasoning shown is that of all steps so far
+        const withEarlierReasoning = reply => ({
+            ...reply,
+            reasoning: [earlierReasoning, reply.reasoning].filter(Boolean).join('\n\n')
+        });
+        
+        // Before an automatic retry, the tokens of a dropped stream are counted and its text
+        // is replaced as the retried request streams in
+        const onRetry = async ({ error, attempt, maxAttempts, delayMs }) => {
+            if (partial.text || partial.reasoning) {
+                replyUsage = sumUsage(replyUsage, await estimateUsage(model, messages, partial.reasoning + partial.text));
+                partial = { text: '', reasoning: '' };
+            }
+            aiMsgElement = aiMsgElement || UIController.createEmptyAIMessage();
+            UIController.setRetryNotice(aiMsgElement, `${ApiError.describe(error).title}. Retrying in ` +
+                `${Math.ceil(delayMs / 1000)} s (attempt ${attempt} of ${maxAttempts})...`);
+        };
+        
+        const options = { signal, params, reasoning: settings.enableCoT, tools, onRetry };
+        
+        try {
+            // Show the thinking indicator until the first text arrives
+            if (aiMsgElement && settings.enableCoT) {
+                UIController.updateMessageContent(aiMsgElement, '', { thinking: true });
+            }
+            if (fallback) {
+                UIController.setRetryNotice(aiMsgElement, `${ModelCatalog.getModelName(fallback.from)} failed ` +
+                    `(${fallback.reason}). Answering with ${ModelCatalog.getModelName(model)}...`);
+            }
+            
+            for (let step = 0; ; step++) {
+                let result;
+                if (streaming) {
+                    result = await ApiService.stream(model, messages, (chunk, fullText, fullReasoning = '') => {
+                        partial = { text: fullText, reasoning: fullReasoning };
+                        UIController.setRetryNotice(aiMsgElement, '');
+                        showReply(aiMsgElement, withEarlierReasoning(splitReasoning(model, partial, false)), true);
+                    }, options);
+                } else {
+                    result = await ApiService.send(model, messages, options);
+                }
+                partial = { text: '', reasoning: '' };
+                UIController.setRetryNotice(aiMsgElement, '');
+                
+                // Usage comes with the response (the stream's final chunk), or is estimated
+                const stepUsage = result.usage ||
+                    await estimateUsage(model, messages, (result.reasoning || '') + result.text);
+                replyUsage = sumUsage(replyUsage, stepUsage);
+                
+                const reply = withEarlierReasoning(splitReasoning(model, result));
+                const calls = result.toolCalls || [];
+                if (calls.length === 0 || step === MAX_TOOL_STEPS) {
+                    // Calls made after the last allowed step are not run
+                    const text = calls.length > 0 && !reply.text ?
+                        `Stopped after ${MAX_TOOL_STEPS} rounds of tool calls without an answer.` : reply.text;
+                    finalizeReply(text, parentId, aiMsgElement, {
+                        model,
+                        fallback,
+                        reasoning: reply.reasoning,
+                        toolSteps,
+                        usage: replyUsage
+                    });
+                    return;
+                }
+                
+                // Run the calls one after another, showing each result as it comes in
+                aiMsgElement = aiMsgElement || UIController.createEmptyAIMessage();
+                earlierReasoning = reply.reasoning;
+                const toolStep = { text: reply.text, calls: calls.map(call => ({ ...call })) };
+                toolSteps.push(toolStep);
+                showReply(aiMsgElement, { text: '', reasoning: earlierReasoning });
+                UIController.setToolSteps(aiMsgElement, toolSteps);
+                
+                for (const call of toolStep.calls) {
+                    Object.assign(call, await ToolRegistry.execute(call.name, call.arguments));
+                    UIController.setToolSteps(aiMsgElement, toolSteps);
+                }
+                
+                if (signal.aborted) {
+                    finalizeReply('', parentId, aiMsgElement, {
+                        interrupted: true,
+                        model,
+                        fallback,
+                        reasoning: earlierReasoning,
+                        toolSteps,
+                        usage: replyUsage
+                    });
+                    return;
+                }
+                messages.push(...toToolMessages(toolStep));
+            }
+        } catch (err) {
+            if (signal.aborted) {
+                // Keep what was streamed and the tools already run before the user pressed Stop;
+                // a stopped stream ended before its usage
+                if (partial.text || partial.reasoning || toolSteps.length > 0 || replyUsage) {
+                    const reply = withEarlierReasoning(splitReasoning(model, partial, false));
+                    const streamedUsage = partial.text || partial.reasoning ?
+                        await estimateUsage(model, messages, partial.reasoning + partial.text) : null;
+                    finalizeReply(reply.text, parentId, aiMsgElement, {
+                        interrupted: true,
+                        model,
+                        fallback,
+                        reasoning: reply.reasoning,
+                        toolSteps,
+                        usage: sumUsage(replyUsage, streamedUsage)
+                    });
+                } else if (aiMsgElement) {
+                    aiMsgElement.remove();
+                }
+                return;
+            }
+            
+            // The error is shown in place of the reply, but the requests that did run are still paid for
+            const streamedUsage = partial.text || partial.reasoning ?
+                await estimateUsage(model, messages, partial.reasoning + partial.text) : null;
+            const spentUsage = sumUsage(replyUsage, streamedUsage);
+            if (spentUsage) {
+                addToTotals(model, spentUsage);
+            }
+            if (aiMsgElement) {
+                aiMsgElement.remove();
+            }
+            throw err;
+        }
+    }
+
+    /**
+     * Sends a user message to every compared model at once, streaming the replies into columns
+     * Each reply becomes a branch below the message; the first one is active until the user chooses
+     * @param {string} parentId - The user message to reply to
+     */
+    async function generateComparison(parentId) {
+        const models = compareModels.slice();
+        
+        isSending = true;
+        activeRequest = new AbortController();
+        UIController.setGenerating(true);
+        
+        try {
+            await saveCurrentConversation();
+            
+            // The context is fitted one model after another, so a summary written for one is reused by the next
+            const columns = UIController.createComparison(models.map(model => ModelCatalog.getModel(model)), chooseComparedReply);
+            const requests = [];
+            for (const [index, model] of models.entries()) {
+                try {
+                    const params = getRequestParams(model);
+                    const messages = await buildRequestMessages(model, parentId, params, activeRequest.signal);
+                    requests.push({ model, params, messages, column: columns[index] });
+                } catch (err) {
+                    UIController.setComparisonStats(columns[index], { error: ApiError.describe(err) });
+                }
+            }
+            
+            const entries = await Promise.all(requests.map(request => compareModel(request, activeRequest.signal)));
+            
+            // Add the replies in column order, then make the first one the active branch
+            const nodeIds = new Map();
+            entries.forEach((entry, index) => {
+                if (entry) nodeIds.set(requests[index].model, MessageTree.addMessage(chatTree, parentId, entry).id);
+            });
+            requests.forEach(request => UIController.setComparisonChoosable(request.column, nodeIds.has(request.model)));
+            
+            const [first] = nodeIds.entries();
+            if (first) {
+                MessageTree.activate(chatTree, first[1]);
+                currentConversation.model = first[0];
+            }
+            pendingComparison = { parentId, nodeIds };
+        } catch (error) {
+            console.error('Error comparing models:', error);
+            UIController.showErrorCard(ApiError.describe(error));
+        } finally {
+            isSending = false;
+            activeRequest = null;
+            UIController.setGenerating(false);
+            refreshMessageControls();
+            
+            Utils.updateTokenDisplay(usage, cost);
+            await saveCurrentConversation();
+        }
+    }
+
+    /**
+     * Sends the request of one comparison column and shows the reply with its latency, tokens and cost
+     * Comparisons are single requests without tools
+     * @param {Object} request - The column's request ({ model, params, messages, column })
+     * @param {AbortSignal} signal - Aborts the request when the user presses Stop
+     * @returns {Promise<Object|null>} - The reply's message tree entry, or null if there is no reply
+     */
+    async function compareModel(request, signal) {
+        const { model, params, messages, column } = request;
+        const options = { signal, params, reasoning: settings.enableCoT, tools: [] };
+        const modelEntry = ModelCatalog.getModel(model);
+        const streaming = settings.streaming && (!modelEntry || modelEntry.streaming);
+        
+        const startedAt = Date.now();
+        let firstTextAt;
+        let partial = { text: '', reasoning: '' };
+        
+        const show = (reply, isStreaming) => UIController.updateComparisonColumn(column, reply.text, {
+            streaming: isStreaming,
+            thinking: Boolean(reply.thinking),
+            reasoning: settings.showThinking ? reply.reasoning : ''
+        });
+        
+        try {
+            if (streaming && settings.enableCoT) {
+                UIController.updateComparisonColumn(column, '', { thinking: true });
+            }
+            
+            let result;
+            if (streaming) {
+                result = await ApiService.stream(model, messages, (chunk, fullText, fullReasoning = '') => {
+                    firstTextAt = firstTextAt || Date.now();
+                    partial = { text: fullText, reasoning: fullReasoning };
+                    show(splitReasoning(model, partial, false), true);
+                }, options);
+            } else {
+                result = await ApiService.send(model, messages, options);
+            }
+            const totalMs = Date.now() - startedAt;
+            
+            const reply = splitReasoning(model, result);
+            show(reply, false);
+            const entry = createReplyEntry(reply.text, {
+                model,
+                reasoning: reply.reasoning,
+                usage: result.usage || await estimateUsage(model, messages, (result.reasoning || '') + result.text)
+            });
+            UIController.setComparisonStats(column, {
+                firstTextMs: firstTextAt ? firstTextAt - startedAt : undefined,
+                totalMs,
+                usage: entry.usage,
+                cost: entry.cost
+            });
+            return entry;
+        } catch (err) {
+            if (!signal.aborted) {
+                UIController.setComparisonStats(column, { error: ApiError.describe(err) });
+                return null;
+            }
+            
+            // Keep what was streamed before the user pressed Stop
+            if (!partial.text && !partial.reasoning) {
+                UIController.setComparisonStats(column, {
+                    error: { title: 'Stopped', message: 'The request was stopped before any reply arrived.' }
+                });
+                return null;
+            }
+            const reply = splitReasoning(model, partial, false);
+            show(reply, false);
+            const entry = createReplyEntry(reply.text, {
+                interrupted: true,
+                model,
+                reasoning: reply.reasoning,
+                usage: await estimateUsage(model, messages, partial.reasoning + partial.text)
+            });
+            UIController.setComparisonStats(column, {
+                firstTextMs: firstTextAt ? firstTextAt - startedAt : undefined,
+                usage: entry.usage,
+                cost: entry.cost,
+                interrupted: true
+            });
+            return entry;
+        }
+    }
+
+    /**
+     * Carries a compared reply into the conversation: its branch becomes the active one
+     * and its model the selected model
+     * @param {string} model - The model whose reply was chosen
+     * @returns {Promise<void>}
+     */
+    async function chooseComparedReply(model) {
+        const nodeId = pendingComparison ? pendingComparison.nodeIds.get(model) : null;
+        if (!nodeId || isSending) return;
+        
+        MessageTree.activate(chatTree, nodeId);
+        currentConversation.model = model;
+        UIController.setSelectedModel(model);
+        renderHistory();
+        await saveCurrentConversation();
+    }
+
+    /**
+     * Creates the record for a new, not yet saved conversation
+     * @param {string} model - The model the conversation starts with
+     * @param {Object|null} [persona] - The persona whose system prompt the conversation starts with
+     * @returns {Object} - The conversation metadata
+     */
+    function createConversation(model, persona = null) {
+        const now = Date.now();
+        return {
+            id: Utils.generateId(),
+            title: 'New chat',
+            model,
+            systemPrompt: persona ? persona.systemPrompt : '',
+            personaId: persona ? persona.id : null,
+            generationParams: {},
+            contextSummaries: {},
+            createdAt: now,
+            updatedAt: now,
+            usage: Utils.createUsage(),
+            cost: 0,
+            tree: MessageTree.create()
+        };
+    }
+
+    /**
+     * Derives a conversation title from its first message
+     * @param {string} message - The first user message
+     * @returns {string} - The title
+     */
+    function deriveTitle(message) {
+        const firstLine = message.split('\n')[0].trim();
+        return firstLine.length > MAX_TITLE_LENGTH ?
+            firstLine.slice(0, MAX_TITLE_LENGTH - 1) + '…' : firstLine;
+    }
+
+    /**
+     * Saves the current conversation to the conversation store
+     * Conversations without messages are not stored
+     */
+    async function saveCurrentConversation() {
+        if (!currentConversation || MessageTree.isEmpty(chatTree)) return;
+        
+        currentConversation = {
+            ...currentConversation,
+            tree: chatTree,
+            usage,
+            cost,
+            updatedAt: Date.now()
+        };
+        
+        try {
+            await ConversationStore.saveConversation(currentConversation);
+            Utils.setCookie(LAST_CONVERSATION_COOKIE, currentConversation.id);
+            SidebarController.refresh(currentConversation.id);
+        } catch (err) {
+            console.error('Error saving conversation:', err);
+        }
+    }
+
+    /**
+     * Works out which actions a message offers
+     * @param {Object} node - The message node
+     * @returns {Object} - Controls for UIController.setMessageControls
+     */
+    function getMessageControls(node) {
+        const branch = MessageTree.getBranchInfo(chatTree, node.id);
+        
+        return {
+            id: node.id,
+            branchIndex: branch.index,
+            branchCount: branch.count,
+            canEdit: node.role === 'user',
+            canRegenerate: !node.activeChildId
+        };
+    }
+
+    /**
+     * Updates the actions and branch counters of the shown messages
+     */
+    function refreshMessageControls() {
+        MessageTree.getActivePath(chatTree).forEach(node => {
+            const messageElement = UIController.getMessageElement(node.id);
+            if (messageElement) {
+                UIController.setMessageControls(messageElement, getMessageControls(node));
+            }
+        });
+    }
+
+    /**
+     * Creates the element of a stored message
+     * @param {Object} node - The message node
+     * @returns {Element} - The message element, not yet in the chat window
+     */
+    function renderMessage(node) {
+        let messageElement;
+        
+        if (node.role === 'user') {
+            messageElement = UIController.createMessage('user', node.content);
+            UIController.setMessageAttachments(messageElement, node.attachments);
+        } else {
+            messageElement = UIController.createMessage('ai', node.content);
+            if (node.reasoning) {
+                showReply(messageElement, { text: node.content, reasoning: node.reasoning });
+            }
+            UIController.setMessageModel(messageElement, node.model, node.fallback);
+            if (node.toolSteps) {
+                UIController.setToolSteps(messageElement, node.toolSteps);
+            }
+            if (node.interrupted) {
+                UIController.markInterrupted(messageElement);
+            }
+            if (node.usage) {
+                UIController.setMessageUsage(messageElement, node.usage, node.cost);
+            }
+        }
+        
+        UIController.setMessageControls(messageElement, getMessageControls(node));
+        return messageElement;
+    }
+
+    /**
+     * Renders the active branch into the chat window
+     */
+    function renderHistory() {
+        // A comparison waiting for a choice is replaced by the active reply
+        pendingComparison = null;
+        const activePath = MessageTree.getActivePath(chatTree);
+        UIController.showMessages(activePath.length, index => renderMessage(activePath[index]));
+        Utils.updateTokenDisplay(usage, cost);
+        showCurrentSystemPrompt();
+        showContextMarks();
+    }
+
+    /**
+     * Marks the messages on the active branch that are summarised, or that
+     * the next request would leave out to stay within the model's context window
+     */
+    function showContextMarks() {
+        const model = UIController.getSelectedModel();
+        const defaults = settings.modelParams ? settings.modelParams[model] : null;
+        const params = GenerationParams.merge(defaults, currentConversation ? currentConversation.generationParams : null);
+        
+        const history = MessageTree.getActivePath(chatTree).map(toHistoryMessage);
+        const result = ContextManager.plan(model, history, getContextOptions(model, params.maxTokens));
+        UIController.markContext(result.summarisedIds, result.overflow.map(message => message.id));
+    }
+
+    /**
+     * Shows the open conversation's system prompt in the system prompt panel
+     */
+    function showCurrentSystemPrompt() {
+        const systemPrompt = currentConversation ? currentConversation.systemPrompt || '' : '';
+        const persona = currentConversation ? PersonaController.getPersona(currentConversation.personaId) : null;
+        UIController.showSystemPrompt(systemPrompt, persona);
+    }
+
+    /**
+     * Gets the persona new conversations start from
+     * @returns {Object|null} - The default persona from the settings, if it still exists
+     */
+    function getDefaultPersona() {
+        return settings.defaultPersonaId ? PersonaController.getPersona(settings.defaultPersonaId) : null;
+    }
+
+    /**
+     * Switches the open conversation to a persona's system prompt
+     * @param {string} personaId - The persona ID, or '' to clear the system prompt
+     */
+    async function selectPersona(personaId) {
+        if (!currentConversation) return;
+        
+        const persona = personaId ? PersonaController.getPersona(personaId) : null;
+        currentConversation.personaId = persona ? persona.id : null;
+        currentConversation.systemPrompt = persona ? persona.systemPrompt : '';
+        showCurrentSystemPrompt();
+        await saveCurrentConversation();
+    }
+
+    /**
+     * Changes the open conversation's system prompt
+     * Applies to every request from now on, including regenerated replies
+     * @param {string} text - The system prompt
+     */
+    async function setSystemPrompt(text) {
+        if (!currentConversation) return;
+        
+        currentConversation.systemPrompt = text.trim();
+        showCurrentSystemPrompt();
+        await saveCurrentConversation();
+    }
+
+    /**
+     * Gets the open conversation's generation parameters
+     * @returns {Object} - Parameters overriding the model defaults
+     */
+    function getGenerationParams() {
+        return currentConversation ? { ...currentConversation.generationParams } : {};
+    }
+
+    /**
+     * Changes the open conversation's generation parameters
+     * @param {Object} params - Parameters overriding the model defaults (unset values are dropped)
+     * @returns {Promise<void>}
+     */
+    async function setGenerationParams(params) {
+        if (!currentConversation) return;
+        
+        currentConversation.generationParams = GenerationParams.merge(params);
+        await saveCurrentConversation();
+    }
+
+    /**
+     * Starts a new, empty conversation
+     * @returns {boolean} - False if a reply is still in progress
+     */
+    function startNewConversation() {
+        if (isSending) return false;
+        
+        chatTree = MessageTree.create();
+        usage = Utils.createUsage();
+        cost = 0;
+        currentConversation = createConversation(UIController.getSelectedModel(), getDefaultPersona());
+        renderHistory();
+        SidebarController.refresh(null);
+        return true;
+    }
+
+    /**
+     * Opens a stored conversation and re-renders the chat window
+     * Conversations saved before branching existed are converted to a tree, and
+     * their single token total becomes a usage record
+     * @param {string} id - The conversation ID
+     * @returns {Promise<boolean>} - Whether the conversation was opened
+     */
+    async function openConversation(id) {
+        if (isSending) return false;
+        
+        const conversation = await ConversationStore.getConversation(id);
+        if (!conversation) return false;
+        
+        if (!conversation.tree) {
+            conversation.tree = MessageTree.fromMessages(conversation.messages || []);
+            delete conversation.messages;
+        }
+        if (!conversation.usage) {
+            conversation.usage = Utils.createUsage(0, 0, conversation.totalTokens || 0);
+            delete conversation.totalTokens;
+        }
+        
+        currentConversation = conversation;
+        chatTree = conversation.tree;
+        usage = conversation.usage;
+        cost = conversation.cost || 0;
+
+        if (conversation.model) {
+            UIController.setSelectedModel(conversation.model);
+        }
+        
+        renderHistory();
+        Utils.setCookie(LAST_CONVERSATION_COOKIE, conversation.id);
+        SidebarController.refresh(conversation.id);
+        return true;
+    }
+
+    /**
+     * Downloads the open conversation
+     * Markdown and HTML hold the active branch; JSON holds every branch and can be imported again
+     * @param {string} format - 'markdown', 'html' or 'json'
+     * @returns {boolean} - False if there is nothing to export
+     */
+    function exportConversation(format) {
+        if (!currentConversation || MessageTree.isEmpty(chatTree)) {
+            alert('There is nothing to export yet.');
+            return false;
+        }
+        
+        const conversation = { ...currentConversation, tree: chatTree, usage, cost };
+        switch (format) {
+            case 'markdown':
+                Utils.downloadFile(ConversationExport.toMarkdown(conversation),
+                    ConversationExport.getFileName(conversation, 'md'), 'text/markdown');
+                break;
+            case 'html':
+                Utils.downloadFile(ConversationExport.toHTML(conversation),
+                    ConversationExport.getFileName(conversation, 'html'), 'text/html');
+                break;
+            case 'json':
+                Utils.downloadFile(ConversationExport.toJSON(conversation),
+                    ConversationExport.getFileName(conversation, 'json'), 'application/json');
+                break;
+            default:
+                return false;
+        }
+        return true;
+    }
+
+    /**
+     * Imports a conversation from a JSON export and opens it
+     * @param {File} file - The JSON file
+     * @returns {Promise<boolean>} - Whether the conversation was opened
+     */
+    async function importConversation(file) {
+        if (isSending) return false;
+        
+        const conversation = ConversationExport.fromJSON(await file.text());
+        await ConversationStore.saveConversation(conversation);
+        return openConversation(conversation.id);
+    }
+
+    /**
+     * Reopens the conversation that was active before the page was reloaded
+     * @returns {Promise<void>}
+     */
+    async function restoreLastConversation() {
+        const lastId = Utils.getCookie(LAST_CONVERSATION_COOKIE);
+        
+        try {
+            if (!lastId || !(await openConversation(lastId))) {
+                startNewConversation();
+            }
+        } catch (err) {
+            console.error('Error restoring conversation:', err);
+            startNewConversation();
+        }
+    }
+
+    /**
+     * Renames a stored conversation
+     * @param {string} id - The conversation ID
+     * @param {string} title - The new title
+     * @returns {Promise<void>}
+     */
+    async function renameConversation(id, title) {
+        const trimmed = title.trim();
+        if (!trimmed) return;
+        
+        await ConversationStore.renameConversation(id, trimmed);
+        if (currentConversation && currentConversation.id === id) {
+            currentConversation.title = trimmed;
+        }
+        SidebarController.refresh(currentConversation ? currentConversation.id : null);
+    }
+
+    /**
+     * Deletes a stored conversation, starting a new one if it was open
+     * @param {string} id - The conversation ID
+     * @returns {Promise<void>}
+     */
+    async function deleteConversation(id) {
+        if (isSending && currentConversation && currentConversation.id === id) return;
+        
+        await ConversationStore.deleteConversation(id);
+        if (currentConversation && currentConversation.id === id) {
+            Utils.deleteCookie(LAST_CONVERSATION_COOKIE);
+            startNewConversation();
+        } else {
+            SidebarController.refresh(currentConversation ? currentConversation.id : null);
+        }
+    }
+
+    /**
+     * Gets the ID of the open conversation
+     * @returns {string|null} - The conversation ID
+     */
+    function getCurrentConversationId() {
+        return currentConversation ? currentConversation.id : null;
+    }
+
+    /**
+     * Gets the messages on the active branch
+     * @returns {Array} - The chat history
+     */
+    function getChatHistory() {
+        return getActiveMessages();
+    }
+
+    /**
+     * Gets the total tokens used
+     * @returns {number} - The total tokens used
+     */
+    function getTotalTokens() {
+        return usage.totalTokens;
+    }
+
+    /**
+     * Gets the conversation's cost
+     * @returns {number} - The cost in dollars of replies with a known price
+     */
+    function getCost() {
+        return cost;
+    }
+
+    /**
+     * Gets the conversation's token usage
+     * @returns {Object} - Usage as { promptTokens, completionTokens, totalTokens }
+     */
+    function getUsage() {
+        return usage;
+    }
+
+    // Public API
+    return {
+        init,
+        updateSettings,
+        getSettings,
+        sendMessage,
+        stopGeneration,
+        startNewConversation,
+        openConversation,
+        restoreLastConversation,
+        renameConversation,
+        deleteConversation,
+        exportConversation,
+        importConversation,
+        getCurrentConversationId,
+        getChatHistory,
+        getTotalTokens,
+        getUsage,
+        getCost,
+        getGenerationParams,
+        setGenerationParams
+    };
+})(); 
\ No newline at end of file
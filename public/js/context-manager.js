@@ -0,0 +1,206 @@
+/**
+ * Context Manager Module - Keeps requests within the model's context window
+ * Estimates tokens locally and folds older turns into a rolling summary, or
+ * leaves them out, once the conversation reaches the configured threshold
+ */
+const ContextManager = (function() {
+    'use strict';
+
+    // Window assumed for models whose window the catalog doesn't know
+    const DEFAULT_CONTEXT_WINDOW = 8192;
+
+    // Tokens kept free for the reply when no max output tokens is set
+    const DEFAULT_REPLY_RESERVE = 4096;
+
+    // Per-message overhead of the chat format
+    const MESSAGE_OVERHEAD = 4;
+
+    // Summarising shrinks the history to this share of the budget so it isn't redone every turn
+    const SUMMARY_TARGET = 0.5;
+
+    const SUMMARY_MAX_TOKENS = 1024;
+
+    const SUMMARY_INSTRUCTIONS = 'You summarise conversations so they can be continued later. ' +
+        'Write a concise summary of the conversation below, keeping names, facts, decisions, ' +
+        'open questions and any instructions the user gave. Reply with the summary only.';
+
+    /**
+     * Gets the context window of a model
+     * @param {string} model - The model ID
+     * @returns {number} - The window size in tokens, from the model catalog
+     */
+    function getContextWindow(model) {
+        const entry = ModelCatalog.getModel(model);
+        return entry && entry.contextWindow ? entry.contextWindow : DEFAULT_CONTEXT_WINDOW;
+    }
+
+    /**
+     * Estimates the tokens of a list of messages
+     * @param {Array} messages - The messages ({ role, content, attachments, toolSteps })
+     * @returns {number} - The estimated token count
+     */
+    function estimateTokens(messages) {
+        return messages.reduce((total, message) => total + MESSAGE_OVERHEAD +
+            Utils.estimateTokens(message.content) + Attachments.estimateTokens(message.attachments) +
+            (message.toolSteps ? Utils.estimateTokens(JSON.stringify(message.toolSteps)) : 0), 0);
+    }
+
+    /**
+     * Builds the system message carrying a conversation summary
+     * @param {string} summary - The summary text
+     * @returns {Object} - The message
+     */
+    function toSummaryMessage(summary) {
+        return { role: 'system', content: `Summary of the earlier conversation:\n${summary}` };
+    }
+
+    /**
+     * Works out the prompt token budget for a model
+     * @param {string} model - The model ID
+     * @param {Object} options - See plan()
+     * @returns {number} - The tokens available for the prompt
+     */
+    function getBudget(model, options) {
+        const window = getContextWindow(model);
+        const reserve = Math.min(options.replyTokens || DEFAULT_REPLY_RESERVE, Math.floor(window / 4));
+        return Math.floor(window * (options.threshold || 100) / 100) - reserve;
+    }
+
+    /**
+     * Splits a history into the older messages that don't fit and the most recent ones that do
+     * The latest message is always kept
+     * @param {Array} history - The messages, oldest first
+     * @param {number} available - The tokens available for them
+     * @returns {{older: Array, recent: Array}} - The two parts
+     */
+    function splitToFit(history, available) {
+        let start = history.length - 1;
+        let used = estimateTokens(history.slice(start));
+
+        while (start > 0) {
+            const cost = estimateTokens([history[start - 1]]);
+            if (used + cost > available) break;
+            used += cost;
+            start--;
+        }
+        return { older: history.slice(0, start), recent: history.slice(start) };
+    }
+
+    /**
+     * Plans which messages a request can include, without calling the provider
+     * @param {string} model - The model ID
+     * @param {Array} path - The conversation up to the latest message ({ id, role, content }), oldest first
+     * @param {Object} options - Planning options
+     * @param {Array} [options.systemMessages] - System messages sent ahead of the history
+     * @param {Object} [options.summaries] - Summary text by the ID of the last message it covers
+     * @param {number} [options.threshold] - Share of the context window to use, in percent
+     * @param {number} [options.replyTokens] - Tokens to keep free for the reply
+     * @returns {Object} - { summary, summarisedIds, overflow, kept }; overflow doesn't fit the budget
+     */
+    function plan(model, path, options = {}) {
+        const summaries = options.summaries || {};
+
+        // The deepest summary on the path covers everything up to its message
+        let covered = -1;
+        path.forEach((message, index) => {
+            if (summaries[message.id]) covered = index;
+        });
+        const summary = covered >= 0 ? summaries[path[covered].id] : null;
+        const history = path.slice(covered + 1);
+
+        const fixed = (options.systemMessages || []).concat(summary ? [toSummaryMessage(summary)] : []);
+        const available = getBudget(model, options) - estimateTokens(fixed);
+        const { older, recent } = history.length > 0 ? splitToFit(history, available) : { older: [], recent: [] };
+
+        return {
+            summary,
+            summarisedIds: path.slice(0, covered + 1).map(message => message.id),
+            overflow: older,
+            kept: recent
+        };
+    }
+
+    /**
+     * Asks the model for a summary of older messages, continuing an earlier summary
+     * @param {string} model - The model ID
+     * @param {string|null} previous - The summary of the messages before these
+     * @param {Array} messages - The messages to fold in
+     * @param {AbortSignal} [signal] - Cancels the request
+     * @returns {Promise<Object>} - { text, usage }
+     */
+    async function summarise(model, previous, messages, signal) {
+        const transcript = messages
+            .map(message => `${message.role === 'user' ? 'User' : 'Assistant'}: ${message.content}` +
+                (message.attachments && message.attachments.length > 0 ?
+                    ` [attached: ${message.attachments.map(attachment => attachment.name).join(', ')}]` : '') +
+                (message.toolSteps ?
+                    ` [used tools: ${message.toolSteps.flatMap(step => step.calls.map(call => call.name)).join(', ')}]` : ''))
+            .join('\n\n');
+        const content = previous ?
+            `Earlier summary:\n${previous}\n\nConversation since then:\n${transcript}` : transcript;
+
+        const result = await ApiService.send(model, [
+            { role: 'system', content: SUMMARY_INSTRUCTIONS },
+            { role: 'user', content }
+        ], { signal, params: { maxTokens: SUMMARY_MAX_TOKENS } });
+
+        const text = (result.text || '').trim();
+        if (!text) {
+            throw new Error('The model returned an empty summary');
+        }
+        return { text, usage: result.usage };
+    }
+
+    /**
+     * Prepares the messages for a request so they fit the model's context window
+     * Depending on the strategy, older turns are summarised or left out
+     * @param {string} model - The model ID
+     * @param {Array} path - The conversation up to the latest message ({ id, role, content }), oldest first
+     * @param {Object} options - The plan() options, plus:
+     * @param {string} [options.strategy] - 'summarise' or 'trim'
+     * @param {AbortSignal} [options.signal] - Cancels the summary request
+     * @returns {Promise<Object>} - { messages, summaries, summarisedIds, droppedIds, summaryUsage }
+     */
+    async function prepare(model, path, options = {}) {
+        let summaries = options.summaries || {};
+        let result = plan(model, path, options);
+        let summaryUsage = null;
+
+        if (result.overflow.length > 0 && options.strategy === 'summarise') {
+            // Fold enough older turns into the summary to leave room for the next few
+            const folded = plan(model, path, {
+                ...options,
+                threshold: (options.threshold || 100) * SUMMARY_TARGET
+            }).overflow;
+
+            try {
+                const summary = await summarise(model, result.summary, folded, options.signal);
+                summaries = { ...summaries, [folded[folded.length - 1].id]: summary.text };
+                summaryUsage = summary.usage;
+                result = plan(model, path, { ...options, summaries });
+            } catch (err) {
+                console.warn('Could not summarise the conversation, leaving older messages out:', err);
+            }
+        }
+
+        const messages = (options.systemMessages || [])
+            .concat(result.summary ? [toSummaryMessage(result.summary)] : [])
+            .concat(result.kept);
+
+        return {
+            messages,
+            summaries,
+            summarisedIds: result.summarisedIds,
+            droppedIds: result.overflow.map(message => message.id),
+            summaryUsage
+        };
+    }
+
+    // Public API
+    return {
+        getContextWindow,
+        estimateTokens,
+        plan,
+        prepare
+    };
+})();
@@ -0,0 +1,425 @@
+/**
+ * Conversation Export Module - Converts conversations to and from files
+ * Markdown and HTML transcripts hold the active branch; the versioned JSON
+ * format holds the whole conversation so it can be imported and continued
+ */
+const ConversationExport = (function() {
+    'use strict';
+
+    // Identifies the JSON format, and its version for future changes
+    const FORMAT_ID = 'simple-ai-agent-conversation';
+    const FORMAT_VERSION = 1;
+
+    const ROLES = ['user', 'assistant'];
+    const ATTACHMENT_KINDS = ['image', 'pdf', 'text'];
+
+    // Stylesheet of the HTML transcript, so the file needs nothing else
+    const TRANSCRIPT_STYLES = `
+        body { margin: 0; background: #f5f5f5; color: #333; font: 16px/1.5 -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif; }
+        main { max-width: 860px; margin: 0 auto; padding: 20px; }
+        h1 { margin: 0 0 4px; font-size: 1.5rem; }
+        .meta { margin: 0 0 16px; color: #666; font-size: 0.9rem; }
+        .system { margin-bottom: 16px; padding: 8px 10px; background: #fff; border: 1px solid #ddd; border-radius: 8px; }
+        .system pre { white-space: pre-wrap; margin: 8px 0 0; font: inherit; }
+        .message { margin: 0 0 12px; padding: 10px 14px; border-radius: 8px; }
+        .message--user { background: #dcf8c6; margin-left: 15%; }
+        .message--assistant { background: #fff; border: 1px solid #ddd; margin-right: 15%; }
+        .message__header { margin-bottom: 4px; color: #666; font-size: 0.8rem; }
+        .message__text { white-space: pre-wrap; }
+        .message__note { color: #666; font-size: 0.8rem; font-style: italic; }
+        .attachments { display: flex; flex-wrap: wrap; gap: 6px; margin-bottom: 6px; }
+        .attachments img { max-width: 160px; max-height: 120px; border-radius: 4px; }
+        .attachments span { padding: 2px 6px; background: rgba(0,0,0,0.06); border-radius: 4px; font-size: 0.8rem; }
+        details { margin-bottom: 8px; padding: 4px 8px; border-left: 3px solid #2196F3; background: #f0f7ff; border-radius: 4px; font-size: 0.9rem; }
+        details.tool-call { border-left-color: #8e44ad; background: #f7f0fb; }
+        summary { cursor: pointer; font-weight: 600; }
+        details pre { white-space: pre-wrap; word-break: break-word; }
+        .markdown pre, .markdown code { font-family: Consolas, Monaco, monospace; font-size: 0.9rem; }
+        .markdown :not(pre) > code { padding: 1px 4px; background: rgba(0,0,0,0.06); border-radius: 4px; }
+        .markdown pre { margin: 0; padding: 10px; overflow-x: auto; background: #f8f8f8; }
+        .markdown blockquote { padding-left: 10px; border-left: 3px solid #ddd; color: #666; }
+        .markdown table { border-collapse: collapse; }
+        .markdown th, .markdown td { padding: 4px 8px; border: 1px solid #ddd; }
+        .code-block { margin: 8px 0; border: 1px solid #ddd; border-radius: 4px; overflow: hidden; }
+        .code-block__toolbar { padding: 2px 8px; background: rgba(0,0,0,0.04); border-bottom: 1px solid #ddd; font-size: 0.75rem; color: #666; }
+        .code-block__action { display: none; }
+        .code-block__line { display: block; }
+        .hl-comment { color: #6a737d; font-style: italic; }
+        .hl-string { color: #032f62; }
+        .hl-number, .hl-literal, .hl-property { color: #005cc5; }
+        .hl-keyword { color: #d73a49; }
+        .hl-type, .hl-function, .hl-attr { color: #6f42c1; }
+        .hl-variable { color: #e36209; }
+        .hl-meta { color: #735c0f; }
+        .hl-tag { color: #22863a; }
+    `;
+
+    /**
+     * Formats a timestamp for a transcript
+     * @param {number} [timestamp] - Milliseconds since the epoch
+     * @returns {string} - The local date and time, or '' if there is none
+     */
+    function formatTime(timestamp) {
+        return timestamp ? new Date(timestamp).toLocaleString() : '';
+    }
+
+    /**
+     * Describes a conversation's token usage and cost in one line
+     * @param {Object} conversation - The conversation
+     * @returns {string} - E.g. '1,200 tokens (800 prompt, 400 completion) · Cost: $0.01'
+     */
+    function describeTotals(conversation) {
+        const usage = conversation.usage || Utils.createUsage();
+        return `${usage.totalTokens.toLocaleString()} tokens (${Utils.describeUsageParts(usage)})` +
+            ` · Cost: ${Pricing.formatCost(conversation.cost || 0)}`;
+    }
+
+    /**
+     * Describes a tool call in one line
+     * @param {Object} call - The call ({ name, arguments, result, error })
+     * @returns {string} - E.g. 'calculator({"expression":"2+2"}) → {"result":4}'
+     */
+    function describeToolCall(call) {
+        const outcome = call.error ? `Error: ${call.error}` : JSON.stringify(call.result);
+        return `${call.name}(${JSON.stringify(call.arguments || {})}) → ${outcome}`;
+    }
+
+    /**
+     * Gets a file name for an export of a conversation
+     * @param {Object} conversation - The conversation
+     * @param {string} extension - The file extension, e.g. 'md'
+     * @returns {string} - The title made file-safe, e.g. 'trip-planning.md'
+     */
+    function getFileName(conversation, extension) {
+        const base = (conversation.title || 'conversation')
+            .toLowerCase()
+            .replace(/[^a-z0-9]+/g, '-')
+            .replace(/^-+|-+$/g, '')
+            .slice(0, 60);
+        return `${base || 'conversation'}.${extension}`;
+    }
+
+    /**
+     * Converts the active branch of a conversation into a Markdown transcript
+     * @param {Object} conversation - The conversation, with its message tree
+     * @returns {string} - The Markdown
+     */
+    function toMarkdown(conversation) {
+        const lines = [
+            `# ${conversation.title || 'Conversation'}`,
+            '',
+            `- Model: ${conversation.model || 'unknown'}`,
+            `- Created: ${formatTime(conversation.createdAt)}`,
+            `- Usage: ${describeTotals(conversation)}`,
+            ''
+        ];
+
+        if (conversation.systemPrompt) {
+            lines.push('## System prompt', '', ...conversation.systemPrompt.split('\n').map(line => `> ${line}`), '');
+        }
+
+        MessageTree.getActivePath(conversation.tree).forEach(node => {
+            const speaker = node.role === 'user' ? 'User' : `Assistant${node.model ? ` (${node.model})` : ''}`;
+            lines.push('---', '', `### ${speaker} · ${formatTime(node.timestamp)}`, '');
+
+            if (node.attachments && node.attachments.length > 0) {
+                lines.push(`*Attached: ${node.attachments.map(attachment => attachment.name).join(', ')}*`, '');
+            }
+            if (node.reasoning) {
+                lines.push('<details>', '<summary>Reasoning</summary>', '', node.reasoning, '', '</details>', '');
+            }
+            (node.toolSteps || []).forEach(step => {
+                if (step.text) lines.push(step.text, '');
+                step.calls.forEach(call => lines.push(`> 🔧 \`${describeToolCall(call).replace(/`/g, "'")}\``, ''));
+            });
+            lines.push(node.content || '', '');
+            if (node.interrupted) {
+                lines.push('*(Stopped before the reply finished)*', '');
+            }
+        });
+
+        return lines.join('\n');
+    }
+
+    /**
+     * Converts a message's attachments into HTML
+     * Images are embedded so the transcript stays self-contained
+     * @param {Array} [attachments] - The attachments
+     * @returns {string} - The HTML, or '' if there are none
+     */
+    function attachmentsToHtml(attachments) {
+        if (!attachments || attachments.length === 0) return '';
+
+        const escape = MarkdownRenderer.escapeHtml;
+        const items = attachments.map(attachment => attachment.kind === 'image' && attachment.data ?
+            `<img src="${escape(Attachments.toDataUrl(attachment))}" alt="${escape(attachment.name)}">` :
+            `<span>${escape(attachment.name)}</span>`);
+        return `<div class="attachments">${items.join('')}</div>`;
+    }
+
+    /**
+     * Converts the active branch of a conversation into a self-contained HTML page
+     * @param {Object} conversation - The conversation, with its message tree
+     * @returns {string} - The HTML document
+     */
+    function toHTML(conversation) {
+        const escape = MarkdownRenderer.escapeHtml;
+        const title = escape(conversation.title || 'Conversation');
+
+        const messages = MessageTree.getActivePath(conversation.tree).map(node => {
+            const isUser = node.role === 'user';
+            const speaker = isUser ? 'User' : `Assistant${node.model ? ` · ${escape(node.model)}` : ''}`;
+            const parts = [
+                `<div class="message__header">${speaker} · ${escape(formatTime(node.timestamp))}</div>`,
+                attachmentsToHtml(node.attachments)
+            ];
+
+            if (node.reasoning) {
+                parts.push(`<details><summary>Reasoning</summary><div class="markdown">${MarkdownRenderer.render(node.reasoning)}</div></details>`);
+            }
+            (node.toolSteps || []).forEach(step => {
+                if (step.text) parts.push(`<div class="markdown">${MarkdownRenderer.render(step.text)}</div>`);
+                step.calls.forEach(call => {
+                    parts.push(`<details class="tool-call"><summary>🔧 ${escape(call.name)}</summary>` +
+                        `<pre>${escape(describeToolCall(call))}</pre></details>`);
+                });
+            });
+            parts.push(isUser ?
+                `<div class="message__text">${escape(node.content || '')}</div>` :
+                `<div class="markdown">${MarkdownRenderer.render(node.content || '')}</div>`);
+            if (node.interrupted) {
+                parts.push('<div class="message__note">Stopped before the reply finished</div>');
+            }
+
+            return `<article class="message message--${isUser ? 'user' : 'assistant'}">${parts.join('')}</article>`;
+        });
+
+        const systemPrompt = conversation.systemPrompt ?
+            `<details class="system"><summary>System prompt</summary><pre>${escape(conversation.systemPrompt)}</pre></details>` : '';
+
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>${title}</title>
+<style>${TRANSCRIPT_STYLES}</style>
+</head>
+<body>
+<main>
+<h1>${title}</h1>
+<p class="meta">${escape(`${conversation.model || 'Unknown model'} · ${formatTime(conversation.createdAt)} · ${describeTotals(conversation)}`)}</p>
+${systemPrompt}
+${messages.join('\n')}
+</main>
+</body>
+</html>
+`;
+    }
+
+    /**
+     * Converts a whole conversation, with all its branches, into the JSON export format
+     * @param {Object} conversation - The conversation
+     * @returns {string} - The JSON text
+     */
+    function toJSON(conversation) {
+        return JSON.stringify({
+            format: FORMAT_ID,
+            version: FORMAT_VERSION,
+            exportedAt: Date.now(),
+            conversation: {
+                title: conversation.title,
+                model: conversation.model,
+                createdAt: conversation.createdAt,
+                updatedAt: conversation.updatedAt,
+                settings: {
+                    systemPrompt: conversation.systemPrompt || '',
+                    generationParams: conversation.generationParams || {}
+                },
+                usage: conversation.usage,
+                cost: conversation.cost || 0,
+                contextSummaries: conversation.contextSummaries || {},
+                tree: conversation.tree
+            }
+        }, null, 2);
+    }
+
+    /**
+     * Checks an imported attachment, dropping it if it is malformed
+     * @param {Object} attachment - The attachment
+     * @returns {Object|null} - The attachment, or null if it can't be used
+     */
+    function readAttachment(attachment) {
+        if (!attachment || !ATTACHMENT_KINDS.includes(attachment.kind) || typeof attachment.name !== 'string') {
+            return null;
+        }
+        if (attachment.kind === 'text' ? typeof attachment.text !== 'string' : typeof attachment.data !== 'string') {
+            return null;
+        }
+        return { ...attachment, id: attachment.id || Utils.generateId(), size: Number(attachment.size) || 0 };
+    }
+
+    /**
+     * Checks an imported message's token usage
+     * Usage from before reasoning tokens were counted has none, which is read as 0
+     * @param {Object} usage - The usage
+     * @returns {Object|null} - The usage, or null if it is malformed
+     */
+    function readUsage(usage) {
+        const isCount = value => Number.isFinite(value) && value >= 0;
+        if (!usage || !isCount(usage.promptTokens) || !isCount(usage.completionTokens) ||
+            !isCount(usage.totalTokens) || !(usage.reasoningTokens === undefined || isCount(usage.reasoningTokens))) {
+            return null;
+        }
+        const checked = Utils.createUsage(usage.promptTokens, usage.completionTokens, usage.totalTokens,
+            usage.reasoningTokens || 0);
+        return usage.estimated ? { ...checked, estimated: true } : checked;
+    }
+
+    /**
+     * Checks an imported reply's tool steps
+     * The steps are sent back to the provider in order, so one malformed step makes them all unusable
+     * @param {Array} steps - The tool steps ({ text, calls })
+     * @returns {Array|null} - The steps, or null if any is malformed
+     */
+    function readToolSteps(steps) {
+        const isCall = call => Boolean(call) && typeof call.id === 'string' && typeof call.name === 'string' &&
+            (call.error === undefined || typeof call.error === 'string');
+        const valid = Array.isArray(steps) && steps.every(step =>
+            step && typeof step.text === 'string' && Array.isArray(step.calls) && step.calls.every(isCall));
+        return valid ? steps : null;
+    }
+
+    /**
+     * Checks an imported message tree
+     * Every node needs a known role and text content, and every link has to point
+     * to a node in the tree; parents and children have to agree, every node has to be
+     * reached exactly once from the roots, and each active child has to be one of the children
+     * @param {Object} tree - The tree
+     * @returns {Object} - The tree, with malformed optional fields of its messages dropped
+     */
+    function readTree(tree) {
+        if (!tree || typeof tree.nodes !== 'object' || !Array.isArray(tree.rootIds)) {
+            throw new Error('The file has no messages');
+        }
+
+        const nodes = {};
+        Object.entries(tree.nodes).forEach(([id, node]) => {
+            if (!node || node.id !== id || !ROLES.includes(node.role) || typeof node.content !== 'string' ||
+                !Array.isArray(node.childIds)) {
+                throw new Error('The file has a malformed message');
+            }
+            if (node.attachments && !Array.isArray(node.attachments)) {
+                throw new Error('The file has a malformed message');
+            }
+            // Optional fields are dropped if malformed, so the rest of the message can still be shown
+            const { usage, cost, toolSteps, reasoning, model, ...message } = node;
+            if (node.attachments) {
+                message.attachments = node.attachments.map(readAttachment).filter(Boolean);
+            }
+            if (readUsage(usage)) {
+                message.usage = readUsage(usage);
+                if (Number.isFinite(cost)) message.cost = cost;
+            }
+            if (readToolSteps(toolSteps)) message.toolSteps = toolSteps;
+            if (typeof reasoning === 'string') message.reasoning = reasoning;
+            if (typeof model === 'string') message.model = model;
+            nodes[id] = message;
+        });
+
+        const exists = id => Object.hasOwn(nodes, id);
+        const linksValid = tree.rootIds.every(id => exists(id) && nodes[id].parentId === null) &&
+            (tree.activeRootId === null || tree.rootIds.includes(tree.activeRootId)) &&
+            Object.values(nodes).every(node =>
+                (node.parentId === null || (exists(node.parentId) && nodes[node.parentId].childIds.includes(node.id))) &&
+                node.childIds.every(childId => exists(childId) && nodes[childId].parentId === node.id) &&
+                (node.activeChildId === null || node.childIds.includes(node.activeChildId)));
+        if (!linksValid || !reachesEachNodeOnce(nodes, tree.rootIds)) {
+            throw new Error('The file\'s messages are not linked up correctly');
+        }
+
+        return { nodes, rootIds: [...tree.rootIds], activeRootId: tree.activeRootId };
+    }
+
+    /**
+     * Checks that walking down from the roots reaches every node exactly once
+     * A node reached twice would make the tree a graph with shared or looping branches
+     * @param {Object} nodes - The nodes by ID
+     * @param {Array<string>} rootIds - The root node IDs
+     * @returns {boolean} - Whether every node is reached once
+     */
+    function reachesEachNodeOnce(nodes, rootIds) {
+        const reached = new Set();
+        const pending = [...rootIds];
+        while (pending.length > 0) {
+            const id = pending.pop();
+            if (reached.has(id)) return false;
+            reached.add(id);
+            pending.push(...nodes[id].childIds);
+        }
+        return reached.size === Object.keys(nodes).length;
+    }
+
+    /**
+     * Checks an imported conversation's rolling summaries, dropping any that aren't text
+     * @param {Object} summaries - The summaries by the ID of the last message they cover
+     * @returns {Object} - The summaries that can be used
+     */
+    function readSummaries(summaries) {
+        if (!summaries || typeof summaries !== 'object') return {};
+        return Object.fromEntries(Object.entries(summaries).filter(([, summary]) => typeof summary === 'string'));
+    }
+
+    /**
+     * Reads a conversation from the JSON export format
+     * The conversation gets a new ID, so importing the same file twice keeps both copies
+     * @param {string} text - The file content
+     * @returns {Object} - The conversation record, ready to be stored
+     */
+    function fromJSON(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (err) {
+            throw new Error('The file is not valid JSON');
+        }
+
+        if (!data || data.format !== FORMAT_ID || !data.conversation) {
+            throw new Error('The file is not a conversation export');
+        }
+        if (!Number.isInteger(data.version) || data.version > FORMAT_VERSION) {
+            throw new Error(`The file uses format version ${data.version}, which this version can't read`);
+        }
+
+        const source = data.conversation;
+        const settings = source.settings || {};
+        const tree = readTree(source.tree);
+        const usage = source.usage || {};
+        const now = Date.now();
+
+        return {
+            id: Utils.generateId(),
+            title: typeof source.title === 'string' && source.title.trim() ? source.title.trim() : 'Imported chat',
+            model: typeof source.model === 'string' ? source.model : '',
+            systemPrompt: typeof settings.systemPrompt === 'string' ? settings.systemPrompt : '',
+            personaId: null,
+            generationParams: GenerationParams.merge(settings.generationParams),
+            contextSummaries: readSummaries(source.contextSummaries),
+            createdAt: Number(source.createdAt) || now,
+            updatedAt: now,
+            usage: Utils.createUsage(Number(usage.promptTokens) || 0, Number(usage.completionTokens) || 0,
+                Number(usage.totalTokens) || 0, Number(usage.reasoningTokens) || 0),
+            cost: Number(source.cost) || 0,
+            tree
+        };
+    }
+
+    // Public API
+    return {
+        getFileName,
+        toMarkdown,
+        toHTML,
+        toJSON,
+        fromJSON
+    };
+})();
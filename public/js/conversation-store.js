@@ -0,0 +1,328 @@
+/**
+ * Conversation Store Module - Persists conversations in IndexedDB
+ * Each conversation keeps its title, model, timestamps, token totals and message tree
+ * Also keeps a per-day spending ledger, which outlives deleted conversations, the persona library,
+ * the user-defined model providers and a cache of each provider's model list
+ * Every user gets a separate database, so shared browsers don't mix histories
+ */
+const ConversationStore = (function() {
+    'use strict';
+
+    const DB_NAME = 'simple-ai-chat';
+    const DB_VERSION = 5;
+    const CONVERSATIONS_STORE = 'conversations';
+    const SPENDING_STORE = 'spending';
+    const PERSONAS_STORE = 'personas';
+    const PROVIDERS_STORE = 'providers';
+    const MODEL_CACHE_STORE = 'modelCache';
+
+    // Private state
+    let dbName = DB_NAME;
+    let dbPromise = null;
+
+    /**
+     * Switches the store to a user's database
+     * @param {string} username - The logged in user
+     */
+    function setUser(username) {
+        const name = `${DB_NAME}:${username}`;
+        if (name === dbName) return;
+        
+        if (dbPromise) {
+            dbPromise.then(db => db.close()).catch(() => {});
+        }
+        dbName = name;
+        dbPromise = null;
+    }
+
+    /**
+     * Creates or migrates the object stores
+     * @param {IDBDatabase} db - The database being upgraded
+     * @param {number} oldVersion - The version the database is upgraded from
+     */
+    function upgradeDatabase(db, oldVersion) {
+        if (oldVersion < 1) {
+            const store = db.createObjectStore(CONVERSATIONS_STORE, { keyPath: 'id' });
+            store.createIndex('updatedAt', 'updatedAt');
+        }
+        if (oldVersion < 2) {
+            db.createObjectStore(SPENDING_STORE, { keyPath: 'date' });
+        }
+        if (oldVersion < 3) {
+            db.createObjectStore(PERSONAS_STORE, { keyPath: 'id' });
+        }
+        if (oldVersion < 4) {
+            db.createObjectStore(PROVIDERS_STORE, { keyPath: 'id' });
+        }
+        if (oldVersion < 5) {
+            db.createObjectStore(MODEL_CACHE_STORE, { keyPath: 'provider' });
+        }
+    }
+
+    /**
+     * Opens the database (once) and returns the connection
+     * @returns {Promise<IDBDatabase>} - The open database
+     */
+    function openDatabase() {
+        if (dbPromise) return dbPromise;
+        
+        dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(dbName, DB_VERSION);
+            request.onupgradeneeded = event => upgradeDatabase(request.result, event.oldVersion);
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => {
+                dbPromise = null;
+                reject(request.error);
+            };
+        });
+        
+        return dbPromise;
+    }
+
+    /**
+     * Runs a request inside a transaction and waits for it to complete
+     * @param {string} storeName - The object store to use
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {Function} callback - Receives the object store, returns an IDBRequest
+     * @returns {Promise<*>} - The request result
+     */
+    async function runTransaction(storeName, mode, callback) {
+        const db = await openDatabase();
+        
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(storeName, mode);
+            const request = callback(transaction.objectStore(storeName));
+            
+            transaction.oncomplete = () => resolve(request ? request.result : undefined);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * Lists all conversations, most recently updated first
+     * @returns {Promise<Array>} - The stored conversations
+     */
+    async function listConversations() {
+        const conversations = await runTransaction(CONVERSATIONS_STORE, 'readonly', store => store.getAll());
+        return conversations.sort((a, b) => b.updatedAt - a.updatedAt);
+    }
+
+    /**
+     * Lists conversations whose title or messages contain the query
+     * @param {string} query - The search text
+     * @returns {Promise<Array>} - The matching conversations
+     */
+    async function searchConversations(query) {
+        const conversations = await listConversations();
+        const needle = (query || '').trim().toLowerCase();
+        if (!needle) return conversations;
+        
+        return conversations.filter(conversation => {
+            const messages = conversation.tree ?
+                MessageTree.getAllMessages(conversation.tree) : (conversation.messages || []);
+            
+            return conversation.title.toLowerCase().includes(needle) ||
+                messages.some(message => (message.content || '').toLowerCase().includes(needle));
+        });
+    }
+
+    /**
+     * Gets a conversation by ID
+     * @param {string} id - The conversation ID
+     * @returns {Promise<Object|null>} - The conversation or null if not found
+     */
+    async function getConversation(id) {
+        const conversation = await runTransaction(CONVERSATIONS_STORE, 'readonly', store => store.get(id));
+        return conversation || null;
+    }
+
+    /**
+     * Creates or replaces a conversation
+     * @param {Object} conversation - The conversation to store
+     * @returns {Promise<Object>} - The stored conversation
+     */
+    async function saveConversation(conversation) {
+        await runTransaction(CONVERSATIONS_STORE, 'readwrite', store => store.put(conversation));
+        return conversation;
+    }
+
+    /**
+     * Renames a conversation
+     * @param {string} id - The conversation ID
+     * @param {string} title - The new title
+     * @returns {Promise<Object|null>} - The updated conversation or null if not found
+     */
+    async function renameConversation(id, title) {
+        const conversation = await getConversation(id);
+        if (!conversation) return null;
+        
+        conversation.title = title;
+        conversation.updatedAt = Date.now();
+        return saveConversation(conversation);
+    }
+
+    /**
+     * Deletes a conversation
+     * @param {string} id - The conversation ID
+     * @returns {Promise<void>}
+     */
+    async function deleteConversation(id) {
+        await runTransaction(CONVERSATIONS_STORE, 'readwrite', store => store.delete(id));
+    }
+
+    /**
+     * Formats a date as a local calendar day key
+     * @param {Date} date - The date
+     * @returns {string} - The key ('YYYY-MM-DD'), which sorts chronologically
+     */
+    function toDateKey(date) {
+        const month = String(date.getMonth() + 1).padStart(2, '0');
+        const day = String(date.getDate()).padStart(2, '0');
+        return `${date.getFullYear()}-${month}-${day}`;
+    }
+
+    /**
+     * Adds a cost to today's spending
+     * @param {number} cost - The cost in dollars
+     * @returns {Promise<void>}
+     */
+    async function recordSpending(cost) {
+        if (!cost) return;
+        
+        const date = toDateKey(new Date());
+        const db = await openDatabase();
+        
+        // Read and update in one transaction so concurrent replies don't lose a cost
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(SPENDING_STORE, 'readwrite');
+            const store = transaction.objectStore(SPENDING_STORE);
+            const request = store.get(date);
+            
+            request.onsuccess = () => {
+                const entry = request.result || { date, cost: 0 };
+                store.put({ date, cost: entry.cost + cost });
+            };
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * Gets the spending for today and for the current month
+     * @returns {Promise<Object>} - Spending in dollars as { today, month }
+     */
+    async function getSpending() {
+        const now = new Date();
+        const today = toDateKey(now);
+        const monthStart = toDateKey(new Date(now.getFullYear(), now.getMonth(), 1));
+        
+        const entries = await runTransaction(SPENDING_STORE, 'readonly',
+            store => store.getAll(IDBKeyRange.lowerBound(monthStart)));
+        
+        return entries.reduce((spending, entry) => ({
+            today: spending.today + (entry.date === today ? entry.cost : 0),
+            month: spending.month + entry.cost
+        }), { today: 0, month: 0 });
+    }
+
+    /**
+     * Lists the saved personas, sorted by name
+     * @returns {Promise<Array>} - Personas as { id, name, systemPrompt, createdAt, updatedAt }
+     */
+    async function listPersonas() {
+        const personas = await runTransaction(PERSONAS_STORE, 'readonly', store => store.getAll());
+        return personas.sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    /**
+     * Creates or replaces a persona
+     * @param {Object} persona - The persona to store
+     * @returns {Promise<Object>} - The stored persona
+     */
+    async function savePersona(persona) {
+        await runTransaction(PERSONAS_STORE, 'readwrite', store => store.put(persona));
+        return persona;
+    }
+
+    /**
+     * Deletes a persona
+     * Conversations started from it keep their copy of the system prompt
+     * @param {string} id - The persona ID
+     * @returns {Promise<void>}
+     */
+    async function deletePersona(id) {
+        await runTransaction(PERSONAS_STORE, 'readwrite', store => store.delete(id));
+    }
+
+    /**
+     * Lists the user-defined providers, sorted by name
+     * @returns {Promise<Array>} - Providers as { id, name, baseUrl, apiKey, models, contextWindow, supportsTools, supportsVision, createdAt, updatedAt }
+     */
+    async function listProviders() {
+        const providers = await runTransaction(PROVIDERS_STORE, 'readonly', store => store.getAll());
+        return providers.sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    /**
+     * Creates or replaces a user-defined provider
+     * @param {Object} provider - The provider to store
+     * @returns {Promise<Object>} - The stored provider
+     */
+    async function saveProvider(provider) {
+        await runTransaction(PROVIDERS_STORE, 'readwrite', store => store.put(provider));
+        return provider;
+    }
+
+    /**
+     * Deletes a user-defined provider
+     * Conversations that used its models keep their history but can't continue with them
+     * @param {string} id - The provider ID
+     * @returns {Promise<void>}
+     */
+    async function deleteProvider(id) {
+        await runTransaction(PROVIDERS_STORE, 'readwrite', store => store.delete(id));
+    }
+
+    /**
+     * Gets the cached model list of a provider
+     * @param {string} provider - The provider ID
+     * @returns {Promise<Object|null>} - The cache entry ({ provider, models, fetchedAt }) or null if none
+     */
+    async function getModelCache(provider) {
+        const entry = await runTransaction(MODEL_CACHE_STORE, 'readonly', store => store.get(provider));
+        return entry || null;
+    }
+
+    /**
+     * Caches the model list of a provider
+     * @param {Object} entry - The cache entry ({ provider, models, fetchedAt })
+     * @returns {Promise<Object>} - The stored entry
+     */
+    async function saveModelCache(entry) {
+        await runTransaction(MODEL_CACHE_STORE, 'readwrite', store => store.put(entry));
+        return entry;
+    }
+
+    // Public API
+    return {
+        setUser,
+        listConversations,
+        searchConversations,
+        getConversation,
+        saveConversation,
+        renameConversation,
+        deleteConversation,
+        recordSpending,
+        getSpending,
+        listPersonas,
+        savePersona,
+        deletePersona,
+        listProviders,
+        saveProvider,
+        deleteProvider,
+        getModelCache,
+        saveModelCache
+    };
+})();
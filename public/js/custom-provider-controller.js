@@ -0,0 +1,261 @@
+/**
+ * Custom Provider Controller Module - Manages the user-defined model providers
+ * Lists, adds, edits and deletes OpenAI-compatible servers in the settings modal,
+ * and registers them with ProviderRegistry so the model catalog lists their models
+ */
+const CustomProviderController = (function() {
+    'use strict';
+
+    const MAX_NAME_LENGTH = 60;
+
+    // Private state
+    let providers = [];
+    let editingId = null;
+    let modalBound = false;
+
+    /**
+     * Loads the current user's providers from the store and registers them
+     * The model catalog has to be loaded afterwards to list their models
+     * @returns {Promise<Array>} - The providers
+     */
+    async function load() {
+        try {
+            providers = await ConversationStore.listProviders();
+        } catch (err) {
+            console.error('Error loading providers:', err);
+            providers = [];
+        }
+
+        CustomProvider.registerAll(providers);
+        return providers;
+    }
+
+    /**
+     * Gets a provider by ID
+     * @param {string} id - The provider ID
+     * @returns {Object|null} - The provider or null if not found
+     */
+    function getProvider(id) {
+        return providers.find(provider => provider.id === id) || null;
+    }
+
+    /**
+     * Wires the provider section of the settings modal
+     * Called once the modal has been created from its template
+     */
+    function bindModal() {
+        if (modalBound) return;
+        modalBound = true;
+
+        document.getElementById('provider-new-button').addEventListener('click', () => showEditor(null));
+        document.getElementById('provider-save-button').addEventListener('click', saveEditor);
+        document.getElementById('provider-cancel-button').addEventListener('click', hideEditor);
+        document.getElementById('provider-detect-button').addEventListener('click', detectModels);
+
+        // Event delegation for provider items
+        document.getElementById('provider-list').addEventListener('click', function(event) {
+            const action = event.target.closest('[data-provider-action]');
+            const item = event.target.closest('.provider-list__item');
+            if (!action || !item) return;
+
+            const id = item.getAttribute('data-provider-id');
+            if (action.getAttribute('data-provider-action') === 'edit') {
+                showEditor(id);
+            } else {
+                deleteProvider(id);
+            }
+        });
+    }
+
+    /**
+     * Renders the provider list in the settings modal
+     */
+    function renderList() {
+        const list = document.getElementById('provider-list');
+        if (!list) return;
+
+        list.innerHTML = '';
+        if (providers.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'provider-list__empty';
+            empty.textContent = 'No local or custom servers yet';
+            list.appendChild(empty);
+        }
+
+        providers.forEach(provider => {
+            const item = Utils.createFromTemplate('provider-item-template');
+            item.setAttribute('data-provider-id', provider.id);
+            item.querySelector('.provider-list__name').textContent = provider.name;
+            item.querySelector('.provider-list__detail').textContent =
+                `${provider.baseUrl} · ${provider.models.length} model${provider.models.length === 1 ? '' : 's'}`;
+            list.appendChild(item);
+        });
+    }
+
+    /**
+     * Shows the editor for a new or existing provider
+     * @param {string|null} id - The provider to edit, or null for a new one
+     */
+    function showEditor(id) {
+        const provider = id ? getProvider(id) : null;
+        editingId = provider ? provider.id : null;
+
+        document.getElementById('provider-name-input').value = provider ? provider.name : '';
+        document.getElementById('provider-url-input').value = provider ? provider.baseUrl : '';
+        document.getElementById('provider-key-input').value = provider ? provider.apiKey : '';
+        document.getElementById('provider-models-input').value = provider ? provider.models.join('\n') : '';
+        document.getElementById('provider-context-input').value = provider && provider.contextWindow ? provider.contextWindow : '';
+        document.getElementById('provider-tools-toggle').checked = Boolean(provider && provider.supportsTools);
+        document.getElementById('provider-vision-toggle').checked = Boolean(provider && provider.supportsVision);
+        document.getElementById('provider-editor').style.display = 'block';
+        setStatus('');
+        document.getElementById('provider-name-input').focus();
+    }
+
+    /**
+     * Hides the provider editor without saving
+     */
+    function hideEditor() {
+        editingId = null;
+        document.getElementById('provider-editor').style.display = 'none';
+    }
+
+    /**
+     * Reads the server address and key from the editor
+     * @returns {Object} - { baseUrl, apiKey }
+     */
+    function readConnection() {
+        return {
+            baseUrl: CustomProvider.normalizeBaseUrl(document.getElementById('provider-url-input').value),
+            apiKey: document.getElementById('provider-key-input').value.trim()
+        };
+    }
+
+    /**
+     * Reads the model list from the editor, one model per line
+     * @returns {Array<string>} - The model names, without duplicates
+     */
+    function readModels() {
+        const lines = document.getElementById('provider-models-input').value.split('\n').map(line => line.trim());
+        return Array.from(new Set(lines.filter(Boolean)));
+    }
+
+    /**
+     * Fills the editor's model list from the server's /v1/models
+     */
+    async function detectModels() {
+        const button = document.getElementById('provider-detect-button');
+        button.disabled = true;
+        setStatus('Asking the server for its models...');
+
+        try {
+            const models = await CustomProvider.probeModels(readConnection());
+            if (models.length === 0) {
+                setStatus('The server did not list any models. Enter them by hand.');
+                return;
+            }
+            document.getElementById('provider-models-input').value = models.join('\n');
+            setStatus(`Found ${models.length} model${models.length === 1 ? '' : 's'}.`);
+        } catch (err) {
+            setStatus(err.message);
+        } finally {
+            button.disabled = false;
+        }
+    }
+
+    /**
+     * Saves the provider in the editor
+     * Without a model list, the server is asked for one first
+     */
+    async function saveEditor() {
+        const name = document.getElementById('provider-name-input').value.trim().slice(0, MAX_NAME_LENGTH);
+        if (!name) {
+            setStatus('A server needs a name.');
+            return;
+        }
+
+        let connection;
+        try {
+            connection = readConnection();
+        } catch (err) {
+            setStatus(err.message);
+            return;
+        }
+
+        let models = readModels();
+        if (models.length === 0) {
+            try {
+                models = await CustomProvider.probeModels(connection);
+            } catch (err) {
+                setStatus(`${err.message} Enter the models by hand to save anyway.`);
+                return;
+            }
+            if (models.length === 0) {
+                setStatus('The server did not list any models. Enter them by hand.');
+                return;
+            }
+        }
+
+        const contextWindow = parseInt(document.getElementById('provider-context-input').value, 10);
+        const now = Date.now();
+        const existing = editingId ? getProvider(editingId) : null;
+        const provider = {
+            ...(existing || { id: Utils.generateId(), createdAt: now }),
+            name,
+            ...connection,
+            models,
+            contextWindow: Number.isFinite(contextWindow) && contextWindow > 0 ? contextWindow : 0,
+            supportsTools: document.getElementById('provider-tools-toggle').checked,
+            supportsVision: document.getElementById('provider-vision-toggle').checked,
+            updatedAt: now
+        };
+
+        try {
+            await ConversationStore.saveProvider(provider);
+            hideEditor();
+            await load();
+            await ModelCatalog.load();
+            renderList();
+            setStatus(`Saved "${name}".`);
+        } catch (err) {
+            console.error('Error saving provider:', err);
+            setStatus('Could not save the server.');
+        }
+    }
+
+    /**
+     * Deletes a provider after confirmation
+     * @param {string} id - The provider ID
+     */
+    async function deleteProvider(id) {
+        const provider = getProvider(id);
+        if (!provider || !confirm(`Remove "${provider.name}" and its models?`)) return;
+
+        try {
+            await ConversationStore.deleteProvider(id);
+            if (editingId === id) hideEditor();
+            await load();
+            await ModelCatalog.load();
+            renderList();
+        } catch (err) {
+            console.error('Error deleting provider:', err);
+            setStatus('Could not remove the server.');
+        }
+    }
+
+    /**
+     * Shows a status message in the provider section
+     * @param {string} message - The message (empty to clear)
+     */
+    function setStatus(message) {
+        const status = document.getElementById('provider-status');
+        if (status) status.textContent = message;
+    }
+
+    // Public API
+    return {
+        load,
+        bindModal,
+        renderList
+    };
+})();
@@ -0,0 +1,135 @@
+/**
+ * Fallback Controller Module - Edits the fallback model chains in the settings modal
+ * Each model can have an ordered list of models that answer the turn when its request fails
+ */
+const FallbackController = (function() {
+    'use strict';
+
+    // Models one chain can fall back to
+    const MAX_FALLBACKS = 3;
+
+    // Private state
+    let drafts = {};
+    let primary = '';
+    let modalBound = false;
+
+    /**
+     * Wires the fallback section of the settings modal
+     * Called once the modal has been created from its template
+     */
+    function bindModal() {
+        if (modalBound) return;
+        modalBound = true;
+
+        document.getElementById('fallback-model-select').addEventListener('change', function() {
+            primary = this.value;
+            renderChain();
+        });
+
+        document.getElementById('fallback-add-select').addEventListener('change', function() {
+            const model = this.value;
+            if (model && getChain().length < MAX_FALLBACKS) {
+                drafts[primary] = [...getChain(), model];
+            }
+            renderChain();
+        });
+
+        document.getElementById('fallback-chain').addEventListener('click', function(event) {
+            const button = event.target.closest('[data-fallback-action]');
+            if (!button) return;
+
+            const chain = getChain();
+            const index = Number(button.closest('.fallback-chain__item').getAttribute('data-index'));
+            if (button.getAttribute('data-fallback-action') === 'up' && index > 0) {
+                [chain[index - 1], chain[index]] = [chain[index], chain[index - 1]];
+            } else if (button.getAttribute('data-fallback-action') === 'remove') {
+                chain.splice(index, 1);
+            }
+            drafts[primary] = chain;
+            renderChain();
+        });
+    }
+
+    /**
+     * Fills the fallback section with the saved chains
+     * @param {Object} fallbackChains - Fallback model IDs by model ID
+     */
+    function open(fallbackChains) {
+        drafts = {};
+        Object.keys(fallbackChains || {}).forEach(model => {
+            drafts[model] = fallbackChains[model].slice();
+        });
+
+        const select = document.getElementById('fallback-model-select');
+        select.innerHTML = '';
+        ModelCatalog.list().forEach(model => {
+            const chain = drafts[model.id] || [];
+            select.appendChild(new Option(chain.length > 0 ? `${model.name} (${chain.length} fallback${chain.length === 1 ? '' : 's'})` :
+                model.name, model.id));
+        });
+
+        // Start with the selected model's chain
+        primary = ModelCatalog.hasModel(UIController.getSelectedModel()) ? UIController.getSelectedModel() : select.value;
+        select.value = primary;
+        renderChain();
+    }
+
+    /**
+     * Gets the chain being edited
+     * @returns {Array<string>} - A copy of the fallback model IDs, in order
+     */
+    function getChain() {
+        return (drafts[primary] || []).slice();
+    }
+
+    /**
+     * Renders the chain of the chosen model and the models that can be added to it
+     */
+    function renderChain() {
+        const list = document.getElementById('fallback-chain');
+        const chain = getChain();
+
+        list.innerHTML = '';
+        chain.forEach((model, index) => {
+            const item = Utils.createFromTemplate('fallback-item-template');
+            item.setAttribute('data-index', index);
+            item.querySelector('.fallback-chain__name').textContent = ModelCatalog.getModelName(model);
+            item.querySelector('[data-fallback-action="up"]').disabled = index === 0;
+            list.appendChild(item);
+        });
+        if (chain.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'fallback-chain__empty';
+            empty.textContent = 'No fallbacks: a failed request shows an error';
+            list.appendChild(empty);
+        }
+
+        const addSelect = document.getElementById('fallback-add-select');
+        addSelect.innerHTML = '';
+        addSelect.disabled = !primary || chain.length >= MAX_FALLBACKS;
+        addSelect.appendChild(new Option(chain.length >= MAX_FALLBACKS ?
+            `At most ${MAX_FALLBACKS} fallbacks` : 'Add a fallback model...', ''));
+        ModelCatalog.list()
+            .filter(model => model.id !== primary && !chain.includes(model.id))
+            .forEach(model => addSelect.appendChild(new Option(`${model.name} (${model.providerName})`, model.id)));
+    }
+
+    /**
+     * Collects the chains to save
+     * @returns {Object} - Fallback model IDs by model ID; models without fallbacks are left out
+     */
+    function collect() {
+        const fallbackChains = {};
+        Object.keys(drafts).forEach(model => {
+            if (drafts[model].length > 0) fallbackChains[model] = drafts[model].slice();
+        });
+        return fallbackChains;
+    }
+
+    // Public API
+    return {
+        bindModal,
+        open,
+        collect
+    };
+})();
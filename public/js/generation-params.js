@@ -0,0 +1,118 @@
+/**
+ * Generation Params Module - Provider-neutral generation parameters
+ * Defines the parameters users can set, merges per-model and per-conversation values
+ * and validates them against the ranges a provider allows for a model
+ */
+const GenerationParams = (function() {
+    'use strict';
+
+    // Parameters in display order; providers translate the keys into their own request fields
+    const PARAMETERS = [
+        { key: 'temperature', label: 'Temperature', type: 'number' },
+        { key: 'topP', label: 'Top P', type: 'number' },
+        { key: 'maxTokens', label: 'Max output tokens', type: 'integer' },
+        { key: 'stopSequences', label: 'Stop sequences', type: 'list' },
+        { key: 'seed', label: 'Seed', type: 'integer' },
+        { key: 'presencePenalty', label: 'Presence penalty', type: 'number' },
+        { key: 'frequencyPenalty', label: 'Frequency penalty', type: 'number' }
+    ];
+
+    /**
+     * Lists the parameter definitions
+     * @returns {Array} - Parameters as { key, label, type } ('number', 'integer' or 'list')
+     */
+    function list() {
+        return PARAMETERS.map(param => ({ ...param }));
+    }
+
+    /**
+     * Checks whether a parameter value is set
+     * @param {*} value - The value
+     * @returns {boolean} - False for missing values and empty lists
+     */
+    function isSet(value) {
+        if (Array.isArray(value)) return value.length > 0;
+        return value !== undefined && value !== null && value !== '';
+    }
+
+    /**
+     * Merges parameter sets; later sets override earlier ones, unset values are ignored
+     * @param {...Object} layers - Parameter sets, e.g. model defaults then conversation values
+     * @returns {Object} - The merged parameters
+     */
+    function merge(...layers) {
+        const merged = {};
+        layers.filter(Boolean).forEach(layer => {
+            PARAMETERS.forEach(({ key }) => {
+                if (isSet(layer[key])) merged[key] = layer[key];
+            });
+        });
+        return merged;
+    }
+
+    /**
+     * Describes a parameter's allowed range for hints and error messages
+     * @param {Object} param - The parameter definition
+     * @param {Object} range - The provider's range ({ min, max } or { maxItems })
+     * @returns {string} - E.g. '0 – 2' or 'up to 4'
+     */
+    function describeRange(param, range) {
+        if (!range) return 'not supported by this model';
+        if (param.type === 'list') return `up to ${range.maxItems}, one per line`;
+        if (range.min === undefined && range.max === undefined) return 'any whole number';
+        return `${range.min} – ${range.max}`;
+    }
+
+    /**
+     * Validates parameters against a provider's ranges
+     * @param {Object} params - The parameters to check
+     * @param {Object} ranges - Allowed ranges by key; a missing key means the parameter is unsupported
+     * @returns {{params: Object, errors: Object}} - The valid parameters and an error message per invalid key
+     */
+    function validate(params, ranges) {
+        const valid = {};
+        const errors = {};
+
+        PARAMETERS.forEach(param => {
+            const value = params ? params[param.key] : undefined;
+            if (!isSet(value)) return;
+
+            const range = ranges[param.key];
+            if (!range) {
+                errors[param.key] = `${param.label} is not supported by this model`;
+                return;
+            }
+
+            if (param.type === 'list') {
+                if (!Array.isArray(value) || value.some(item => typeof item !== 'string')) {
+                    errors[param.key] = `${param.label} must be a list of text`;
+                } else if (value.length > range.maxItems) {
+                    errors[param.key] = `${param.label}: at most ${range.maxItems}`;
+                } else {
+                    valid[param.key] = value;
+                }
+                return;
+            }
+
+            if (typeof value !== 'number' || !Number.isFinite(value) ||
+                (param.type === 'integer' && !Number.isInteger(value))) {
+                errors[param.key] = `${param.label} must be a ${param.type === 'integer' ? 'whole number' : 'number'}`;
+            } else if ((range.min !== undefined && value < range.min) || (range.max !== undefined && value > range.max)) {
+                errors[param.key] = `${param.label} must be between ${range.min} and ${range.max}`;
+            } else {
+                valid[param.key] = value;
+            }
+        });
+
+        return { params: valid, errors };
+    }
+
+    // Public API
+    return {
+        list,
+        isSet,
+        merge,
+        describeRange,
+        validate
+    };
+})();
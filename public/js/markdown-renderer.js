@@ -0,0 +1,529 @@
+/**
+ * Markdown Renderer Module - Converts Markdown in AI messages to safe HTML
+ * All text is escaped first and only a fixed set of tags is generated, so model
+ * output can never inject markup. Also renders partial text while a reply streams.
+ */
+const MarkdownRenderer = (function() {
+    'use strict';
+
+    // Link targets that may be rendered as clickable links
+    const SAFE_URL_PATTERN = /^(https?:|mailto:)/i;
+
+    // Block-level patterns
+    const FENCE_PATTERN = /^ {0,3}(`{3,}|~{3,})\s*([^`\s]*)/;
+    const HEADING_PATTERN = /^ {0,3}(#{1,6})\s+(.*?)(?:\s+#+)?\s*$/;
+    const HR_PATTERN = /^ {0,3}([-*_])(?:\s*\1){2,}\s*$/;
+    const BLOCKQUOTE_PATTERN = /^ {0,3}>\s?/;
+    const LIST_ITEM_PATTERN = /^( *)([-*+]|\d{1,9}[.)])(\s+)(.*)$/;
+    const TABLE_SEPARATOR_PATTERN = /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/;
+
+    // Placeholder markers used while rendering inline elements
+    const PLACEHOLDER_PATTERN = /\u0000(\d+)\u0000/g;
+
+    /**
+     * Escapes text for use in HTML content and attributes
+     * @param {string} text - The text to escape
+     * @returns {string} - Escaped text
+     */
+    function escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    /**
+     * Renders inline Markdown (code, links, emphasis) in a line of text
+     * @param {string} text - The raw text
+     * @returns {string} - HTML
+     */
+    function renderInline(text) {
+        return renderHeldInline(text.replace(/\u0000/g, ''), []);
+    }
+
+    /**
+     * Renders inline Markdown, holding finished HTML in a placeholder table
+     * Link labels are rendered with the same table, so code spans held before the link was found are restored in them
+     * @param {string} text - The text, free of NUL characters except for placeholders
+     * @param {Array<string>} placeholders - The held HTML, shared with the enclosing call
+     * @returns {string} - HTML
+     */
+    function renderHeldInline(text, placeholders) {
+        const hold = html => `\u0000${placeholders.push(html) - 1}\u0000`;
+
+        let result = text;
+
+        // Code spans keep their content literally
+        result = result.replace(/(`+)([\s\S]*?[^`])\1(?!`)/g, (match, ticks, code) =>
+            hold(`<code>${escapeHtml(code.trim() || code)}</code>`));
+
+        // Backslash escapes
+        result = result.replace(/\\([\\`*_{}\[\]()#+\-.!~|>])/g, (match, char) => hold(escapeHtml(char)));
+
+        // Links and images; images are shown as links so remote content is never loaded.
+        // URLs can't contain placeholders, or the held HTML would be restored inside the href
+        result = result.replace(/(!?)\[([^\]]*)\]\(\s*<?((?:[^()\s<>\u0000]|\([^()\s\u0000]*\))+)>?(?:\s+"[^"]*")?\s*\)/g, (match, bang, label, url) => {
+            const labelHtml = label ? renderHeldInline(label, placeholders) : escapeHtml(url);
+            if (!SAFE_URL_PATTERN.test(url)) return hold(labelHtml);
+            return hold(`<a href="${escapeHtml(url)}" target="_blank" rel="noopener noreferrer">${labelHtml}</a>`);
+        });
+
+        // Bare URLs
+        result = result.replace(/\bhttps?:\/\/[^\s<>"\u0000]*[^\s<>".,:;!?'")\]\u0000]/g, url =>
+            hold(`<a href="${escapeHtml(url)}" target="_blank" rel="noopener noreferrer">${escapeHtml(url)}</a>`));
+
+        result = escapeHtml(result);
+
+        // Emphasis, applied to escaped text so it can only add these tags
+        result = result
+            .replace(/\*\*(?=\S)([\s\S]*?\S)\*\*/g, '<strong>$1</strong>')
+            .replace(/(^|[^\w])__(?=\S)([\s\S]*?\S)__(?!\w)/g, '$1<strong>$2</strong>')
+            .replace(/~~(?=\S)([\s\S]*?\S)~~/g, '<del>$1</del>')
+            .replace(/\*(?=[^\s*])([\s\S]*?[^\s*])\*/g, '<em>$1</em>')
+            .replace(/(^|[^\w])_(?=[^\s_])([\s\S]*?[^\s_])_(?!\w)/g, '$1<em>$2</em>');
+
+        // Restore held HTML; placeholders can be nested inside link labels
+        while (result.includes('\u0000')) {
+            result = result.replace(PLACEHOLDER_PATTERN, (match, index) => placeholders[Number(index)]);
+        }
+
+        return result;
+    }
+
+    /**
+     * Counts the leading spaces of a line
+     * @param {string} line - The line
+     * @returns {number} - Number of leading spaces
+     */
+    function indentOf(line) {
+        return line.match(/^ */)[0].length;
+    }
+
+    /**
+     * Parses a list item line
+     * @param {string} line - The line
+     * @returns {Object|null} - { indent, ordered, start, contentIndent, content } or null
+     */
+    function matchListItem(line) {
+        const match = line.match(LIST_ITEM_PATTERN);
+        if (!match) return null;
+
+        const [, indent, marker, spacing, content] = match;
+        const ordered = /\d/.test(marker);
+        return {
+            indent: indent.length,
+            ordered,
+            start: ordered ? parseInt(marker, 10) : 1,
+            contentIndent: indent.length + marker.length + Math.min(spacing.length, 4),
+            content
+        };
+    }
+
+    /**
+     * Checks whether a line could be a table row
+     * @param {string} line - The line
+     * @returns {boolean} - Whether the line contains a cell separator
+     */
+    function isTableRow(line) {
+        return line.includes('|');
+    }
+
+    /**
+     * Checks whether a table starts at a line
+     * @param {Array<string>} lines - All lines
+     * @param {number} index - The line to check
+     * @returns {boolean} - Whether a header row and separator start here
+     */
+    function isTableStart(lines, index) {
+        return index + 1 < lines.length &&
+            lines[index].includes('|') &&
+            lines[index + 1].includes('-') &&
+            TABLE_SEPARATOR_PATTERN.test(lines[index + 1]);
+    }
+
+    /**
+     * Checks whether a line starts a block other than a paragraph
+     * @param {Array<string>} lines - All lines
+     * @param {number} index - The line to check
+     * @returns {boolean} - Whether a new block starts here
+     */
+    function startsBlock(lines, index) {
+        const line = lines[index];
+        return FENCE_PATTERN.test(line) ||
+            HEADING_PATTERN.test(line) ||
+            HR_PATTERN.test(line) ||
+            BLOCKQUOTE_PATTERN.test(line) ||
+            Boolean(matchListItem(line)) ||
+            isTableStart(lines, index);
+    }
+
+    /**
+     * Splits a table row into cells
+     * @param {string} line - The row
+     * @returns {Array<string>} - The cell texts
+     */
+    function splitTableRow(line) {
+        let row = line.trim();
+        if (row.startsWith('|')) row = row.slice(1);
+        if (row.endsWith('|') && !row.endsWith('\\|')) row = row.slice(0, -1);
+
+        return row.split(/(?<!\\)\|/).map(cell => cell.trim());
+    }
+
+    /**
+     * Renders a table
+     * @param {Array<string>} lines - All lines
+     * @param {number} start - The header row
+     * @returns {{html: string, next: number}} - The HTML and the line after the table
+     */
+    function renderTable(lines, start) {
+        const headers = splitTableRow(lines[start]);
+        const aligns = splitTableRow(lines[start + 1]).map(cell => {
+            if (cell.startsWith(':') && cell.endsWith(':')) return 'center';
+            if (cell.endsWith(':')) return 'right';
+            if (cell.startsWith(':')) return 'left';
+            return '';
+        });
+
+        const renderCell = (tag, text, index) => {
+            const align = aligns[index] ? ` style="text-align: ${aligns[index]}"` : '';
+            return `<${tag}${align}>${renderInline(text || '')}</${tag}>`;
+        };
+
+        let html = '<table><thead><tr>' + headers.map((cell, i) => renderCell('th', cell, i)).join('') + '</tr></thead><tbody>';
+        let index = start + 2;
+
+        while (index < lines.length && lines[index].trim() !== '' && isTableRow(lines[index])) {
+            const cells = splitTableRow(lines[index]);
+            html += '<tr>' + headers.map((header, i) => renderCell('td', cells[i], i)).join('') + '</tr>';
+            index++;
+        }
+
+        return { html: html + '</tbody></table>', next: index };
+    }
+
+    /**
+     * Renders a list, including nested lists
+     * @param {Array<string>} lines - All lines
+     * @param {number} start - The first item line
+     * @returns {{html: string, next: number}} - The HTML and the line after the list
+     */
+    function renderList(lines, start) {
+        const first = matchListItem(lines[start]);
+        const items = [];
+        let current = null;
+        let index = start;
+
+        while (index < lines.length) {
+            const line = lines[index];
+            const item = matchListItem(line);
+
+            if (item && item.indent <= first.indent + 1 && item.ordered === first.ordered) {
+                current = { lines: [item.content], contentIndent: item.contentIndent };
+                items.push(current);
+                index++;
+            } else if (line.trim() === '') {
+                // A blank line only continues the list if more of it follows
+                let nextIndex = index + 1;
+                while (nextIndex < lines.length && lines[nextIndex].trim() === '') nextIndex++;
+
+                const nextLine = lines[nextIndex];
+                const nextItem = nextLine !== undefined ? matchListItem(nextLine) : null;
+                const continues = nextLine !== undefined && (
+                    indentOf(nextLine) >= current.contentIndent ||
+                    (nextItem && nextItem.indent <= first.indent + 1 && nextItem.ordered === first.ordered)
+                );
+                if (!continues) break;
+
+                current.lines.push('');
+                index++;
+            } else if (indentOf(line) > first.indent) {
+                // Indented content belongs to the current item
+                current.lines.push(line.slice(Math.min(indentOf(line), current.contentIndent)));
+                index++;
+            } else if (!startsBlock(lines, index) && current.lines[current.lines.length - 1] !== '') {
+                // Lazy continuation of the item's paragraph
+                current.lines.push(line);
+                index++;
+            } else {
+                break;
+            }
+        }
+
+        const tag = first.ordered ? 'ol' : 'ul';
+        const startAttr = first.ordered && first.start !== 1 ? ` start="${first.start}"` : '';
+        const itemsHtml = items.map(item => {
+            let html = renderBlocks(item.lines);
+
+            // Tight items are a single paragraph; show them without the <p> wrapper
+            const single = html.match(/^<p>([\s\S]*?)<\/p>((?:<(?:ul|ol)[\s\S]*)?)$/);
+            if (single && !single[1].includes('<p>')) {
+                html = single[1] + single[2];
+            }
+            return `<li>${html}</li>`;
+        }).join('');
+
+        return { html: `<${tag}${startAttr}>${itemsHtml}</${tag}>`, next: index };
+    }
+
+    /**
+     * Renders a fenced code block with syntax highlighting and its toolbar
+     * Each line is wrapped in a span so line numbers can be shown with CSS
+     * @param {string} code - The code
+     * @param {string} language - The language tag (may be empty)
+     * @returns {string} - HTML
+     */
+    function renderCodeBlock(code, language) {
+        const lines = SyntaxHighlighter.highlight(code, language)
+            .split('\n')
+            .map(line => `<span class="code-block__line">${line}</span>`)
+            .join('\n');
+        const langClass = language ? ` class="language-${language}"` : '';
+        const button = (action, label, title) =>
+            `<button type="button" class="code-block__action" data-code-action="${action}" title="${title}">${label}</button>`;
+
+        return `<div class="code-block" data-language="${language}">` +
+            '<div class="code-block__toolbar">' +
+            `<span class="code-block__language">${language || 'text'}</span>` +
+            button('toggle-line-numbers', '#', 'Toggle line numbers') +
+            button('copy', 'Copy', 'Copy code') +
+            button('download', 'Download', 'Download as file') +
+            `</div><pre><code${langClass}>${lines}</code></pre></div>`;
+    }
+
+    /**
+     * Renders block-level Markdown
+     * @param {Array<string>} lines - The lines to render
+     * @returns {string} - HTML
+     */
+    function renderBlocks(lines) {
+        let html = '';
+        let index = 0;
+
+        while (index < lines.length) {
+            const line = lines[index];
+
+            if (line.trim() === '') {
+                index++;
+                continue;
+            }
+
+            // Fenced code block; an unclosed fence runs to the end of the text
+            const fence = line.match(FENCE_PATTERN);
+            if (fence) {
+                const marker = fence[1];
+                const language = fence[2].replace(/[^\w+#.-]/g, '');
+                const closing = new RegExp(`^ {0,3}${marker[0]}{${marker.length},}\\s*$`);
+                const code = [];
+                index++;
+
+                while (index < lines.length && !closing.test(lines[index])) {
+                    code.push(lines[index]);
+                    index++;
+                }
+                index++;
+
+                html += renderCodeBlock(code.join('\n'), language);
+                continue;
+            }
+
+            const heading = line.match(HEADING_PATTERN);
+            if (heading) {
+                const level = heading[1].length;
+                html += `<h${level}>${renderInline(heading[2])}</h${level}>`;
+                index++;
+                continue;
+            }
+
+            if (HR_PATTERN.test(line)) {
+                html += '<hr>';
+                index++;
+                continue;
+            }
+
+            if (BLOCKQUOTE_PATTERN.test(line)) {
+                const quoted = [];
+                while (index < lines.length && BLOCKQUOTE_PATTERN.test(lines[index])) {
+                    quoted.push(lines[index].replace(BLOCKQUOTE_PATTERN, ''));
+                    index++;
+                }
+                html += `<blockquote>${renderBlocks(quoted)}</blockquote>`;
+                continue;
+            }
+
+            if (matchListItem(line)) {
+                const list = renderList(lines, index);
+                html += list.html;
+                index = list.next;
+                continue;
+            }
+
+            if (isTableStart(lines, index)) {
+                const table = renderTable(lines, index);
+                html += table.html;
+                index = table.next;
+                continue;
+            }
+
+            // Paragraph: consecutive lines until a blank line or another block
+            const paragraph = [line.trim()];
+            index++;
+            while (index < lines.length && lines[index].trim() !== '' && !startsBlock(lines, index)) {
+                paragraph.push(lines[index].trim());
+                index++;
+            }
+            html += `<p>${paragraph.map(renderInline).join('<br>')}</p>`;
+        }
+
+        return html;
+    }
+
+    /**
+     * Splits text into lines with normalized line endings and tabs
+     * @param {string} text - The text
+     * @returns {Array<string>} - The lines
+     */
+    function toLines(text) {
+        return String(text || '').replace(/\r\n?/g, '\n').replace(/\t/g, '    ').split('\n');
+    }
+
+    /**
+     * Finds which lines are inside a fenced code block
+     * @param {Array<string>} lines - The lines
+     * @returns {Array<boolean>} - For each line, whether it is fenced code (or a fence)
+     */
+    function findFencedLines(lines) {
+        const fenced = [];
+        let closing = null;
+
+        lines.forEach(line => {
+            if (closing) {
+                fenced.push(true);
+                if (closing.test(line)) closing = null;
+                return;
+            }
+
+            const fence = line.match(FENCE_PATTERN);
+            if (fence) {
+                closing = new RegExp(`^ {0,3}${fence[1][0]}{${fence[1].length},}\\s*$`);
+            }
+            fenced.push(Boolean(fence));
+        });
+
+        return fenced;
+    }
+
+    /**
+     * Drops trailing lines that would render differently once more text arrives
+     * A table row being typed would first show as a paragraph and then jump into
+     * the table, and a header row only becomes a table once its separator arrives
+     * @param {Array<string>} lines - The streamed lines so far
+     * @returns {Array<string>} - The lines that are safe to render
+     */
+    function trimIncompleteTail(lines) {
+        const result = lines.slice();
+        const fenced = findFencedLines(result);
+        const last = result.length - 1;
+
+        if (last >= 0 && !fenced[last]) {
+            const line = result[last];
+
+            // Partial table row or partial fence marker
+            if (/^\s*\|/.test(line) || /^\s*(`{1,2}|~{1,2})\s*$/.test(line)) {
+                result.pop();
+            }
+        }
+
+        // A header row (possibly with a partial separator) waiting for the table to start
+        const tail = result.length - 1;
+        if (tail >= 0 && !fenced[tail] && /^\s*\|/.test(result[tail]) &&
+            (tail === 0 || !/^\s*\|/.test(result[tail - 1]))) {
+            result.pop();
+        }
+
+        return result;
+    }
+
+    /**
+     * Renders Markdown to sanitized HTML
+     * @param {string} text - The Markdown text
+     * @param {Object} [options] - Render options
+     * @param {boolean} [options.streaming] - Whether the text is still being streamed
+     * @returns {string} - HTML
+     */
+    function render(text, options = {}) {
+        let lines = toLines(text);
+        if (options.streaming) {
+            lines = trimIncompleteTail(lines);
+        }
+        return renderBlocks(lines);
+    }
+
+    /**
+     * Finds where the finished part of a streamed text ends
+     * That is the last blank line, outside code, followed by a block that can't
+     * continue what came before it (so rendering both parts separately is the same
+     * as rendering them together)
+     * @param {Array<string>} lines - The streamed lines so far
+     * @returns {number} - The number of leading lines that are finished
+     */
+    function findStableBoundary(lines) {
+        const fenced = findFencedLines(lines);
+
+        // The last line may still be incomplete, so it never counts as a block start
+        for (let index = lines.length - 2; index > 0; index--) {
+            if (fenced[index] || lines[index].trim() === '' || lines[index - 1].trim() !== '') continue;
+
+            const line = lines[index];
+            if (indentOf(line) === 0 && !matchListItem(line) && !BLOCKQUOTE_PATTERN.test(line)) {
+                return index;
+            }
+        }
+
+        return 0;
+    }
+
+    /**
+     * Creates a renderer for a message that is being streamed
+     * Finished blocks are rendered once and cached; only the tail is re-rendered
+     * @returns {Object} - Renderer with render(text) returning { stableHtml, tailHtml, html }
+     */
+    function createStreamRenderer() {
+        let stableLineCount = 0;
+        let stableSource = '';
+        let stableHtml = '';
+
+        return {
+            render(text) {
+                const lines = toLines(text);
+
+                // Start over if earlier text changed (e.g. the element was reused)
+                if (lines.slice(0, stableLineCount).join('\n') !== stableSource) {
+                    stableLineCount = 0;
+                    stableSource = '';
+                    stableHtml = '';
+                }
+
+                const boundary = findStableBoundary(lines);
+                if (boundary > stableLineCount) {
+                    stableHtml += renderBlocks(lines.slice(stableLineCount, boundary));
+                    stableLineCount = boundary;
+                    stableSource = lines.slice(0, boundary).join('\n');
+                }
+
+                const tailHtml = renderBlocks(trimIncompleteTail(lines.slice(stableLineCount)));
+                return { stableHtml, tailHtml, html: stableHtml + tailHtml };
+            }
+        };
+    }
+
+    // Public API
+    return {
+        render,
+        renderInline,
+        createStreamRenderer,
+        escapeHtml
+    };
+})();
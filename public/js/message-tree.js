@@ -0,0 +1,222 @@
+/**
+ * Message Tree Module - Stores a conversation as a tree of messages
+ * Regenerated replies and edited messages become sibling branches; the active
+ * branch at every level forms the conversation that is shown and sent
+ *
+ * A tree is a plain, serializable object:
+ *   { nodes: { [id]: node }, rootIds: [id], activeRootId }
+ * and every node is a message with tree links:
+ *   { id, parentId, role, content, timestamp, childIds: [id], activeChildId, ... }
+ */
+const MessageTree = (function() {
+    'use strict';
+
+    /**
+     * Creates an empty tree
+     * @returns {Object} - The tree
+     */
+    function create() {
+        return { nodes: {}, rootIds: [], activeRootId: null };
+    }
+
+    /**
+     * Builds a single-branch tree from a flat message list
+     * @param {Array} messages - Messages in order ({ role, content, ... })
+     * @returns {Object} - The tree
+     */
+    function fromMessages(messages) {
+        const tree = create();
+        let parentId = null;
+        
+        messages.forEach(message => {
+            parentId = addMessage(tree, parentId, message).id;
+        });
+        
+        return tree;
+    }
+
+    /**
+     * Gets a node by ID
+     * @param {Object} tree - The tree
+     * @param {string} id - The node ID
+     * @returns {Object|null} - The node or null if not found
+     */
+    function getNode(tree, id) {
+        return (id && tree.nodes[id]) || null;
+    }
+
+    /**
+     * Adds a message as the newest child of a node and makes it active
+     * @param {Object} tree - The tree
+     * @param {string|null} parentId - The parent node, or null for a root message
+     * @param {Object} message - The message ({ role, content, ... })
+     * @returns {Object} - The new node
+     */
+    function addMessage(tree, parentId, message) {
+        const node = {
+            ...message,
+            id: message.id || Utils.generateId(),
+            parentId: parentId || null,
+            childIds: [],
+            activeChildId: null
+        };
+        
+        tree.nodes[node.id] = node;
+        
+        const parent = getNode(tree, parentId);
+        if (parent) {
+            parent.childIds.push(node.id);
+            parent.activeChildId = node.id;
+        } else {
+            tree.rootIds.push(node.id);
+            tree.activeRootId = node.id;
+        }
+        
+        return node;
+    }
+
+    /**
+     * Gets the messages on the active branch, from the first to the last
+     * @param {Object} tree - The tree
+     * @returns {Array} - The active nodes in order
+     */
+    function getActivePath(tree) {
+        const path = [];
+        let node = getNode(tree, tree.activeRootId);
+        
+        while (node) {
+            path.push(node);
+            node = getNode(tree, node.activeChildId);
+        }
+        
+        return path;
+    }
+
+    /**
+     * Gets the messages from the first message down to a node
+     * @param {Object} tree - The tree
+     * @param {string} id - The last node of the path
+     * @returns {Array} - The nodes in order
+     */
+    function getPathTo(tree, id) {
+        const path = [];
+        let node = getNode(tree, id);
+        
+        while (node) {
+            path.unshift(node);
+            node = getNode(tree, node.parentId);
+        }
+        
+        return path;
+    }
+
+    /**
+     * Gets the IDs of a node and its siblings, oldest first
+     * @param {Object} tree - The tree
+     * @param {string} id - The node ID
+     * @returns {Array<string>} - The sibling IDs (including the node itself)
+     */
+    function getSiblingIds(tree, id) {
+        const node = getNode(tree, id);
+        if (!node) return [];
+        
+        const parent = getNode(tree, node.parentId);
+        return parent ? parent.childIds : tree.rootIds;
+    }
+
+    /**
+     * Describes where a node sits among its siblings
+     * @param {Object} tree - The tree
+     * @param {string} id - The node ID
+     * @returns {{index: number, count: number}} - Zero-based position and number of siblings
+     */
+    function getBranchInfo(tree, id) {
+        const siblings = getSiblingIds(tree, id);
+        return { index: siblings.indexOf(id), count: siblings.length };
+    }
+
+    /**
+     * Makes a node and all of its ancestors part of the active branch
+     * @param {Object} tree - The tree
+     * @param {string} id - The node ID
+     */
+    function activate(tree, id) {
+        let node = getNode(tree, id);
+        
+        while (node) {
+            const parent = getNode(tree, node.parentId);
+            if (parent) {
+                parent.activeChildId = node.id;
+            } else {
+                tree.activeRootId = node.id;
+            }
+            node = parent;
+        }
+    }
+
+    /**
+     * Ends the active branch at a node, hiding its replies without deleting them
+     * @param {Object} tree - The tree
+     * @param {string|null} id - The node that becomes the last active message, or null for none
+     */
+    function endBranchAt(tree, id) {
+        const node = getNode(tree, id);
+        if (node) {
+            activate(tree, id);
+            node.activeChildId = null;
+        } else {
+            tree.activeRootId = null;
+        }
+    }
+
+    /**
+     * Switches to a neighbouring sibling branch
+     * @param {Object} tree - The tree
+     * @param {string} id - The currently shown node
+     * @param {number} offset - -1 for the previous branch, 1 for the next
+     * @returns {string|null} - The ID of the newly active sibling, or null if there is none
+     */
+    function selectSibling(tree, id, offset) {
+        const siblings = getSiblingIds(tree, id);
+        const targetId = siblings[siblings.indexOf(id) + offset];
+        if (!targetId) return null;
+        
+        activate(tree, targetId);
+        return targetId;
+    }
+
+    /**
+     * Lists every message in the tree, including inactive branches
+     * @param {Object} tree - The tree
+     * @returns {Array} - All nodes
+     */
+    function getAllMessages(tree) {
+        return Object.values(tree.nodes);
+    }
+
+    /**
+     * Checks whether the tree has no messages
+     * @param {Object} tree - The tree
+     * @returns {boolean} - Whether the tree is empty
+     */
+    function isEmpty(tree) {
+        return tree.rootIds.length === 0;
+    }
+
+    // Public API
+    return {
+        create,
+        fromMessages,
+        getNode,
+        addMessage,
+        getActivePath,
+        getPathTo,
+        getSiblingIds,
+        getBranchInfo,
+        activate,
+        endBranchAt,
+        selectSibling,
+        getAllMessages,
+        isEmpty
+    };
+})();
@@ -0,0 +1,243 @@
+/**
+ * Model Catalog Module - The models offered by each registered provider, with their metadata
+ * Lists every provider's models, caches the lists in IndexedDB for a day, and describes each model:
+ * context window, whether it reads images, calls tools and streams, and its price
+ */
+const ModelCatalog = (function() {
+    'use strict';
+
+    // Model lists older than this are fetched again
+    const CACHE_TTL_MS = 24 * 60 * 60 * 1000;
+
+    // Selected when nothing else is
+    const DEFAULT_MODEL = 'gpt-4.1-mini';
+
+    // Offered when a provider's list can't be fetched and none is cached
+    const FALLBACK_MODELS = {
+        openai: [
+            { id: 'gpt-4.1-mini', name: 'GPT-4.1 Mini' },
+            { id: 'gpt-4.1-nano', name: 'GPT-4.1 Nano' }
+        ],
+        gemini: [
+            { id: 'gemini-2.0-flash', name: 'Gemini 2.0 Flash' },
+            { id: 'gemma-3-27b-it', name: 'Gemma 3 27B IT' }
+        ]
+    };
+
+    // Context window sizes in tokens (prompt and reply together), for providers whose lists don't say
+    const CONTEXT_WINDOWS = {
+        'gpt-4.1': 1047576,
+        'gpt-4.1-mini': 1047576,
+        'gpt-4.1-nano': 1047576,
+        'gpt-4o': 128000,
+        'gpt-4o-mini': 128000,
+        'gemini-2.0-flash': 1048576,
+        'gemini-2.0-flash-lite': 1048576,
+        'gemini-2.5-flash': 1048576,
+        'gemini-2.5-pro': 1048576,
+        'gemma-3-27b-it': 131072
+    };
+
+    // Private state
+    let models = new Map();
+    let groups = [];
+    let errors = [];
+    let loading = null;
+    let changeHandler = null;
+
+    /**
+     * Registers a callback for when the catalog has been (re)loaded
+     * @param {Function} handler - The callback
+     */
+    function onChange(handler) {
+        changeHandler = handler;
+    }
+
+    /**
+     * Asks a provider adapter about a model through one of its optional methods
+     * @param {Object} provider - The adapter
+     * @param {string} method - The method, e.g. 'supportsTools'
+     * @param {string} model - The model ID
+     * @param {*} fallback - The answer if the adapter doesn't implement the method
+     * @returns {*} - The answer
+     */
+    function ask(provider, method, model, fallback) {
+        return typeof provider[method] === 'function' ? provider[method](model) : fallback;
+    }
+
+    /**
+     * Describes a model from its provider's list entry and the adapter's answers
+     * What the list says about the model takes precedence
+     * @param {Object} provider - The adapter
+     * @param {Object} listed - The list entry ({ id, name, contextWindow, vision, tools, streaming })
+     * @returns {Object} - The model as { id, name, provider, providerName, contextWindow, vision, tools, streaming, pricing }
+     */
+    function describe(provider, listed) {
+        const id = listed.id;
+        const knownWindow = Object.prototype.hasOwnProperty.call(CONTEXT_WINDOWS, id) ? CONTEXT_WINDOWS[id] : 0;
+
+        return {
+            id,
+            name: listed.name || id,
+            provider: provider.id,
+            providerName: provider.name,
+            contextWindow: listed.contextWindow || ask(provider, 'getContextWindow', id, 0) || knownWindow || null,
+            vision: listed.vision ?? Boolean(ask(provider, 'supportsVision', id, false)),
+            tools: listed.tools ?? Boolean(ask(provider, 'supportsTools', id, false)),
+            streaming: listed.streaming ?? Boolean(ask(provider, 'supportsStreaming', id, true)),
+            pricing: Pricing.getPrice(id)
+        };
+    }
+
+    /**
+     * Reads a provider's cached model list
+     * @param {string} providerId - The provider ID
+     * @returns {Promise<Object|null>} - The cache entry, or null if there is none or it can't be read
+     */
+    async function readCache(providerId) {
+        try {
+            return await ConversationStore.getModelCache(providerId);
+        } catch (err) {
+            console.error('Error reading the model cache:', err);
+            return null;
+        }
+    }
+
+    /**
+     * Gets a provider's model list, from the cache while it is fresh
+     * Providers with localModels list them without a request, so they aren't cached
+     * @param {Object} provider - The adapter
+     * @param {boolean} refresh - Fetch the list even if the cache is fresh
+     * @returns {Promise<Object>} - { provider, listed, error }; on failure listed is the stale cache or the fallback models
+     */
+    async function loadProvider(provider, refresh) {
+        const cached = provider.localModels ? null : await readCache(provider.id);
+        if (cached && !refresh && Date.now() - cached.fetchedAt < CACHE_TTL_MS) {
+            return { provider, listed: cached.models, error: null };
+        }
+
+        try {
+            const listed = (await provider.listModels()).map(item => ({ ...item }));
+            if (!provider.localModels) {
+                ConversationStore.saveModelCache({ provider: provider.id, models: listed, fetchedAt: Date.now() })
+                    .catch(err => console.error('Error caching models:', err));
+            }
+            return { provider, listed, error: null };
+        } catch (err) {
+            console.error(`Error listing ${provider.name} models:`, err);
+            const listed = cached ? cached.models : (FALLBACK_MODELS[provider.id] || []);
+            return { provider, listed, error: `Could not list the ${provider.name} models (${err.message})` };
+        }
+    }
+
+    /**
+     * Loads the models of every registered provider
+     * @param {Object} [options] - Load options
+     * @param {boolean} [options.refresh] - Fetch every list again instead of using the cache
+     * @returns {Promise<Array>} - The models
+     */
+    async function load(options = {}) {
+        // A load already running serves callers that don't insist on fresh lists
+        if (loading && !options.refresh) return loading;
+
+        const run = (async () => {
+            const results = await Promise.all(ProviderRegistry.list()
+                .map(provider => loadProvider(provider, Boolean(options.refresh))));
+
+            models = new Map();
+            groups = results.map(({ provider, listed }) => {
+                const described = listed.map(item => describe(provider, item));
+                described.forEach(model => models.set(model.id, model));
+                return { id: provider.id, name: provider.name, models: described };
+            });
+            errors = results.map(result => result.error).filter(Boolean);
+
+            if (changeHandler) changeHandler();
+            return list();
+        })();
+
+        loading = run;
+        try {
+            return await run;
+        } finally {
+            if (loading === run) loading = null;
+        }
+    }
+
+    /**
+     * Gets a model's description
+     * Models missing from the lists (e.g. one an older conversation used) are described by the provider that matches them
+     * @param {string} id - The model ID
+     * @returns {Object|null} - The model, or null if no provider handles it
+     */
+    function getModel(id) {
+        if (models.has(id)) return models.get(id);
+
+        const provider = id ? ProviderRegistry.getForModel(id) : null;
+        return provider ? describe(provider, { id }) : null;
+    }
+
+    /**
+     * Checks whether a model is in the lists
+     * @param {string} id - The model ID
+     * @returns {boolean} - Whether the model can be picked
+     */
+    function hasModel(id) {
+        return models.has(id);
+    }
+
+    /**
+     * Gets the name to show for a model
+     * @param {string} id - The model ID
+     * @returns {string} - The model's name, or the ID if it isn't listed
+     */
+    function getModelName(id) {
+        return models.has(id) ? models.get(id).name : id;
+    }
+
+    /**
+     * Lists all models, grouped by provider in registration order
+     * @returns {Array} - The models
+     */
+    function list() {
+        return Array.from(models.values());
+    }
+
+    /**
+     * Lists the models by provider
+     * @returns {Array} - Groups as { id, name, models }
+     */
+    function getGroups() {
+        return groups.map(group => ({ ...group, models: group.models.slice() }));
+    }
+
+    /**
+     * Gets the problems of the last load
+     * @returns {Array<string>} - One message per provider whose list couldn't be fetched
+     */
+    function getErrors() {
+        return errors.slice();
+    }
+
+    /**
+     * Gets the model selected when nothing else is
+     * @returns {string} - The model ID ('' if there are no models)
+     */
+    function getDefaultModel() {
+        if (models.has(DEFAULT_MODEL)) return DEFAULT_MODEL;
+        return models.size > 0 ? models.keys().next().value : '';
+    }
+
+    // Public API
+    return {
+        onChange,
+        load,
+        getModel,
+        hasModel,
+        getModelName,
+        list,
+        getGroups,
+        getErrors,
+        getDefaultModel
+    };
+})();
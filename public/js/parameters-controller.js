@@ -0,0 +1,170 @@
+/**
+ * Parameters Controller Module - Edits generation parameters in the settings modal
+ * Parameters can be set as defaults for each model or for the open conversation only
+ */
+const ParametersController = (function() {
+    'use strict';
+
+    // Scope value for the open conversation; model scopes use the model ID
+    const CONVERSATION_SCOPE = '';
+
+    // Private state
+    let drafts = {};
+    let scope = CONVERSATION_SCOPE;
+    let modalBound = false;
+
+    /**
+     * Wires the generation section of the settings modal
+     * Called once the modal has been created from its template
+     */
+    function bindModal() {
+        if (modalBound) return;
+        modalBound = true;
+
+        document.getElementById('params-scope-select').addEventListener('change', function() {
+            drafts[scope] = readFields();
+            scope = this.value;
+            renderFields();
+        });
+
+        document.getElementById('params-reset-button').addEventListener('click', function() {
+            drafts[scope] = {};
+            renderFields();
+        });
+    }
+
+    /**
+     * Fills the generation section with the current values
+     * @param {Object} modelParams - Saved defaults by model ID
+     */
+    function open(modelParams) {
+        drafts = { [CONVERSATION_SCOPE]: ChatController.getGenerationParams() };
+        Object.keys(modelParams || {}).forEach(model => {
+            drafts[model] = { ...modelParams[model] };
+        });
+
+        // One scope for the conversation, then one per selectable model
+        const select = document.getElementById('params-scope-select');
+        select.innerHTML = '';
+        select.appendChild(new Option('This conversation', CONVERSATION_SCOPE));
+        ModelCatalog.list().forEach(model => {
+            select.appendChild(new Option(`Defaults for ${model.name}`, model.id));
+        });
+
+        scope = CONVERSATION_SCOPE;
+        select.value = scope;
+        renderFields();
+    }
+
+    /**
+     * Gets the model whose ranges apply to a scope
+     * @param {string} value - The scope
+     * @returns {string} - The model ID
+     */
+    function getScopeModel(value) {
+        return value === CONVERSATION_SCOPE ? UIController.getSelectedModel() : value;
+    }
+
+    /**
+     * Renders a field for each parameter of the current scope
+     * @param {Object} [errors] - Error messages by parameter key
+     */
+    function renderFields(errors = {}) {
+        const container = document.getElementById('params-fields');
+        const ranges = ApiService.getParameterRanges(getScopeModel(scope));
+        const values = drafts[scope] || {};
+
+        container.innerHTML = '';
+        GenerationParams.list().forEach(param => {
+            const field = Utils.createFromTemplate('param-field-template');
+            const range = ranges[param.key];
+            const inputId = `param-${param.key}-input`;
+
+            const input = document.createElement(param.type === 'list' ? 'textarea' : 'input');
+            input.id = inputId;
+            input.className = 'param-field__input';
+            input.setAttribute('data-param', param.key);
+            input.placeholder = range ? 'Default' : 'Not supported';
+            input.disabled = !range;
+
+            if (param.type === 'list') {
+                input.rows = 2;
+                input.value = range ? (values[param.key] || []).join('\n') : '';
+            } else {
+                input.type = 'number';
+                input.step = param.type === 'integer' ? '1' : 'any';
+                if (range && range.min !== undefined) input.min = range.min;
+                if (range && range.max !== undefined) input.max = range.max;
+                input.value = range && GenerationParams.isSet(values[param.key]) ? values[param.key] : '';
+            }
+
+            const label = field.querySelector('.param-field__label');
+            label.setAttribute('for', inputId);
+            label.textContent = param.label;
+            field.querySelector('.param-field__hint').textContent = GenerationParams.describeRange(param, range);
+            field.querySelector('.param-field__error').textContent = errors[param.key] || '';
+            field.querySelector('.param-field__label').after(input);
+            container.appendChild(field);
+        });
+    }
+
+    /**
+     * Reads the values of the current scope's fields
+     * @returns {Object} - The parameters; empty and unsupported fields are left out
+     */
+    function readFields() {
+        const params = {};
+        const types = {};
+        GenerationParams.list().forEach(param => { types[param.key] = param.type; });
+
+        document.querySelectorAll('#params-fields [data-param]:not(:disabled)').forEach(input => {
+            const key = input.getAttribute('data-param');
+            if (types[key] === 'list') {
+                const lines = input.value.split('\n').filter(line => line !== '');
+                if (lines.length > 0) params[key] = lines;
+            } else if (input.value.trim() !== '') {
+                params[key] = Number(input.value);
+            }
+        });
+        return params;
+    }
+
+    /**
+     * Validates every scope and collects the values to save
+     * Values a scope's model doesn't support are dropped; invalid values keep
+     * the modal open on the first scope that has them
+     * @returns {Object|null} - { modelParams, conversationParams }, or null if a value is invalid
+     */
+    function collect() {
+        drafts[scope] = readFields();
+
+        const modelParams = {};
+        let conversationParams = {};
+        for (const key of Object.keys(drafts)) {
+            const ranges = ApiService.getParameterRanges(getScopeModel(key));
+            const { params, errors } = GenerationParams.validate(drafts[key], ranges);
+            const invalid = Object.keys(errors).filter(param => ranges[param]);
+            if (invalid.length > 0) {
+                scope = key;
+                document.getElementById('params-scope-select').value = scope;
+                renderFields(errors);
+                return null;
+            }
+
+            if (key === CONVERSATION_SCOPE) {
+                conversationParams = params;
+            } else if (Object.keys(params).length > 0) {
+                modelParams[key] = params;
+            }
+        }
+
+        return { modelParams, conversationParams };
+    }
+
+    // Public API
+    return {
+        bindModal,
+        open,
+        collect
+    };
+})();
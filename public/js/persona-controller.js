@@ -0,0 +1,263 @@
+/**
+ * Persona Controller Module - Manages the library of reusable system prompts
+ * Lists, creates, edits, deletes, imports and exports personas in the settings modal
+ */
+const PersonaController = (function() {
+    'use strict';
+
+    // Version of the persona export file format
+    const EXPORT_VERSION = 1;
+    const MAX_NAME_LENGTH = 60;
+
+    // Private state
+    let personas = [];
+    let editingId = null;
+    let modalBound = false;
+
+    /**
+     * Loads the current user's personas from the store
+     * @returns {Promise<Array>} - The personas
+     */
+    async function load() {
+        try {
+            personas = await ConversationStore.listPersonas();
+        } catch (err) {
+            console.error('Error loading personas:', err);
+            personas = [];
+        }
+
+        UIController.setPersonaOptions(personas);
+        return personas;
+    }
+
+    /**
+     * Gets all personas
+     * @returns {Array} - The personas, sorted by name
+     */
+    function getPersonas() {
+        return personas.slice();
+    }
+
+    /**
+     * Gets a persona by ID
+     * @param {string} id - The persona ID
+     * @returns {Object|null} - The persona or null if not found
+     */
+    function getPersona(id) {
+        return personas.find(persona => persona.id === id) || null;
+    }
+
+    /**
+     * Wires the persona section of the settings modal
+     * Called once the modal has been created from its template
+     */
+    function bindModal() {
+        if (modalBound) return;
+        modalBound = true;
+
+        document.getElementById('persona-new-button').addEventListener('click', () => showEditor(null));
+        document.getElementById('persona-save-button').addEventListener('click', saveEditor);
+        document.getElementById('persona-cancel-button').addEventListener('click', hideEditor);
+        document.getElementById('persona-export-button').addEventListener('click', exportPersonas);
+
+        const importInput = document.getElementById('persona-import-input');
+        document.getElementById('persona-import-button').addEventListener('click', () => importInput.click());
+        importInput.addEventListener('change', function() {
+            if (this.files[0]) importPersonas(this.files[0]);
+            this.value = '';
+        });
+
+        // Event delegation for persona items
+        document.getElementById('persona-list').addEventListener('click', function(event) {
+            const action = event.target.closest('[data-persona-action]');
+            const item = event.target.closest('.persona-list__item');
+            if (!action || !item) return;
+
+            const id = item.getAttribute('data-persona-id');
+            if (action.getAttribute('data-persona-action') === 'edit') {
+                showEditor(id);
+            } else {
+                deletePersona(id);
+            }
+        });
+    }
+
+    /**
+     * Renders the persona list and the default persona choices in the settings modal
+     */
+    function renderLibrary() {
+        const list = document.getElementById('persona-list');
+        if (!list) return;
+
+        list.innerHTML = '';
+        if (personas.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'persona-list__empty';
+            empty.textContent = 'No personas yet';
+            list.appendChild(empty);
+        }
+
+        personas.forEach(persona => {
+            const item = Utils.createFromTemplate('persona-item-template');
+            item.setAttribute('data-persona-id', persona.id);
+            item.querySelector('.persona-list__name').textContent = persona.name;
+            item.querySelector('.persona-list__prompt').textContent = persona.systemPrompt;
+            list.appendChild(item);
+        });
+
+        // Keep the default persona choice in sync with the library
+        const defaultSelect = document.getElementById('default-persona-select');
+        const selected = defaultSelect.value;
+        defaultSelect.innerHTML = '';
+        defaultSelect.appendChild(new Option('No persona', ''));
+        personas.forEach(persona => defaultSelect.appendChild(new Option(persona.name, persona.id)));
+        defaultSelect.value = getPersona(selected) ? selected : '';
+    }
+
+    /**
+     * Shows the editor for a new or existing persona
+     * @param {string|null} id - The persona to edit, or null for a new one
+     */
+    function showEditor(id) {
+        const persona = id ? getPersona(id) : null;
+        editingId = persona ? persona.id : null;
+
+        document.getElementById('persona-name-input').value = persona ? persona.name : '';
+        document.getElementById('persona-prompt-input').value = persona ? persona.systemPrompt : '';
+        document.getElementById('persona-editor').style.display = 'block';
+        setStatus('');
+        document.getElementById('persona-name-input').focus();
+    }
+
+    /**
+     * Hides the persona editor without saving
+     */
+    function hideEditor() {
+        editingId = null;
+        document.getElementById('persona-editor').style.display = 'none';
+    }
+
+    /**
+     * Saves the persona in the editor
+     */
+    async function saveEditor() {
+        const name = document.getElementById('persona-name-input').value.trim().slice(0, MAX_NAME_LENGTH);
+        const systemPrompt = document.getElementById('persona-prompt-input').value.trim();
+
+        if (!name || !systemPrompt) {
+            setStatus('A persona needs a name and a system prompt.');
+            return;
+        }
+
+        const now = Date.now();
+        const existing = editingId ? getPersona(editingId) : null;
+        const persona = existing ?
+            { ...existing, name, systemPrompt, updatedAt: now } :
+            { id: Utils.generateId(), name, systemPrompt, createdAt: now, updatedAt: now };
+
+        try {
+            await ConversationStore.savePersona(persona);
+            hideEditor();
+            await load();
+            renderLibrary();
+            setStatus(`Saved "${name}".`);
+        } catch (err) {
+            console.error('Error saving persona:', err);
+            setStatus('Could not save the persona.');
+        }
+    }
+
+    /**
+     * Deletes a persona after confirmation
+     * @param {string} id - The persona ID
+     */
+    async function deletePersona(id) {
+        const persona = getPersona(id);
+        if (!persona || !confirm(`Delete persona "${persona.name}"?`)) return;
+
+        try {
+            await ConversationStore.deletePersona(id);
+            if (editingId === id) hideEditor();
+            await load();
+            renderLibrary();
+        } catch (err) {
+            console.error('Error deleting persona:', err);
+            setStatus('Could not delete the persona.');
+        }
+    }
+
+    /**
+     * Downloads all personas as a JSON file
+     */
+    function exportPersonas() {
+        const data = {
+            version: EXPORT_VERSION,
+            personas: personas.map(persona => ({ name: persona.name, systemPrompt: persona.systemPrompt }))
+        };
+
+        Utils.downloadFile(JSON.stringify(data, null, 2), 'personas.json', 'application/json');
+    }
+
+    /**
+     * Adds the personas from an exported file
+     * Personas identical to an existing one are skipped
+     * @param {File} file - The JSON file
+     */
+    async function importPersonas(file) {
+        let entries;
+        try {
+            const data = JSON.parse(await file.text());
+            entries = Array.isArray(data) ? data : data.personas;
+            if (!Array.isArray(entries)) throw new Error('No personas found');
+        } catch (err) {
+            setStatus('That file is not a persona export.');
+            return;
+        }
+
+        const valid = entries.filter(entry => entry &&
+            typeof entry.name === 'string' && entry.name.trim() &&
+            typeof entry.systemPrompt === 'string' && entry.systemPrompt.trim());
+
+        let imported = 0;
+        try {
+            for (const entry of valid) {
+                const name = entry.name.trim().slice(0, MAX_NAME_LENGTH);
+                const systemPrompt = entry.systemPrompt.trim();
+                if (personas.some(p => p.name === name && p.systemPrompt === systemPrompt)) continue;
+
+                const now = Date.now();
+                const persona = { id: Utils.generateId(), name, systemPrompt, createdAt: now, updatedAt: now };
+                await ConversationStore.savePersona(persona);
+                personas.push(persona);
+                imported++;
+            }
+        } catch (err) {
+            console.error('Error importing personas:', err);
+        }
+
+        await load();
+        renderLibrary();
+
+        const skipped = entries.length - imported;
+        setStatus(`Imported ${imported} persona${imported === 1 ? '' : 's'}` +
+            (skipped ? `, skipped ${skipped} invalid or duplicate.` : '.'));
+    }
+
+    /**
+     * Shows a status message in the persona section
+     * @param {string} message - The message (empty to clear)
+     */
+    function setStatus(message) {
+        const status = document.getElementById('persona-status');
+        if (status) status.textContent = message;
+    }
+
+    // Public API
+    return {
+        load,
+        getPersonas,
+        getPersona,
+        bindModal,
+        renderLibrary
+    };
+})();
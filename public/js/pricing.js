@@ -0,0 +1,73 @@
+/**
+ * Pricing Module - Per-model token prices and cost calculation
+ * Prices are in US dollars per million tokens, as listed by the providers
+ */
+const Pricing = (function() {
+    'use strict';
+
+    // Input (prompt) and output (completion) rates per million tokens
+    const PRICES = {
+        'gpt-4.1': { input: 2.00, output: 8.00 },
+        'gpt-4.1-mini': { input: 0.40, output: 1.60 },
+        'gpt-4.1-nano': { input: 0.10, output: 0.40 },
+        'gpt-4o': { input: 2.50, output: 10.00 },
+        'gpt-4o-mini': { input: 0.15, output: 0.60 },
+        'gemini-2.0-flash': { input: 0.10, output: 0.40 },
+        'gemini-2.0-flash-lite': { input: 0.075, output: 0.30 },
+        'gemini-2.5-flash': { input: 0.30, output: 2.50 },
+        'gemini-2.5-pro': { input: 1.25, output: 10.00 },
+        // Gemma models are free to use through the Gemini API
+        'gemma-3-27b-it': { input: 0, output: 0 }
+    };
+
+    const TOKENS_PER_UNIT = 1000000;
+
+    /**
+     * Gets the price of a model
+     * Dated and versioned IDs (e.g. gpt-4.1-mini-2025-04-14, gemini-2.0-flash-001) get the price
+     * of the longest listed ID they start with
+     * @param {string} model - The model ID
+     * @returns {Object|null} - Rates as { input, output } per million tokens, or null if unknown
+     */
+    function getPrice(model) {
+        if (typeof model !== 'string') return null;
+        if (Object.prototype.hasOwnProperty.call(PRICES, model)) return PRICES[model];
+
+        const family = Object.keys(PRICES)
+            .filter(id => model.startsWith(`${id}-`))
+            .sort((a, b) => b.length - a.length)[0];
+        return family ? PRICES[family] : null;
+    }
+
+    /**
+     * Calculates the cost of a request
+     * @param {string} model - The model used
+     * @param {Object} usage - The token usage ({ promptTokens, completionTokens })
+     * @returns {number|null} - The cost in dollars, or null if the model's price is unknown
+     */
+    function calculateCost(model, usage) {
+        const price = getPrice(model);
+        if (!price || !usage) return null;
+
+        return (usage.promptTokens * price.input + usage.completionTokens * price.output) / TOKENS_PER_UNIT;
+    }
+
+    /**
+     * Formats a cost for display, with more precision for small amounts
+     * @param {number} cost - The cost in dollars
+     * @returns {string} - The formatted cost (e.g. '$0.0042' or '$1.25')
+     */
+    function formatCost(cost) {
+        if (cost > 0 && cost < 0.01) {
+            return `$${cost.toFixed(4)}`;
+        }
+        return `$${cost.toFixed(2)}`;
+    }
+
+    // Public API
+    return {
+        getPrice,
+        calculateCost,
+        formatCost
+    };
+})();
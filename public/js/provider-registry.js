@@ -0,0 +1,76 @@
+/**
+ * Provider Registry Module - Keeps track of the available AI provider adapters
+ * Resolves which adapter is responsible for a given model
+ */
+const ProviderRegistry = (function() {
+    'use strict';
+
+    // Methods every provider adapter has to implement
+    const REQUIRED_METHODS = ['matchesModel', 'send', 'stream', 'countTokens', 'listModels'];
+
+    // Private state
+    const providers = new Map();
+
+    /**
+     * Registers a provider adapter
+     * @param {Object} provider - The adapter (id, name and the provider interface methods)
+     */
+    function register(provider) {
+        if (!provider || !provider.id) {
+            throw new Error('Provider must have an id');
+        }
+        
+        const missing = REQUIRED_METHODS.filter(method => typeof provider[method] !== 'function');
+        if (missing.length > 0) {
+            throw new Error(`Provider "${provider.id}" is missing: ${missing.join(', ')}`);
+        }
+        
+        providers.set(provider.id, provider);
+    }
+
+    /**
+     * Removes a provider adapter
+     * @param {string} id - The provider ID
+     */
+    function unregister(id) {
+        providers.delete(id);
+    }
+
+    /**
+     * Gets a provider adapter by ID
+     * @param {string} id - The provider ID
+     * @returns {Object|null} - The adapter or null if not registered
+     */
+    function get(id) {
+        return providers.get(id) || null;
+    }
+
+    /**
+     * Finds the provider adapter that handles a model
+     * @param {string} model - The model ID
+     * @returns {Object|null} - The adapter or null if no provider matches
+     */
+    function getForModel(model) {
+        for (const provider of providers.values()) {
+            if (provider.matchesModel(model)) return provider;
+        }
+        return null;
+    }
+
+    /**
+     * Lists all registered provider adapters
+     * @returns {Array<Object>} - The registered adapters
+     */
+    function list() {
+        return Array.from(providers.values());
+    }
+
+    // Public API
+    return {
+        register,
+        unregister,
+        get,
+        getForModel,
+        list
+    };
+})();
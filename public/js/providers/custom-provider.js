@@ -0,0 +1,160 @@
+/**
+ * Custom Provider Module - Adapters for user-defined OpenAI-compatible servers
+ * Self-hosted servers (llama.cpp server, Ollama, vLLM, ...) are called straight from the browser,
+ * so they have to allow requests from this page (CORS); keys stay in the user's browser
+ */
+const CustomProvider = (function() {
+    'use strict';
+
+    // Provider and model IDs are namespaced so they never clash with the built-in models
+    const ID_PREFIX = 'custom:';
+
+    // Private state
+    const registeredIds = new Set();
+
+    /**
+     * Checks and normalizes a server's base URL
+     * Trailing slashes and a trailing /v1 are dropped, since the API paths are added to it
+     * @param {string} value - The URL as entered
+     * @returns {string} - The base URL, e.g. 'http://localhost:11434'
+     */
+    function normalizeBaseUrl(value) {
+        let url;
+        try {
+            url = new URL((value || '').trim());
+        } catch (err) {
+            throw new Error('Enter the server address as an http:// or https:// URL.');
+        }
+        if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+            throw new Error('Enter the server address as an http:// or https:// URL.');
+        }
+
+        url.search = '';
+        url.hash = '';
+        return url.href.replace(/\/+$/, '').replace(/\/v1$/, '');
+    }
+
+    /**
+     * Gets the registry ID of a user-defined provider
+     * @param {string} definitionId - The stored provider's ID
+     * @returns {string} - The provider ID
+     */
+    function toProviderId(definitionId) {
+        return `${ID_PREFIX}${definitionId}`;
+    }
+
+    /**
+     * Gets the model ID used in the app for a model of a user-defined provider
+     * @param {string} definitionId - The stored provider's ID
+     * @param {string} model - The model name the server knows
+     * @returns {string} - The model ID, e.g. 'custom:<id>/llama3.1:8b'
+     */
+    function toModelId(definitionId, model) {
+        return `${toProviderId(definitionId)}/${model}`;
+    }
+
+    /**
+     * Sends a request to a server's OpenAI-compatible API
+     * @param {Object} definition - The provider ({ baseUrl, apiKey })
+     * @param {string} path - The API path, e.g. 'models'
+     * @param {Object} [options] - fetch options
+     * @returns {Promise<Response>} - The successful response
+     */
+    async function request(definition, path, options = {}) {
+        const headers = { 'Content-Type': 'application/json' };
+        if (definition.apiKey) headers.Authorization = `Bearer ${definition.apiKey}`;
+
+        let response;
+        try {
+            response = await fetch(`${definition.baseUrl}/v1/${path}`, { ...options, headers });
+        } catch (err) {
+            if (err.name === 'AbortError') throw err;
+            throw ApiError.create(ApiError.TYPES.NETWORK, `Could not reach ${definition.baseUrl}. ` +
+                'Check that the server is running and allows requests from this page (CORS).');
+        }
+
+        await Utils.assertResponseOk(response);
+        return response;
+    }
+
+    /**
+     * Asks a server which models it offers
+     * @param {Object} definition - The provider ({ baseUrl, apiKey })
+     * @returns {Promise<Array<string>>} - The model names, sorted
+     */
+    async function probeModels(definition) {
+        const response = await request(definition, 'models');
+
+        let result;
+        try {
+            result = await response.json();
+        } catch (err) {
+            throw new Error(`${definition.baseUrl}/v1/models did not return a model list.`);
+        }
+
+        const items = Array.isArray(result?.data) ? result.data : [];
+        return items
+            .map(item => item && item.id)
+            .filter(id => typeof id === 'string' && id)
+            .sort((a, b) => a.localeCompare(b));
+    }
+
+    /**
+     * Creates the adapter for a user-defined provider
+     * @param {Object} definition - The stored provider ({ id, name, baseUrl, apiKey, models, contextWindow, supportsTools, supportsVision })
+     * @returns {Object} - The provider adapter
+     */
+    function createAdapter(definition) {
+        const prefix = `${toProviderId(definition.id)}/`;
+
+        /**
+         * Gets the model name the server knows from an app model ID
+         * @param {string} model - The model ID
+         * @returns {string} - The server's model name
+         */
+        function toServerModel(model) {
+            return model.slice(prefix.length);
+        }
+
+        return OpenAICompatible.createAdapter({
+            id: toProviderId(definition.id),
+            name: definition.name,
+            matchesModel: model => model.startsWith(prefix),
+            chat: (model, body, options = {}) => request(definition, 'chat/completions', {
+                method: 'POST',
+                body: JSON.stringify({ ...body, model: toServerModel(model), stream: Boolean(options.stream) }),
+                signal: options.signal
+            }),
+            // The models are the ones the user listed; probeModels asks the server
+            listModels: async () => definition.models.map(model => ({ id: toModelId(definition.id, model), name: model })),
+            localModels: true,
+            // Many local models can't call tools or read images, so these are only offered when the user says so
+            supportsTools: () => Boolean(definition.supportsTools),
+            supportsVision: () => Boolean(definition.supportsVision),
+            getContextWindow: () => definition.contextWindow || 0
+        });
+    }
+
+    /**
+     * Replaces the registered user-defined providers
+     * @param {Array} definitions - The stored providers
+     */
+    function registerAll(definitions) {
+        registeredIds.forEach(id => ProviderRegistry.unregister(id));
+        registeredIds.clear();
+
+        definitions.forEach(definition => {
+            const adapter = createAdapter(definition);
+            ProviderRegistry.register(adapter);
+            registeredIds.add(adapter.id);
+        });
+    }
+
+    // Public API
+    return {
+        normalizeBaseUrl,
+        probeModels,
+        createAdapter,
+        registerAll
+    };
+})();
@@ -0,0 +1,431 @@
+/**
+ * Gemini Provider Module - Adapter for the Google Generative Language API
+ * Serves Gemini and Gemma models through the server proxy; registers itself with ProviderRegistry
+ */
+const GeminiProvider = (function() {
+    'use strict';
+
+    const PROVIDER_ID = 'gemini';
+
+    // generationConfig field for each generation parameter
+    const PARAMETER_FIELDS = {
+        temperature: 'temperature',
+        topP: 'topP',
+        maxTokens: 'maxOutputTokens',
+        stopSequences: 'stopSequences',
+        seed: 'seed',
+        presencePenalty: 'presencePenalty',
+        frequencyPenalty: 'frequencyPenalty'
+    };
+
+    // Finish reasons of a reply stopped by the safety filters
+    const BLOCKED_FINISH_REASONS = new Set(['SAFETY', 'RECITATION', 'BLOCKLIST', 'PROHIBITED_CONTENT', 'SPII']);
+
+    // Allowed parameter ranges; Gemma models don't support the penalties
+    const PARAMETER_RANGES = {
+        temperature: { min: 0, max: 2 },
+        topP: { min: 0, max: 1 },
+        maxTokens: { min: 1, max: 8192 },
+        stopSequences: { maxItems: 5 },
+        seed: {},
+        presencePenalty: { min: -2, max: 2 },
+        frequencyPenalty: { min: -2, max: 2 }
+    };
+
+    /**
+     * Checks whether this provider handles a model
+     * @param {string} model - The model ID
+     * @returns {boolean} - Whether the model is a Gemini or Gemma model
+     */
+    function matchesModel(model) {
+        return model.startsWith('gemini') || model.startsWith('gemma');
+    }
+
+    /**
+     * Checks whether a model accepts a separate system instruction
+     * Gemma models reject systemInstruction, so their system prompt goes in the first user turn
+     * @param {string} model - The model ID
+     * @returns {boolean} - Whether systemInstruction is supported
+     */
+    function supportsSystemInstruction(model) {
+        return !model.startsWith('gemma');
+    }
+
+    /**
+     * Checks whether a model can return its reasoning (thought summaries)
+     * Only the Gemini 2.5 models think
+     * @param {string} model - The model ID
+     * @returns {boolean} - Whether the model reasons natively
+     */
+    function supportsNativeReasoning(model) {
+        return model.startsWith('gemini-2.5');
+    }
+
+    /**
+     * Checks whether a model supports function calling
+     * Gemma models served by the API don't
+     * @param {string} model - The model ID
+     * @returns {boolean} - Whether tools can be sent
+     */
+    function supportsTools(model) {
+        return !model.startsWith('gemma');
+    }
+
+    /**
+     * Checks whether a model reads images and PDFs
+     * All of them do except the smallest Gemma
+     * @param {string} model - The model ID
+     * @returns {boolean} - Whether inline_data parts can be sent
+     */
+    function supportsVision(model) {
+        return !model.startsWith('gemma-3-1b');
+    }
+
+    /**
+     * Gets the generation parameter ranges a model accepts
+     * @param {string} model - The model ID
+     * @returns {Object} - Ranges by parameter key; unsupported parameters are left out
+     */
+    function getParameterRanges(model) {
+        if (model.startsWith('gemma')) {
+            const { presencePenalty, frequencyPenalty, ...ranges } = PARAMETER_RANGES;
+            return ranges;
+        }
+        return PARAMETER_RANGES;
+    }
+
+    /**
+     * Converts generation parameters into a Gemini generationConfig
+     * @param {Object} [params] - Validated generation parameters
+     * @returns {Object} - The generationConfig (empty to use the model's defaults)
+     */
+    function toGenerationConfig(params) {
+        const config = {};
+        Object.keys(PARAMETER_FIELDS).forEach(key => {
+            if (params && params[key] !== undefined) config[PARAMETER_FIELDS[key]] = params[key];
+        });
+        return config;
+    }
+
+    /**
+     * Converts a message's text and attachments into Gemini parts
+     * Text files are inlined; images and PDFs become inline_data parts
+     * @param {Object} item - The message ({ content, attachments })
+     * @returns {Array} - The parts
+     */
+    function toGeminiParts(item) {
+        const text = Attachments.withInlinedText(item.content, item.attachments);
+        const parts = Attachments.getBinary(item.attachments).map(attachment => ({
+            inline_data: { mime_type: attachment.mimeType, data: attachment.data }
+        }));
+        
+        // Gemini needs at least one part, even for an empty message
+        if (text || parts.length === 0) {
+            parts.unshift({ text });
+        }
+        return parts;
+    }
+
+    /**
+     * Converts a tool call into a functionCall part
+     * The thought signature of a thinking model is passed back with the call
+     * @param {Object} call - The tool call ({ name, arguments, signature })
+     * @returns {Object} - The part
+     */
+    function toFunctionCallPart(call) {
+        const part = { functionCall: { name: call.name, args: call.arguments || {} } };
+        if (call.signature) part.thoughtSignature = call.signature;
+        return part;
+    }
+
+    /**
+     * Converts a tool result message into a functionResponse part
+     * @param {Object} item - The tool message ({ name, content }), content being JSON
+     * @returns {Object} - The part
+     */
+    function toFunctionResponsePart(item) {
+        let response;
+        try {
+            response = JSON.parse(item.content);
+        } catch (error) {
+            response = null;
+        }
+        // The response has to be an object
+        if (!response || typeof response !== 'object' || Array.isArray(response)) {
+            response = { result: response ?? item.content };
+        }
+        return { functionResponse: { name: item.name, response } };
+    }
+
+    /**
+     * Converts chat history into Gemini contents
+     * Tool calls become functionCall parts of the model turn, and the results
+     * of one round of calls are sent together as functionResponse parts
+     * @param {Array} messages - The chat history ({ role, content, attachments, toolCalls }), without system messages
+     * @returns {Array} - Gemini formatted contents
+     */
+    function toGeminiContents(messages) {
+        const contents = [];
+        messages.forEach(item => {
+            if (item.role === 'tool') {
+                const last = contents[contents.length - 1];
+                if (last && last.parts.every(part => part.functionResponse)) {
+                    last.parts.push(toFunctionResponsePart(item));
+                } else {
+                    contents.push({ role: 'user', parts: [toFunctionResponsePart(item)] });
+                }
+                return;
+            }
+            
+            if (item.toolCalls && item.toolCalls.length > 0) {
+                contents.push({
+                    role: 'model',
+                    parts: [...(item.content ? [{ text: item.content }] : []), ...item.toolCalls.map(toFunctionCallPart)]
+                });
+                return;
+            }
+            
+            contents.push({
+                role: item.role === 'assistant' ? 'model' : 'user',
+                parts: toGeminiParts(item)
+            });
+        });
+        return contents;
+    }
+
+    /**
+     * Builds the request body, mapping system messages to systemInstruction
+     * @param {string} model - The model to use
+     * @param {Array} messages - The message history, optionally starting with system messages
+     * @param {Object} [options] - Request options
+     * @param {Object} [options.params] - Validated generation parameters
+     * @param {boolean} [options.reasoning] - Ask a thinking model to include its thought summaries
+     * @param {Array} [options.tools] - Tool declarations the model may call
+     * @param {boolean} [inlineSystem] - Put the system prompt in the first user turn instead
+     * @returns {Object} - The generateContent request body
+     */
+    function buildPayload(model, messages, options = {}, inlineSystem = !supportsSystemInstruction(model)) {
+        const systemText = messages
+            .filter(item => item.role === 'system')
+            .map(item => item.content)
+            .join('\n\n');
+        let chat = messages.filter(item => item.role !== 'system');
+        const payload = {};
+        
+        const generationConfig = toGenerationConfig(options.params);
+        if (options.reasoning && supportsNativeReasoning(model)) {
+            generationConfig.thinkingConfig = { includeThoughts: true };
+        }
+        if (Object.keys(generationConfig).length > 0) {
+            payload.generationConfig = generationConfig;
+        }
+        
+        if (systemText && inlineSystem) {
+            const firstUser = chat.findIndex(item => item.role === 'user');
+            chat = chat.map((item, index) => index === firstUser ?
+                { ...item, content: `${systemText}\n\n${item.content}` } : item);
+        } else if (systemText) {
+            payload.systemInstruction = { parts: [{ text: systemText }] };
+        }
+        
+        payload.contents = toGeminiContents(chat);
+        if (options.tools && options.tools.length > 0 && supportsTools(model)) {
+            payload.tools = [{
+                functionDeclarations: options.tools.map(({ name, description, parameters }) => ({ name, description, parameters }))
+            }];
+        }
+        return payload;
+    }
+
+    /**
+     * Converts Gemini usage metadata into a usage record
+     * Thinking tokens are billed as output, so they count towards the completion
+     * @param {Object} [metadata] - The response's usageMetadata
+     * @returns {Object|null} - Usage as { promptTokens, completionTokens, totalTokens, reasoningTokens }, or null if missing
+     */
+    function toUsage(metadata) {
+        if (!metadata) return null;
+        const thoughts = metadata.thoughtsTokenCount || 0;
+        return Utils.createUsage(
+            metadata.promptTokenCount || 0,
+            (metadata.candidatesTokenCount || 0) + thoughts,
+            metadata.totalTokenCount || 0,
+            thoughts
+        );
+    }
+
+    /**
+     * Splits response parts into answer text, thought summaries and function calls
+     * @param {Array} [parts] - The candidate's content parts
+     * @returns {{text: string, reasoning: string, toolCalls: Array}} - The joined text of each kind and the tool calls
+     */
+    function splitParts(parts = []) {
+        const result = { text: '', reasoning: '', toolCalls: [] };
+        parts.forEach(part => {
+            if (part.functionCall) {
+                result.toolCalls.push({
+                    id: part.functionCall.id || Utils.generateId(),
+                    name: part.functionCall.name,
+                    arguments: part.functionCall.args || {},
+                    ...(part.thoughtSignature ? { signature: part.thoughtSignature } : {})
+                });
+            } else if (part.thought) {
+                result.reasoning += part.text || '';
+            } else {
+                result.text += part.text || '';
+            }
+        });
+        return result;
+    }
+
+    /**
+     * Throws a safety error if the prompt was blocked, or the reply was stopped before it had anything in it
+     * @param {Object} data - The response or stream chunk
+     * @param {boolean} empty - Whether nothing has been generated
+     */
+    function checkBlocked(data, empty) {
+        const blockReason = data.promptFeedback?.blockReason;
+        if (blockReason) {
+            throw ApiError.create(ApiError.TYPES.SAFETY, `The prompt was blocked (${blockReason}).`);
+        }
+        
+        const finishReason = data.candidates?.[0]?.finishReason;
+        if (BLOCKED_FINISH_REASONS.has(finishReason) && empty) {
+            throw ApiError.create(ApiError.TYPES.SAFETY, `The reply was blocked (${finishReason}).`);
+        }
+    }
+
+    /**
+     * Sends a non-streaming request
+     * @param {string} model - The model to use
+     * @param {Array} messages - The message history
+     * @param {Object} [options] - Request options
+     * @param {AbortSignal} [options.signal] - Cancels the request
+     * @param {Object} [options.params] - Validated generation parameters
+     * @param {boolean} [options.reasoning] - Include the model's thought summaries
+     * @param {Array} [options.tools] - Tool declarations the model may call
+     * @returns {Promise<Object>} - The reply text, reasoning, tool calls, token usage and raw response
+     */
+    async function send(model, messages, options = {}) {
+        const response = await ProxyClient.chat(PROVIDER_ID, model, buildPayload(model, messages, options), {
+            signal: options.signal
+        });
+        
+        const result = await response.json();
+        if (!result.candidates || result.candidates.length === 0) {
+            checkBlocked(result, true);
+            throw ApiError.create(ApiError.TYPES.SERVER, 'The API returned no reply.');
+        }
+        
+        const content = result.candidates[0].content || {};
+        const { text, reasoning, toolCalls } = content.parts ? splitParts(content.parts) :
+            { text: content.text || '', reasoning: '', toolCalls: [] };
+        checkBlocked(result, !text && toolCalls.length === 0);
+        
+        return {
+            text,
+            reasoning,
+            toolCalls,
+            usage: toUsage(result.usageMetadata),
+            raw: result
+        };
+    }
+
+    /**
+     * Sends a streaming request
+     * @param {string} model - The model to use
+     * @param {Array} messages - The message history
+     * @param {Function} onChunk - Callback for each chunk of text (chunk, fullText, fullReasoning)
+     * @param {Object} [options] - Request options
+     * @param {AbortSignal} [options.signal] - Cancels the request, including the reader loop
+     * @param {Object} [options.params] - Validated generation parameters
+     * @param {boolean} [options.reasoning] - Include the model's thought summaries
+     * @param {Array} [options.tools] - Tool declarations the model may call
+     * @returns {Promise<Object>} - The full reply text, reasoning, tool calls and token usage (null if not reported)
+     */
+    async function stream(model, messages, onChunk, options = {}) {
+        const response = await ProxyClient.chat(PROVIDER_ID, model, buildPayload(model, messages, options), {
+            stream: true,
+            signal: options.signal
+        });
+        
+        let fullReply = '', fullReasoning = '', usage = null, complete = false;
+        const toolCalls = [];
+        
+        for await (const event of SSEParser.readJSON(response)) {
+            if (event.done) {
+                complete = true;
+                break;
+            }
+            
+            // Usage is repeated on each chunk; the final chunk has the complete counts
+            if (event.data.usageMetadata) {
+                usage = toUsage(event.data.usageMetadata);
+            }
+            
+            const chunk = splitParts(event.data.candidates?.[0]?.content?.parts);
+            fullReasoning += chunk.reasoning;
+            fullReply += chunk.text;
+            toolCalls.push(...chunk.toolCalls);
+            if (onChunk && (chunk.text || chunk.reasoning)) onChunk(chunk.text, fullReply, fullReasoning);
+            
+            // The last chunk has the finish reason
+            checkBlocked(event.data, !fullReply && toolCalls.length === 0);
+            if (event.data.candidates?.[0]?.finishReason) complete = true;
+        }
+        
+        // A stream that ends without a finish reason was cut off
+        if (!complete) {
+            throw ApiError.create(ApiError.TYPES.NETWORK, 'The connection closed before the reply was complete.');
+        }
+        return { text: fullReply, reasoning: fullReasoning, toolCalls, usage };
+    }
+
+    /**
+     * Counts the tokens in a list of messages with the free countTokens endpoint
+     * @param {string} model - The model used
+     * @param {Array} messages - The messages to count
+     * @returns {Promise<number>} - The token count
+     */
+    async function countTokens(model, messages) {
+        // The counting endpoint only takes contents, so the system prompt is counted inline
+        const result = await ProxyClient.countTokens(PROVIDER_ID, model, {
+            contents: buildPayload(model, messages, {}, true).contents
+        });
+        return result.totalTokens || 0;
+    }
+
+    /**
+     * Lists the models that support content generation
+     * @returns {Promise<Array>} - Models as { id, name, contextWindow }
+     */
+    async function listModels() {
+        const result = await ProxyClient.listModels(PROVIDER_ID);
+        return (result.models || [])
+            .filter(item => (item.supportedGenerationMethods || []).includes('generateContent'))
+            .map(item => ({
+                id: item.name.replace(/^models\//, ''),
+                name: item.displayName || item.name,
+                contextWindow: item.inputTokenLimit || undefined
+            }));
+    }
+
+    const provider = {
+        id: PROVIDER_ID,
+        name: 'Google Gemini',
+        matchesModel,
+        getParameterRanges,
+        supportsNativeReasoning,
+        supportsTools,
+        supportsVision,
+        send,
+        stream,
+        countTokens,
+        listModels
+    };
+
+    ProviderRegistry.register(provider);
+
+    // Public API
+    return provider;
+})();
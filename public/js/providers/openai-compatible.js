@@ -0,0 +1,332 @@
+/**
+ * OpenAI Compatible Module - Builds adapters for APIs speaking the OpenAI Chat Completions format
+ * Shared by the built-in OpenAI provider and user-defined providers (llama.cpp server, Ollama, vLLM, ...);
+ * each adapter supplies its own transport, model matching and model listing
+ */
+const OpenAICompatible = (function() {
+    'use strict';
+
+    // Request body field for each generation parameter
+    const PARAMETER_FIELDS = {
+        temperature: 'temperature',
+        topP: 'top_p',
+        maxTokens: 'max_tokens',
+        stopSequences: 'stop',
+        seed: 'seed',
+        presencePenalty: 'presence_penalty',
+        frequencyPenalty: 'frequency_penalty'
+    };
+
+    // Allowed parameter ranges for the Chat Completions API
+    const PARAMETER_RANGES = {
+        temperature: { min: 0, max: 2 },
+        topP: { min: 0, max: 1 },
+        maxTokens: { min: 1, max: 32768 },
+        stopSequences: { maxItems: 4 },
+        seed: {},
+        presencePenalty: { min: -2, max: 2 },
+        frequencyPenalty: { min: -2, max: 2 }
+    };
+
+    /**
+     * Converts generation parameters into Chat Completions request fields
+     * @param {Object} [params] - Validated generation parameters
+     * @returns {Object} - The request fields
+     */
+    function toRequestParams(params) {
+        const fields = {};
+        Object.keys(PARAMETER_FIELDS).forEach(key => {
+            if (params && params[key] !== undefined) fields[PARAMETER_FIELDS[key]] = params[key];
+        });
+        return fields;
+    }
+
+    /**
+     * Converts a message's text and attachments into OpenAI content
+     * Text files are inlined; images become image_url parts and PDFs file parts
+     * @param {Object} item - The message ({ content, attachments })
+     * @returns {string|Array} - Plain text, or content parts if there are images or PDFs
+     */
+    function toOpenAIContent(item) {
+        const text = Attachments.withInlinedText(item.content, item.attachments);
+        const binary = Attachments.getBinary(item.attachments);
+        if (binary.length === 0) return text;
+
+        const parts = text ? [{ type: 'text', text }] : [];
+        binary.forEach(attachment => {
+            if (attachment.kind === 'image') {
+                parts.push({ type: 'image_url', image_url: { url: Attachments.toDataUrl(attachment) } });
+            } else {
+                parts.push({ type: 'file', file: { filename: attachment.name, file_data: Attachments.toDataUrl(attachment) } });
+            }
+        });
+        return parts;
+    }
+
+    /**
+     * Converts chat history into OpenAI messages
+     * System messages keep the 'system' role; tool calls and their results
+     * become tool_calls on the assistant message and 'tool' messages
+     * @param {Array} messages - The chat history ({ role, content, attachments, toolCalls, toolCallId })
+     * @returns {Array} - OpenAI formatted messages
+     */
+    function toOpenAIMessages(messages) {
+        return messages.map(item => {
+            if (item.role === 'tool') {
+                return { role: 'tool', tool_call_id: item.toolCallId, content: item.content };
+            }
+
+            const message = { role: item.role, content: toOpenAIContent(item) };
+            if (item.toolCalls && item.toolCalls.length > 0) {
+                message.content = message.content || null;
+                message.tool_calls = item.toolCalls.map(call => ({
+                    id: call.id,
+                    type: 'function',
+                    function: { name: call.name, arguments: JSON.stringify(call.arguments) }
+                }));
+            }
+            return message;
+        });
+    }
+
+    /**
+     * Converts tool declarations into the request's tools field
+     * @param {Array} [tools] - Declarations as { name, description, parameters }
+     * @returns {Object} - { tools } or an empty object if there are none
+     */
+    function toRequestTools(tools) {
+        if (!tools || tools.length === 0) return {};
+        return {
+            tools: tools.map(tool => ({
+                type: 'function',
+                function: { name: tool.name, description: tool.description, parameters: tool.parameters }
+            }))
+        };
+    }
+
+    /**
+     * Converts OpenAI tool calls into tool call records
+     * Arguments arrive as JSON text; text that doesn't parse is passed on as no arguments
+     * @param {Array} [toolCalls] - The message's tool_calls
+     * @returns {Array} - Tool calls as { id, name, arguments }
+     */
+    function toToolCalls(toolCalls) {
+        return (toolCalls || []).filter(call => call && call.function).map(call => {
+            let args = {};
+            try {
+                args = JSON.parse(call.function.arguments || '{}') || {};
+            } catch (error) {
+                console.warn(`Tool call ${call.function.name} has invalid arguments:`, call.function.arguments);
+            }
+            return { id: call.id || Utils.generateId(), name: call.function.name, arguments: args };
+        });
+    }
+
+    /**
+     * Converts OpenAI usage into a usage record
+     * @param {Object} [usage] - The response's usage object
+     * @returns {Object|null} - Usage as { promptTokens, completionTokens, totalTokens, reasoningTokens }, or null if missing
+     */
+    function toUsage(usage) {
+        if (!usage) return null;
+        return Utils.createUsage(
+            usage.prompt_tokens || 0,
+            usage.completion_tokens || 0,
+            usage.total_tokens || 0,
+            usage.completion_tokens_details?.reasoning_tokens || 0
+        );
+    }
+
+    /**
+     * Gets the reasoning text of a message or stream delta
+     * OpenAI-compatible servers for reasoning models send it as reasoning_content (or reasoning)
+     * @param {Object} [message] - The message or delta
+     * @returns {string} - The reasoning text, or '' if there is none
+     */
+    function getReasoning(message) {
+        if (!message) return '';
+        return message.reasoning_content || message.reasoning || '';
+    }
+
+    /**
+     * Throws a safety error for a reply the content filter stopped before it had any text or tool calls
+     * @param {string|null} finishReason - The choice's finish_reason
+     * @param {boolean} empty - Whether nothing was generated
+     */
+    function checkFiltered(finishReason, empty) {
+        if (finishReason === 'content_filter' && empty) {
+            throw ApiError.create(ApiError.TYPES.SAFETY, 'The reply was blocked by the content filter.');
+        }
+    }
+
+    /**
+     * Creates a provider adapter for an OpenAI-compatible API
+     * @param {Object} config - The adapter's own parts
+     * @param {string} config.id - The provider ID
+     * @param {string} config.name - The display name
+     * @param {Function} config.matchesModel - Checks whether the adapter handles a model ID
+     * @param {Function} config.chat - Sends a request body (model, body, { stream, signal }) and resolves to the successful Response
+     * @param {Function} config.listModels - Lists the models as { id, name }
+     * @param {boolean} [config.localModels] - The model list is known without a request, so it isn't cached
+     * @param {Function} [config.supportsTools] - Checks whether a model can call tools (defaults to all models)
+     * @param {Function} [config.supportsVision] - Checks whether a model reads images and PDFs (defaults to all models)
+     * @param {Function} [config.getContextWindow] - Gets a model's context window in tokens, if known
+     * @returns {Object} - The adapter, ready for ProviderRegistry.register
+     */
+    function createAdapter(config) {
+        /**
+         * Builds the request body shared by send and stream
+         * @param {Array} messages - The message history
+         * @param {Object} options - Request options (params, tools)
+         * @returns {Object} - The request body without the model
+         */
+        function buildBody(messages, options) {
+            return {
+                ...toRequestParams(options.params),
+                ...toRequestTools(options.tools),
+                messages: toOpenAIMessages(messages)
+            };
+        }
+
+        /**
+         * Sends a non-streaming request
+         * @param {string} model - The model to use
+         * @param {Array} messages - The message history
+         * @param {Object} [options] - Request options
+         * @param {AbortSignal} [options.signal] - Cancels the request
+         * @param {Object} [options.params] - Validated generation parameters
+         * @param {Array} [options.tools] - Tool declarations the model may call
+         * @returns {Promise<Object>} - The reply text, reasoning, tool calls, token usage and raw response
+         */
+        async function send(model, messages, options = {}) {
+            const response = await config.chat(model, buildBody(messages, options), { signal: options.signal });
+
+            const result = await response.json();
+            if (result.error) {
+                throw new Error(result.error.message);
+            }
+
+            const choice = result.choices[0];
+            const message = choice.message;
+            checkFiltered(choice.finish_reason, !message.content && !message.tool_calls);
+            return {
+                text: message.content || '',
+                reasoning: getReasoning(message),
+                toolCalls: toToolCalls(message.tool_calls),
+                usage: toUsage(result.usage),
+                raw: result
+            };
+        }
+
+        /**
+         * Sends a streaming request
+         * @param {string} model - The model to use
+         * @param {Array} messages - The message history
+         * @param {Function} onChunk - Callback for each chunk of text (chunk, fullText, fullReasoning)
+         * @param {Object} [options] - Request options
+         * @param {AbortSignal} [options.signal] - Cancels the request, including the reader loop
+         * @param {Object} [options.params] - Validated generation parameters
+         * @param {Array} [options.tools] - Tool declarations the model may call
+         * @returns {Promise<Object>} - The full reply text, reasoning, tool calls and token usage (null if not reported)
+         */
+        async function stream(model, messages, onChunk, options = {}) {
+            const response = await config.chat(model, {
+                ...buildBody(messages, options),
+                stream_options: { include_usage: true }
+            }, { stream: true, signal: options.signal });
+
+            let fullReply = '';
+            let fullReasoning = '';
+            let usage = null;
+            let finishReason = null;
+            let complete = false;
+
+            // Tool calls arrive in fragments, keyed by their index
+            const toolCalls = [];
+
+            for await (const event of SSEParser.readJSON(response)) {
+                if (event.done) {
+                    complete = true;
+                    break;
+                }
+
+                // The final chunk carries the usage for the whole request
+                if (event.data.usage) {
+                    usage = toUsage(event.data.usage);
+                }
+
+                const choice = event.data.choices?.[0];
+                if (choice?.finish_reason) {
+                    finishReason = choice.finish_reason;
+                    complete = true;
+                }
+
+                const delta = choice?.delta;
+                const reasoning = getReasoning(delta);
+                if (reasoning) {
+                    fullReasoning += reasoning;
+                    if (onChunk) onChunk('', fullReply, fullReasoning);
+                }
+                if (delta?.content) {
+                    fullReply += delta.content;
+                    if (onChunk) onChunk(delta.content, fullReply, fullReasoning);
+                }
+                (delta?.tool_calls || []).forEach(fragment => {
+                    // Some compatible servers leave out the index; a new id starts a new call
+                    const index = fragment.index ?? (fragment.id ? toolCalls.length : Math.max(0, toolCalls.length - 1));
+                    const call = toolCalls[index] ||
+                        (toolCalls[index] = { id: '', function: { name: '', arguments: '' } });
+                    if (fragment.id) call.id = fragment.id;
+                    if (fragment.function?.name) call.function.name += fragment.function.name;
+                    if (fragment.function?.arguments) call.function.arguments += fragment.function.arguments;
+                });
+            }
+
+            // A stream that ends without a finish reason or [DONE] was cut off
+            if (!complete) {
+                throw ApiError.create(ApiError.TYPES.NETWORK, 'The connection closed before the reply was complete.');
+            }
+            checkFiltered(finishReason, !fullReply && toolCalls.length === 0);
+
+            return { text: fullReply, reasoning: fullReasoning, toolCalls: toToolCalls(toolCalls), usage };
+        }
+
+        /**
+         * Estimates the tokens in a list of messages
+         * The Chat Completions API has no counting endpoint, so this is estimated locally,
+         * with a few tokens per message for the role and separators
+         * @param {string} model - The model used
+         * @param {Array} messages - The messages to count
+         * @returns {Promise<number>} - The estimated token count
+         */
+        async function countTokens(model, messages) {
+            return messages.reduce((total, item) => total + 4 + Utils.estimateTokens(item.content) +
+                Attachments.estimateTokens(item.attachments) +
+                (item.toolCalls ? Utils.estimateTokens(JSON.stringify(item.toolCalls)) : 0), 0);
+        }
+
+        const adapter = {
+            id: config.id,
+            name: config.name,
+            matchesModel: config.matchesModel,
+            // The parameters are the same for every model speaking this format
+            getParameterRanges: () => PARAMETER_RANGES,
+            // Reasoning fields are read whenever a server sends them, but no model is asked for them
+            supportsNativeReasoning: () => false,
+            supportsTools: config.supportsTools || (() => true),
+            supportsVision: config.supportsVision || (() => true),
+            send,
+            stream,
+            countTokens,
+            listModels: config.listModels
+        };
+        if (config.getContextWindow) adapter.getContextWindow = config.getContextWindow;
+        if (config.localModels) adapter.localModels = true;
+        return adapter;
+    }
+
+    // Public API
+    return {
+        createAdapter
+    };
+})();
@@ -0,0 +1,68 @@
+/**
+ * OpenAI Provider Module - Adapter for the OpenAI Chat Completions API
+ * Requests go through the server proxy; registers itself with ProviderRegistry
+ */
+const OpenAIProvider = (function() {
+    'use strict';
+
+    const PROVIDER_ID = 'openai';
+
+    // Models in the listing that don't chat (embeddings, images, audio, ...)
+    const NON_CHAT_PATTERN = /(embedding|image|audio|realtime|transcribe|tts|search|instruct)/;
+
+    /**
+     * Checks whether this provider handles a model
+     * @param {string} model - The model ID
+     * @returns {boolean} - Whether the model is an OpenAI model
+     */
+    function matchesModel(model) {
+        return model.startsWith('gpt') || model.startsWith('chatgpt');
+    }
+
+    /**
+     * Checks whether a model reads images and PDFs
+     * GPT-3.5 is the only chat model that doesn't
+     * @param {string} model - The model ID
+     * @returns {boolean} - Whether binary attachments can be sent
+     */
+    function supportsVision(model) {
+        return !model.startsWith('gpt-3.5');
+    }
+
+    /**
+     * Sends a request body to the Chat Completions API through the server
+     * @param {string} model - The model to use
+     * @param {Object} body - The request body
+     * @param {Object} [options] - Request options ({ stream, signal })
+     * @returns {Promise<Response>} - The successful response
+     */
+    function chat(model, body, options) {
+        return ProxyClient.chat(PROVIDER_ID, model, body, options);
+    }
+
+    /**
+     * Lists the chat models available to the server's key
+     * @returns {Promise<Array>} - Models as { id, name }
+     */
+    async function listModels() {
+        const result = await ProxyClient.listModels(PROVIDER_ID);
+        return (result.data || [])
+            .filter(item => matchesModel(item.id) && !NON_CHAT_PATTERN.test(item.id))
+            .map(item => ({ id: item.id, name: item.id }))
+            .sort((a, b) => a.id.localeCompare(b.id));
+    }
+
+    const provider = OpenAICompatible.createAdapter({
+        id: PROVIDER_ID,
+        name: 'OpenAI',
+        matchesModel,
+        chat,
+        listModels,
+        supportsVision
+    });
+
+    ProviderRegistry.register(provider);
+
+    // Public API
+    return provider;
+})();
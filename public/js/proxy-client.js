@@ -0,0 +1,163 @@
+/**
+ * Proxy Client Module - Talks to the app's own server API
+ * Handles the login session; provider requests go through the server, which holds the API keys
+ */
+const ProxyClient = (function() {
+    'use strict';
+
+    // Relative so the app also works when served from a sub-path
+    const API_BASE_PATH = 'api';
+
+    // Private state
+    let unauthorizedHandler = null;
+
+    /**
+     * Registers a callback for requests rejected because the session ended
+     * @param {Function} handler - Called when the server answers 401
+     */
+    function onUnauthorized(handler) {
+        unauthorizedHandler = handler;
+    }
+
+    /**
+     * Sends a request to the server API with the session cookie
+     * @param {string} path - The API path
+     * @param {Object} [options] - fetch options
+     * @returns {Promise<Response>} - The response; a failed connection throws a network ApiError
+     */
+    async function request(path, options = {}) {
+        let response;
+        try {
+            response = await fetch(`${API_BASE_PATH}/${path}`, {
+                credentials: 'same-origin',
+                ...options,
+                headers: { 'Content-Type': 'application/json', ...options.headers }
+            });
+        } catch (err) {
+            if (err.name === 'AbortError') throw err;
+            throw ApiError.create(ApiError.TYPES.NETWORK, 'Could not reach the server. Check your connection.');
+        }
+        
+        if (response.status === 401 && unauthorizedHandler) {
+            unauthorizedHandler();
+        }
+        
+        return response;
+    }
+
+    /**
+     * Reads the error message from a failed response
+     * @param {Response} response - The failed response
+     * @returns {Promise<string>} - The error message
+     */
+    async function readErrorMessage(response) {
+        try {
+            const body = await response.json();
+            return body.error?.message || `Request failed (${response.status})`;
+        } catch (err) {
+            return `Request failed (${response.status})`;
+        }
+    }
+
+    /**
+     * Logs in and starts a session
+     * @param {string} username - The username
+     * @param {string} password - The password
+     * @returns {Promise<Object>} - The session ({ username, maxRequestBytes })
+     */
+    async function login(username, password) {
+        // Not sent through request(): a 401 here is a wrong password, not an expired session
+        const response = await fetch(`${API_BASE_PATH}/login`, {
+            method: 'POST',
+            credentials: 'same-origin',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ username, password })
+        });
+        
+        if (!response.ok) {
+            throw new Error(await readErrorMessage(response));
+        }
+        return response.json();
+    }
+
+    /**
+     * Ends the current session
+     * @returns {Promise<void>}
+     */
+    async function logout() {
+        await fetch(`${API_BASE_PATH}/logout`, { method: 'POST', credentials: 'same-origin' });
+    }
+
+    /**
+     * Gets the current session
+     * @returns {Promise<Object|null>} - The session ({ username, maxRequestBytes }) or null if not logged in
+     */
+    async function getSession() {
+        const response = await fetch(`${API_BASE_PATH}/session`, { credentials: 'same-origin' });
+        if (response.status === 401) return null;
+        
+        await Utils.assertResponseOk(response);
+        return response.json();
+    }
+
+    /**
+     * Sends a chat request to a provider through the server
+     * @param {string} provider - The provider ID ('openai' or 'gemini')
+     * @param {string} model - The model to use
+     * @param {Object} payload - The request body in the provider's wire format
+     * @param {Object} [options] - Request options
+     * @param {boolean} [options.stream] - Whether to request a streamed (SSE) response
+     * @param {AbortSignal} [options.signal] - Cancels the request; the server then aborts the upstream call
+     * @returns {Promise<Response>} - The successful response
+     */
+    async function chat(provider, model, payload, options = {}) {
+        const response = await request(options.stream ? 'chat/stream' : 'chat', {
+            method: 'POST',
+            body: JSON.stringify({ provider, model, payload }),
+            signal: options.signal
+        });
+        
+        await Utils.assertResponseOk(response);
+        return response;
+    }
+
+    /**
+     * Counts tokens with a provider's counting endpoint through the server
+     * @param {string} provider - The provider ID (only providers with a counting endpoint)
+     * @param {string} model - The model to count for
+     * @param {Object} payload - The request body in the provider's wire format
+     * @returns {Promise<Object>} - The provider's count response
+     */
+    async function countTokens(provider, model, payload) {
+        const response = await request('count-tokens', {
+            method: 'POST',
+            body: JSON.stringify({ provider, model, payload })
+        });
+        
+        await Utils.assertResponseOk(response);
+        return response.json();
+    }
+
+    /**
+     * Gets the raw model listing of a provider through the server
+     * @param {string} provider - The provider ID
+     * @returns {Promise<Object>} - The provider's model list response
+     */
+    async function listModels(provider) {
+        const response = await request(`models?provider=${encodeURIComponent(provider)}`);
+        
+        await Utils.assertResponseOk(response);
+        return response.json();
+    }
+
+    // Public API
+    return {
+        onUnauthorized,
+        login,
+        logout,
+        getSession,
+        chat,
+        countTokens,
+        listModels
+    };
+})();
@@ -0,0 +1,83 @@
+/**
+ * Reasoning Parser Module - Separates reasoning from the answer in tagged replies
+ * Models without native reasoning are asked to put their reasoning in a
+ * <thinking> block at the start of the reply; the parser splits it off, also
+ * while the reply is still streaming and a tag may be cut across chunks
+ */
+const ReasoningParser = (function() {
+    'use strict';
+
+    const OPEN_TAG = '<thinking>';
+    const CLOSE_TAG = '</thinking>';
+
+    // System instructions for models without native reasoning
+    const INSTRUCTIONS = 'Before answering, reason through the request step by step. ' +
+        `Start your reply with your reasoning inside ${OPEN_TAG}${CLOSE_TAG} tags, ` +
+        'then write your final answer after the closing tag. Do not use these tags anywhere else.';
+
+    /**
+     * Gets the system instructions asking for tagged reasoning
+     * @returns {string} - The instructions
+     */
+    function getInstructions() {
+        return INSTRUCTIONS;
+    }
+
+    /**
+     * Counts how many characters at the end of a text could be the start of a tag
+     * @param {string} text - The text received so far
+     * @param {string} tag - The tag
+     * @returns {number} - The length of the longest tag prefix the text ends with
+     */
+    function partialTagLength(text, tag) {
+        for (let length = Math.min(tag.length - 1, text.length); length > 0; length--) {
+            if (text.endsWith(tag.slice(0, length))) return length;
+        }
+        return 0;
+    }
+
+    /**
+     * Splits a (possibly partial) reply into reasoning and answer
+     * Only a reasoning block at the very start of the reply counts, so the
+     * tags appearing later in the answer are left alone
+     * @param {string} text - The reply received so far
+     * @param {boolean} [complete] - Whether the reply is complete
+     * @returns {{reasoning: string, text: string, thinking: boolean}} - The parts;
+     *     thinking is true while the reasoning block is still open
+     */
+    function split(text, complete = false) {
+        const start = text.length - text.trimStart().length;
+        const body = text.slice(start);
+
+        if (!body.startsWith(OPEN_TAG)) {
+            // Hold back a tag that may still be arriving
+            if (!complete && OPEN_TAG.startsWith(body)) {
+                return { reasoning: '', text: '', thinking: body.length > 0 };
+            }
+            return { reasoning: '', text, thinking: false };
+        }
+
+        const rest = body.slice(OPEN_TAG.length);
+        const end = rest.indexOf(CLOSE_TAG);
+        if (end === -1) {
+            // A block that is never closed most likely holds the answer as well
+            if (complete) {
+                return { reasoning: '', text: rest.trim(), thinking: false };
+            }
+            const visible = rest.slice(0, rest.length - partialTagLength(rest, CLOSE_TAG));
+            return { reasoning: visible.trim(), text: '', thinking: true };
+        }
+
+        return {
+            reasoning: rest.slice(0, end).trim(),
+            text: rest.slice(end + CLOSE_TAG.length).trimStart(),
+            thinking: false
+        };
+    }
+
+    // Public API
+    return {
+        getInstructions,
+        split
+    };
+})();
@@ -0,0 +1,201 @@
+/**
+ * Settings Controller Module - Manages application settings
+ * Handles settings modal and persistence of user preferences
+ */
+const SettingsController = (function() {
+    'use strict';
+
+    // Private state
+    let settingsModal = null;
+    let settings = {
+        streaming: true,
+        enableCoT: false,
+        showThinking: true,
+        enableTools: true,
+        dailyBudget: 0,
+        monthlyBudget: 0,
+        budgetAction: 'warn',
+        defaultPersonaId: '',
+        modelParams: {},
+        fallbackChains: {},
+        contextThreshold: 80,
+        contextStrategy: 'summarise'
+    };
+
+    // Allowed context threshold, in percent of the model's context window
+    const MIN_CONTEXT_THRESHOLD = 10;
+    const MAX_CONTEXT_THRESHOLD = 100;
+
+    /**
+     * Creates and attaches the settings modal
+     */
+    function createSettingsModal() {
+        if (settingsModal) return;
+        
+        // Create modal from template
+        settingsModal = Utils.createFromTemplate('settings-modal-template');
+        document.body.appendChild(settingsModal);
+        
+        // Set initial values based on current settings
+        document.getElementById('streaming-toggle').checked = settings.streaming;
+        document.getElementById('cot-toggle').checked = settings.enableCoT;
+        document.getElementById('show-thinking-toggle').checked = settings.showThinking;
+        document.getElementById('tools-toggle').checked = settings.enableTools;
+        
+        // Add event listeners
+        PersonaController.bindModal();
+        CustomProviderController.bindModal();
+        ParametersController.bindModal();
+        FallbackController.bindModal();
+        document.getElementById('save-settings').addEventListener('click', saveSettings);
+        document.getElementById('close-settings').addEventListener('click', hideSettingsModal);
+        
+        // Close when clicking outside the modal content
+        settingsModal.addEventListener('click', function(event) {
+            if (event.target === settingsModal) {
+                hideSettingsModal();
+            }
+        });
+    }
+
+    /**
+     * Shows the settings modal
+     */
+    function showSettingsModal() {
+        if (!settingsModal) {
+            createSettingsModal();
+        }
+        
+        settingsModal.style.display = 'flex';
+        document.getElementById('streaming-toggle').checked = settings.streaming;
+        document.getElementById('cot-toggle').checked = settings.enableCoT;
+        document.getElementById('show-thinking-toggle').checked = settings.showThinking;
+        document.getElementById('tools-toggle').checked = settings.enableTools;
+        showToolSupport();
+        document.getElementById('daily-budget-input').value = settings.dailyBudget || '';
+        document.getElementById('monthly-budget-input').value = settings.monthlyBudget || '';
+        document.getElementById('budget-action-select').value = settings.budgetAction;
+        document.getElementById('context-threshold-input').value = settings.contextThreshold;
+        document.getElementById('context-strategy-select').value = settings.contextStrategy;
+        
+        // The persona library fills the default persona choices
+        PersonaController.renderLibrary();
+        document.getElementById('default-persona-select').value = settings.defaultPersonaId || '';
+        
+        CustomProviderController.renderList();
+        ParametersController.open(settings.modelParams);
+        FallbackController.open(settings.fallbackChains);
+    }
+
+    /**
+     * Notes below the tools toggle if the selected model can't call tools
+     */
+    function showToolSupport() {
+        const note = document.getElementById('tools-support-note');
+        const model = ModelCatalog.getModel(UIController.getSelectedModel());
+        
+        note.hidden = !model || model.tools;
+        note.textContent = model ? `${model.name} can't call tools, so none are offered to it.` : '';
+    }
+
+    /**
+     * Reads a budget limit from an input
+     * @param {string} id - The input ID
+     * @returns {number} - The limit in dollars (0 for no limit)
+     */
+    function readBudgetInput(id) {
+        const value = parseFloat(document.getElementById(id).value);
+        return Number.isFinite(value) && value > 0 ? value : 0;
+    }
+
+    /**
+     * Reads the context threshold input, clamped to the allowed range
+     * @returns {number} - The threshold in percent
+     */
+    function readContextThreshold() {
+        const value = parseInt(document.getElementById('context-threshold-input').value, 10);
+        if (!Number.isFinite(value)) return settings.contextThreshold;
+        return Math.min(MAX_CONTEXT_THRESHOLD, Math.max(MIN_CONTEXT_THRESHOLD, value));
+    }
+
+    /**
+     * Hides the settings modal
+     */
+    function hideSettingsModal() {
+        if (settingsModal) {
+            settingsModal.style.display = 'none';
+        }
+    }
+
+    /**
+     * Saves settings from the modal
+     */
+    function saveSettings() {
+        // Invalid generation parameters keep the modal open with their errors shown
+        const generation = ParametersController.collect();
+        if (!generation) return;
+        
+        const streamingEnabled = document.getElementById('streaming-toggle').checked;
+        const cotEnabled = document.getElementById('cot-toggle').checked;
+        const showThinkingEnabled = document.getElementById('show-thinking-toggle').checked;
+        const toolsEnabled = document.getElementById('tools-toggle').checked;
+        
+        settings = {
+            ...settings,
+            streaming: streamingEnabled,
+            enableCoT: cotEnabled,
+            showThinking: showThinkingEnabled,
+            enableTools: toolsEnabled,
+            dailyBudget: readBudgetInput('daily-budget-input'),
+            monthlyBudget: readBudgetInput('monthly-budget-input'),
+            budgetAction: document.getElementById('budget-action-select').value,
+            defaultPersonaId: document.getElementById('default-persona-select').value,
+            modelParams: generation.modelParams,
+            fallbackChains: FallbackController.collect(),
+            contextThreshold: readContextThreshold(),
+            contextStrategy: document.getElementById('context-strategy-select').value
+        };
+        
+        // Update the chat controller settings
+        ChatController.updateSettings(settings);
+        ChatController.setGenerationParams(generation.conversationParams);
+        
+        // Save settings
+        Utils.saveSettings(settings);
+        
+        // Hide modal
+        hideSettingsModal();
+    }
+
+    /**
+     * Initializes settings from the saved settings or defaults
+     */
+    function initSettings() {
+        const savedSettings = Utils.getSavedSettings();
+        if (savedSettings) {
+            settings = { ...settings, ...savedSettings };
+        }
+        
+        // Apply settings to chat controller
+        ChatController.updateSettings(settings);
+        
+        // Set up settings button
+        document.getElementById('settings-button').addEventListener('click', showSettingsModal);
+    }
+
+    /**
+     * Get current settings
+     * @returns {Object} - The current settings
+     */
+    function getSettings() {
+        return { ...settings };
+    }
+
+    // Public API
+    return {
+        init: initSettings,
+        showSettingsModal,
+        hideSettingsModal,
+        getSettings
+    };
+})(); 
\ No newline at end of file
@@ -0,0 +1,217 @@
+/**
+ * Sidebar Controller Module - Manages the conversation list sidebar
+ * Lists, searches, renames, deletes and switches between stored conversations
+ */
+const SidebarController = (function() {
+    'use strict';
+
+    // Delay before a search runs while the user is typing
+    const SEARCH_DEBOUNCE_MS = 200;
+
+    // Private state
+    let searchQuery = '';
+    let searchTimer = null;
+    let activeConversationId = null;
+    let refreshCounter = 0;
+
+    /**
+     * Initializes the sidebar and its event handlers
+     */
+    function init() {
+        const list = document.getElementById('conversation-list');
+        
+        document.getElementById('new-chat-button').addEventListener('click', function() {
+            ChatController.startNewConversation();
+            closeOnMobile();
+        });
+        
+        const importInput = document.getElementById('import-chat-input');
+        document.getElementById('import-chat-button').addEventListener('click', () => importInput.click());
+        importInput.addEventListener('change', function() {
+            if (this.files[0]) importConversation(this.files[0]);
+            this.value = '';
+        });
+        
+        document.getElementById('conversation-search').addEventListener('input', function() {
+            searchQuery = this.value;
+            clearTimeout(searchTimer);
+            searchTimer = setTimeout(() => refresh(activeConversationId), SEARCH_DEBOUNCE_MS);
+        });
+        
+        document.getElementById('sidebar-toggle').addEventListener('click', function() {
+            document.getElementById('sidebar').classList.toggle('sidebar--open');
+        });
+        
+        // Event delegation for conversation items
+        list.addEventListener('click', function(event) {
+            const item = event.target.closest('.sidebar__item');
+            if (!item) return;
+            
+            const action = event.target.closest('[data-action]');
+            const actionName = action ? action.getAttribute('data-action') : 'open';
+            handleItemAction(actionName, item);
+        });
+    }
+
+    /**
+     * Handles a click on a conversation item
+     * @param {string} actionName - 'open', 'rename' or 'delete'
+     * @param {Element} item - The conversation list item
+     */
+    async function handleItemAction(actionName, item) {
+        const id = item.getAttribute('data-conversation-id');
+        
+        try {
+            if (actionName === 'rename') {
+                startRename(item);
+            } else if (actionName === 'delete') {
+                const title = item.querySelector('.sidebar__item-title').textContent;
+                if (confirm(`Delete "${title}"?`)) {
+                    await ChatController.deleteConversation(id);
+                }
+            } else if (actionName === 'open' && !item.classList.contains('sidebar__item--editing')) {
+                const opened = await ChatController.openConversation(id);
+                if (opened) closeOnMobile();
+            }
+        } catch (err) {
+            console.error('Error handling conversation action:', err);
+        }
+    }
+
+    /**
+     * Imports a conversation from a JSON export and opens it
+     * @param {File} file - The chosen file
+     */
+    async function importConversation(file) {
+        try {
+            if (await ChatController.importConversation(file)) closeOnMobile();
+        } catch (err) {
+            console.error('Error importing conversation:', err);
+            alert(`Could not import ${file.name}: ${err.message}`);
+        }
+    }
+
+    /**
+     * Replaces an item's title with an input to rename the conversation
+     * @param {Element} item - The conversation list item
+     */
+    function startRename(item) {
+        if (item.classList.contains('sidebar__item--editing')) return;
+        
+        const id = item.getAttribute('data-conversation-id');
+        const titleElement = item.querySelector('.sidebar__item-title');
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.className = 'sidebar__rename-input';
+        input.value = titleElement.textContent;
+        input.setAttribute('aria-label', 'Conversation title');
+        
+        item.classList.add('sidebar__item--editing');
+        titleElement.replaceWith(input);
+        input.focus();
+        input.select();
+        
+        let finished = false;
+        const finish = async function(save) {
+            if (finished) return;
+            finished = true;
+            
+            if (save && input.value.trim() && input.value.trim() !== titleElement.textContent) {
+                try {
+                    await ChatController.renameConversation(id, input.value);
+                    return;
+                } catch (err) {
+                    console.error('Error renaming conversation:', err);
+                }
+            }
+            
+            item.classList.remove('sidebar__item--editing');
+            input.replaceWith(titleElement);
+        };
+        
+        input.addEventListener('keydown', function(event) {
+            if (event.key === 'Enter') {
+                event.preventDefault();
+                finish(true);
+            } else if (event.key === 'Escape') {
+                finish(false);
+            }
+        });
+        input.addEventListener('blur', () => finish(true));
+    }
+
+    /**
+     * Reloads the conversation list from the store
+     * @param {string|null} activeId - The ID of the open conversation
+     * @returns {Promise<void>}
+     */
+    async function refresh(activeId) {
+        activeConversationId = activeId;
+        
+        // Ignore results of refreshes that were superseded by a newer one
+        const refreshId = ++refreshCounter;
+        try {
+            const conversations = await ConversationStore.searchConversations(searchQuery);
+            if (refreshId === refreshCounter) {
+                render(conversations);
+            }
+        } catch (err) {
+            console.error('Error loading conversations:', err);
+        }
+    }
+
+    /**
+     * Renders the conversation list
+     * @param {Array} conversations - The conversations to show
+     */
+    function render(conversations) {
+        const list = document.getElementById('conversation-list');
+        list.innerHTML = '';
+        
+        if (conversations.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'sidebar__empty';
+            empty.textContent = searchQuery ? 'No matching conversations' : 'No conversations yet';
+            list.appendChild(empty);
+            return;
+        }
+        
+        conversations.forEach(conversation => {
+            const item = Utils.createFromTemplate('conversation-item-template');
+            item.setAttribute('data-conversation-id', conversation.id);
+            item.querySelector('.sidebar__item-title').textContent = conversation.title;
+            item.querySelector('.sidebar__item-meta').textContent = formatMeta(conversation);
+            
+            if (conversation.id === activeConversationId) {
+                item.classList.add('sidebar__item--active');
+            }
+            
+            list.appendChild(item);
+        });
+    }
+
+    /**
+     * Formats the secondary line of a conversation item
+     * @param {Object} conversation - The conversation
+     * @returns {string} - Model, token total, cost and last update date
+     */
+    function formatMeta(conversation) {
+        const updated = new Date(conversation.updatedAt).toLocaleDateString();
+        const tokens = conversation.usage ? conversation.usage.totalTokens : (conversation.totalTokens || 0);
+        const cost = conversation.cost ? ` · ${Pricing.formatCost(conversation.cost)}` : '';
+        return `${ModelCatalog.getModelName(conversation.model)} · ${tokens.toLocaleString()} tokens${cost} · ${updated}`;
+    }
+
+    /**
+     * Closes the sidebar overlay on small screens
+     */
+    function closeOnMobile() {
+        document.getElementById('sidebar').classList.remove('sidebar--open');
+    }
+
+    // Public API
+    return {
+        init,
+        refresh
+    };
+})();
@@ -0,0 +1,172 @@
+/**
+ * SSE Parser Module - Reads server-sent event streams as the EventSource spec does
+ * Handles multi-line data, event, id and retry fields, comments, and CR, LF or CRLF line ends split across chunks
+ */
+const SSEParser = (function() {
+    'use strict';
+
+    // Data of the event OpenAI-compatible APIs end the stream with
+    const DONE_SENTINEL = '[DONE]';
+
+    /**
+     * Creates a parser that is fed the stream's text as it arrives
+     * Events are dispatched at each blank line; an event the stream ends in the middle of is dropped
+     * @param {Function} onEvent - Called with each event ({ type, data, id, retry })
+     * @returns {Object} - The parser ({ feed(text) })
+     */
+    function createParser(onEvent) {
+        let buffer = '';
+        let started = false;
+        let skipLineFeed = false;
+        let eventType = '';
+        let data = '';
+        let lastEventId = '';
+        let retry = null;
+
+        /**
+         * Dispatches the event built from the lines since the last blank line
+         */
+        function dispatch() {
+            const type = eventType || 'message';
+            eventType = '';
+
+            // An event without data fields isn't dispatched
+            if (!data) return;
+
+            const event = { type, data: data.slice(0, -1), id: lastEventId, retry };
+            data = '';
+            onEvent(event);
+        }
+
+        /**
+         * Processes one line of the stream
+         * @param {string} line - The line, without its line end
+         */
+        function processLine(line) {
+            if (line === '') {
+                dispatch();
+                return;
+            }
+            if (line.startsWith(':')) return;
+
+            // The field name runs to the first colon; one space after it is dropped
+            const colon = line.indexOf(':');
+            const field = colon === -1 ? line : line.slice(0, colon);
+            let value = colon === -1 ? '' : line.slice(colon + 1);
+            if (value.startsWith(' ')) value = value.slice(1);
+
+            if (field === 'event') {
+                eventType = value;
+            } else if (field === 'data') {
+                data += `${value}\n`;
+            } else if (field === 'id' && !value.includes('\0')) {
+                lastEventId = value;
+            } else if (field === 'retry' && /^\d+$/.test(value)) {
+                retry = Number(value);
+            }
+        }
+
+        /**
+         * Parses the next piece of the stream
+         * @param {string} text - The decoded text
+         */
+        function feed(text) {
+            if (!started && text) {
+                started = true;
+                if (text.startsWith('\uFEFF')) text = text.slice(1);
+            }
+
+            // A CR that ended the last piece may be the first half of a CRLF
+            if (skipLineFeed && text) {
+                skipLineFeed = false;
+                if (text.startsWith('\n')) text = text.slice(1);
+            }
+
+            buffer += text;
+            const lineEnd = /\r\n|\r|\n/g;
+            let start = 0;
+            let match;
+            while ((match = lineEnd.exec(buffer)) !== null) {
+                processLine(buffer.slice(start, match.index));
+                start = lineEnd.lastIndex;
+                if (match[0] === '\r' && start === buffer.length) skipLineFeed = true;
+            }
+            buffer = buffer.slice(start);
+        }
+
+        return { feed };
+    }
+
+    /**
+     * Reads the events of a streamed response
+     * Stopping the iteration early cancels the response body
+     * @param {Response} response - The response, with a text/event-stream body
+     * @returns {AsyncGenerator<Object>} - The events ({ type, data, id, retry })
+     */
+    async function* readEvents(response) {
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder('utf-8');
+        const queue = [];
+        const parser = createParser(event => queue.push(event));
+        let done = false;
+
+        try {
+            while (!done) {
+                const result = await reader.read();
+                done = result.done;
+                parser.feed(decoder.decode(result.value || new Uint8Array(), { stream: !done }));
+
+                while (queue.length > 0) {
+                    yield queue.shift();
+                }
+            }
+        } finally {
+            if (!done) reader.cancel().catch(() => {});
+        }
+    }
+
+    /**
+     * Reads the JSON events of a provider's streamed response
+     * Error events (an error event type, or an { error } payload) are thrown as typed errors;
+     * events whose data isn't a JSON object are skipped
+     * @param {Response} response - The response, with a text/event-stream body
+     * @returns {AsyncGenerator<Object>} - The events as { type, id, data }, with data parsed,
+     *   and { done: true } for the [DONE] sentinel
+     */
+    async function* readJSON(response) {
+        for await (const event of readEvents(response)) {
+            if (event.data === DONE_SENTINEL) {
+                yield { done: true };
+                continue;
+            }
+
+            let data = null;
+            try {
+                data = JSON.parse(event.data);
+            } catch (err) {
+                // Handled below
+            }
+            if (!data || typeof data !== 'object') {
+                if (event.type === 'error') {
+                    throw ApiError.fromStreamError(event.data);
+                }
+                console.error('Stream parsing error: not a JSON object', event.data);
+                continue;
+            }
+
+            // Gemini sometimes wraps the error in an array
+            const error = Array.isArray(data) ? data[0]?.error : data?.error;
+            if (error || event.type === 'error') {
+                throw ApiError.fromStreamError(error || data);
+            }
+            yield { type: event.type, id: event.id, data };
+        }
+    }
+
+    // Public API
+    return {
+        createParser,
+        readEvents,
+        readJSON
+    };
+})();
@@ -0,0 +1,431 @@
+/**
+ * Syntax Highlighter Module - Offline syntax highlighting for code blocks
+ * A small rule-based tokenizer for common languages; output is escaped HTML with
+ * one span per token, and no span crosses a line break
+ */
+const SyntaxHighlighter = (function() {
+    'use strict';
+
+    // Shared token patterns
+    const C_LINE_COMMENT = /\/\/.*/y;
+    const C_BLOCK_COMMENT = /\/\*[\s\S]*?(?:\*\/|$)/y;
+    const HASH_COMMENT = /#.*/y;
+    const DOUBLE_QUOTED = /"(?:[^"\\\n]|\\.)*"?/y;
+    const SINGLE_QUOTED = /'(?:[^'\\\n]|\\.)*'?/y;
+    const BACKTICK_QUOTED = /`(?:[^`\\]|\\[\s\S])*`?/y;
+    const NUMBER = /(?:0[xX][\da-fA-F_]+|0[bB][01_]+|(?:\d[\d_]*\.?[\d_]*|\.\d[\d_]*)(?:[eE][+-]?\d+)?)[a-zA-Z]*/y;
+    const IDENTIFIER = /[A-Za-z_$][\w$]*/y;
+
+    /**
+     * Splits a space-separated word list into a Set
+     * @param {string} list - The words
+     * @returns {Set<string>} - The word set
+     */
+    function words(list) {
+        return new Set(list.split(/\s+/).filter(Boolean));
+    }
+
+    const JS_KEYWORDS = words(`async await break case catch class const continue debugger default delete do else
+        export extends finally for from function get if import in instanceof let new of return set static super
+        switch this throw try typeof var void while with yield`);
+
+    // Language definitions: token rules tried in order, then identifiers are classified
+    const LANGUAGES = {
+        javascript: {
+            aliases: ['js', 'jsx', 'mjs', 'cjs', 'node'],
+            extension: 'js',
+            rules: [
+                ['comment', C_LINE_COMMENT], ['comment', C_BLOCK_COMMENT],
+                ['string', DOUBLE_QUOTED], ['string', SINGLE_QUOTED], ['string', BACKTICK_QUOTED],
+                ['number', NUMBER]
+            ],
+            keywords: JS_KEYWORDS,
+            literals: words('true false null undefined NaN Infinity'),
+            types: words('Array Boolean Date Error JSON Map Math Number Object Promise RegExp Set String Symbol console window document')
+        },
+        typescript: {
+            aliases: ['ts', 'tsx'],
+            extension: 'ts',
+            rules: 'javascript',
+            keywords: new Set([...JS_KEYWORDS, ...words(`abstract as declare enum implements interface keyof namespace
+                private protected public readonly type`)]),
+            literals: words('true false null undefined NaN Infinity'),
+            types: words(`any bigint boolean never number object string symbol unknown void Array Map Promise Record
+                Partial Readonly Set`)
+        },
+        python: {
+            aliases: ['py', 'python3', 'py3'],
+            extension: 'py',
+            rules: [
+                ['comment', HASH_COMMENT],
+                ['string', /[rbfuRBFU]{0,2}("""[\s\S]*?(?:"""|$)|'''[\s\S]*?(?:'''|$))/y],
+                ['string', /[rbfuRBFU]{0,2}"(?:[^"\\\n]|\\.)*"?/y], ['string', /[rbfuRBFU]{0,2}'(?:[^'\\\n]|\\.)*'?/y],
+                ['meta', /@[\w.]+/y],
+                ['number', NUMBER]
+            ],
+            keywords: words(`and as assert async await break class continue def del elif else except finally for from
+                global if import in is lambda match case nonlocal not or pass raise return try while with yield`),
+            literals: words('True False None self cls'),
+            types: words('bool bytes dict float int list object set str tuple type print len range enumerate zip open super')
+        },
+        json: {
+            aliases: ['jsonc', 'json5'],
+            extension: 'json',
+            rules: [
+                ['comment', C_LINE_COMMENT], ['comment', C_BLOCK_COMMENT],
+                ['property', /"(?:[^"\\\n]|\\.)*"(?=\s*:)/y],
+                ['string', DOUBLE_QUOTED],
+                ['number', /-?\d+(?:\.\d+)?(?:[eE][+-]?\d+)?/y]
+            ],
+            keywords: new Set(),
+            literals: words('true false null'),
+            types: new Set()
+        },
+        bash: {
+            aliases: ['sh', 'shell', 'zsh', 'console', 'shellscript'],
+            extension: 'sh',
+            rules: [
+                ['comment', /(?<!\S)#.*/y],
+                ['string', DOUBLE_QUOTED], ['string', /'[^']*'?/y],
+                ['variable', /\$(?:\{[^}\n]*\}?|\w+|[@#?$!*-])/y],
+                ['number', /\b\d+\b/y]
+            ],
+            keywords: words('if then else elif fi for while until do done case esac in function return local export select time'),
+            literals: words('true false'),
+            types: words('echo cd ls cat grep sed awk curl git npm node sudo mkdir rm cp mv chmod source set unset printf read')
+        },
+        html: {
+            aliases: ['xml', 'svg', 'xhtml', 'vue'],
+            extension: 'html',
+            rules: [
+                ['comment', /<!--[\s\S]*?(?:-->|$)/y],
+                ['tag', /<\/?[A-Za-z][\w:.-]*|\/?>/y],
+                ['meta', /<![A-Za-z][^>]*>?/y],
+                ['attr', /[A-Za-z_:][\w:.-]*(?=\s*=)/y],
+                ['string', DOUBLE_QUOTED], ['string', SINGLE_QUOTED]
+            ],
+            keywords: new Set(),
+            literals: new Set(),
+            types: new Set()
+        },
+        css: {
+            aliases: ['scss', 'less', 'sass'],
+            extension: 'css',
+            rules: [
+                ['comment', C_BLOCK_COMMENT], ['comment', C_LINE_COMMENT],
+                ['string', DOUBLE_QUOTED], ['string', SINGLE_QUOTED],
+                ['meta', /@[\w-]+/y],
+                ['number', /#[\da-fA-F]{3,8}\b/y],
+                ['property', /[\w-]+(?=\s*:[^:{]*[;}\n])/y],
+                ['number', /-?(?:\d+\.?\d*|\.\d+)(?:%|[a-zA-Z]+)?/y]
+            ],
+            keywords: words('important inherit initial unset auto none'),
+            literals: new Set(),
+            types: new Set()
+        },
+        sql: {
+            aliases: ['mysql', 'postgresql', 'postgres', 'sqlite', 'plsql'],
+            extension: 'sql',
+            caseInsensitive: true,
+            rules: [
+                ['comment', /--.*/y], ['comment', C_BLOCK_COMMENT],
+                ['string', /'(?:[^']|'')*'?/y], ['string', DOUBLE_QUOTED],
+                ['number', NUMBER]
+            ],
+            keywords: words(`add all alter and as asc between by case check column constraint create cross database default
+                delete desc distinct drop else end exists foreign from full group having if in index inner insert into is
+                join key left like limit not offset on or order outer primary references returning right select set table
+                then union unique update values view when where with`),
+            literals: words('null true false'),
+            types: words('int integer bigint smallint decimal numeric float real double varchar char text boolean date timestamp serial count sum avg min max')
+        },
+        java: {
+            aliases: [],
+            extension: 'java',
+            rules: 'c',
+            keywords: words(`abstract assert break case catch class continue default do else enum extends final finally for
+                if implements import instanceof interface new package private protected public return static super switch
+                synchronized this throw throws try var void volatile while record`),
+            literals: words('true false null'),
+            types: words('boolean byte char double float int long short String Object Integer List Map Set System')
+        },
+        c: {
+            aliases: ['h'],
+            extension: 'c',
+            rules: [
+                ['comment', C_LINE_COMMENT], ['comment', C_BLOCK_COMMENT],
+                ['meta', /#\s*[a-z]+.*/y],
+                ['string', DOUBLE_QUOTED], ['string', SINGLE_QUOTED],
+                ['number', NUMBER]
+            ],
+            keywords: words(`break case const continue default do else enum extern for goto if inline register return
+                sizeof static struct switch typedef union volatile while`),
+            literals: words('NULL true false'),
+            types: words('char double float int long short signed unsigned void size_t bool')
+        },
+        cpp: {
+            aliases: ['c++', 'cc', 'cxx', 'hpp'],
+            extension: 'cpp',
+            rules: 'c',
+            keywords: words(`auto break case catch class const constexpr continue default delete do else enum explicit
+                for friend if inline namespace new noexcept operator override private protected public return sizeof static
+                struct switch template this throw try typedef typename union using virtual while`),
+            literals: words('nullptr true false NULL'),
+            types: words('bool char double float int long short signed unsigned void size_t std string vector map')
+        },
+        csharp: {
+            aliases: ['cs', 'c#'],
+            extension: 'cs',
+            rules: 'c',
+            keywords: words(`abstract as async await base break case catch class const continue default delegate do else
+                enum event explicit finally for foreach get if implicit in interface internal is lock namespace new out
+                override params private protected public readonly ref return sealed set static struct switch this throw
+                try typeof using var virtual void while`),
+            literals: words('true false null'),
+            types: words('bool byte char decimal double float int long object sbyte short string uint ulong ushort List Task')
+        },
+        go: {
+            aliases: ['golang'],
+            extension: 'go',
+            rules: [
+                ['comment', C_LINE_COMMENT], ['comment', C_BLOCK_COMMENT],
+                ['string', DOUBLE_QUOTED], ['string', BACKTICK_QUOTED], ['string', SINGLE_QUOTED],
+                ['number', NUMBER]
+            ],
+            keywords: words(`break case chan const continue default defer else fallthrough for func go goto if import
+                interface map package range return select struct switch type var`),
+            literals: words('true false nil iota'),
+            types: words('bool byte error float32 float64 int int32 int64 rune string uint uint8 uint32 uint64 make len append fmt')
+        },
+        rust: {
+            aliases: ['rs'],
+            extension: 'rs',
+            rules: [
+                ['comment', C_LINE_COMMENT], ['comment', C_BLOCK_COMMENT],
+                ['string', DOUBLE_QUOTED],
+                ['meta', /#!?\[[^\]\n]*\]?/y],
+                ['variable', /'[A-Za-z_]\w*(?!')/y],
+                ['string', SINGLE_QUOTED],
+                ['number', NUMBER]
+            ],
+            keywords: words(`as async await break const continue crate dyn else enum extern fn for if impl in let loop match
+                mod move mut pub ref return self Self static struct super trait type unsafe use where while`),
+            literals: words('true false None Some Ok Err'),
+            types: words('bool char f32 f64 i8 i16 i32 i64 i128 isize str u8 u16 u32 u64 u128 usize String Vec Option Result Box')
+        },
+        php: {
+            aliases: [],
+            extension: 'php',
+            rules: [
+                ['comment', C_LINE_COMMENT], ['comment', HASH_COMMENT], ['comment', C_BLOCK_COMMENT],
+                ['meta', /<\?php|\?>/y],
+                ['variable', /\$\w+/y],
+                ['string', DOUBLE_QUOTED], ['string', SINGLE_QUOTED],
+                ['number', NUMBER]
+            ],
+            keywords: words(`abstract as break case catch class const continue default do echo else elseif extends final
+                finally fn for foreach function if implements interface namespace new private protected public return
+                static switch throw trait try use while`),
+            literals: words('true false null TRUE FALSE NULL'),
+            types: words('array bool float int string void mixed')
+        },
+        ruby: {
+            aliases: ['rb'],
+            extension: 'rb',
+            rules: [
+                ['comment', HASH_COMMENT],
+                ['string', DOUBLE_QUOTED], ['string', SINGLE_QUOTED],
+                ['variable', /[@$]{1,2}\w+/y],
+                ['literal', /:\w+/y],
+                ['number', NUMBER]
+            ],
+            keywords: words(`alias and begin break case class def do else elsif end ensure for if in module next not or
+                redo rescue retry return then unless until when while yield require attr_accessor`),
+            literals: words('true false nil self'),
+            types: words('puts print Array Hash String Integer')
+        },
+        yaml: {
+            aliases: ['yml'],
+            extension: 'yaml',
+            rules: [
+                ['comment', /(?<!\S)#.*/y],
+                ['property', /[\w.-]+(?=\s*:(?:\s|$))/y],
+                ['string', DOUBLE_QUOTED], ['string', SINGLE_QUOTED],
+                ['number', /-?\d+(?:\.\d+)?\b/y]
+            ],
+            keywords: new Set(),
+            literals: words('true false null yes no on off'),
+            types: new Set()
+        },
+        markdown: {
+            aliases: ['md'],
+            extension: 'md',
+            rules: [
+                ['keyword', /#{1,6}\s.*/y],
+                ['string', /`[^`\n]*`?/y],
+                ['literal', /\*\*[^*\n]+\*\*/y]
+            ],
+            keywords: new Set(),
+            literals: new Set(),
+            types: new Set()
+        }
+    };
+
+    // File extensions for languages without a highlighter definition
+    const EXTRA_EXTENSIONS = {
+        text: 'txt', plaintext: 'txt', txt: 'txt',
+        kotlin: 'kt', kt: 'kt', swift: 'swift', scala: 'scala', r: 'r', lua: 'lua', perl: 'pl',
+        toml: 'toml', ini: 'ini', diff: 'diff', patch: 'patch',
+        powershell: 'ps1', ps1: 'ps1', bat: 'bat', graphql: 'graphql', csv: 'csv'
+    };
+
+    // Alias lookup built from the definitions
+    const ALIASES = {};
+    Object.keys(LANGUAGES).forEach(name => {
+        ALIASES[name] = name;
+        LANGUAGES[name].aliases.forEach(alias => {
+            ALIASES[alias] = name;
+        });
+    });
+
+    /**
+     * Escapes text for use in HTML
+     * @param {string} text - The text to escape
+     * @returns {string} - Escaped text
+     */
+    function escapeHtml(text) {
+        return text
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    /**
+     * Resolves a code block's language tag to a known language
+     * @param {string} language - The language tag (e.g. 'js', 'Python')
+     * @returns {string|null} - The language name, or null if unsupported
+     */
+    function resolveLanguage(language) {
+        const key = String(language || '').toLowerCase();
+        return ALIASES[key] || null;
+    }
+
+    /**
+     * Gets the file extension for a code block's language tag
+     * @param {string} language - The language tag
+     * @returns {string} - The extension, without a dot ('txt' if unknown)
+     */
+    function getFileExtension(language) {
+        const key = String(language || '').toLowerCase();
+        const name = resolveLanguage(key);
+        if (name) return LANGUAGES[name].extension;
+
+        return EXTRA_EXTENSIONS[key] || 'txt';
+    }
+
+    /**
+     * Gets a language's token rules, following rules shared with another language
+     * @param {Object} definition - The language definition
+     * @returns {Array} - The [className, pattern] rules
+     */
+    function getRules(definition) {
+        let rules = definition.rules;
+        while (typeof rules === 'string') {
+            rules = LANGUAGES[rules].rules;
+        }
+        return rules;
+    }
+
+    /**
+     * Classifies an identifier token
+     * @param {Object} definition - The language definition
+     * @param {string} word - The identifier
+     * @param {string} rest - The code after the identifier
+     * @returns {string|null} - The token class, or null for plain text
+     */
+    function classifyIdentifier(definition, word, rest) {
+        const key = definition.caseInsensitive ? word.toLowerCase() : word;
+
+        if (definition.keywords.has(key)) return 'keyword';
+        if (definition.literals.has(key)) return 'literal';
+        if (definition.types.has(key)) return 'type';
+        if (definition.keywords.size && /^\s*\(/.test(rest)) return 'function';
+        return null;
+    }
+
+    /**
+     * Wraps a token in a span, splitting it at line breaks
+     * @param {string} className - The token class, or null for plain text
+     * @param {string} text - The token text
+     * @returns {string} - HTML
+     */
+    function wrapToken(className, text) {
+        if (!className) return escapeHtml(text);
+
+        return text.split('\n')
+            .map(line => line ? `<span class="hl-${className}">${escapeHtml(line)}</span>` : '')
+            .join('\n');
+    }
+
+    /**
+     * Highlights code
+     * @param {string} code - The code
+     * @param {string} language - The language tag
+     * @returns {string} - Escaped HTML with highlighted tokens (plain escaped text if unsupported)
+     */
+    function highlight(code, language) {
+        const name = resolveLanguage(language);
+        if (!name) return escapeHtml(code);
+
+        const definition = LANGUAGES[name];
+        const rules = getRules(definition);
+        let html = '';
+        let plain = '';
+        let position = 0;
+
+        while (position < code.length) {
+            let matched = null;
+
+            for (const [className, pattern] of rules) {
+                pattern.lastIndex = position;
+                const match = pattern.exec(code);
+                if (match && match[0]) {
+                    matched = { className, text: match[0] };
+                    break;
+                }
+            }
+
+            if (!matched) {
+                IDENTIFIER.lastIndex = position;
+                const identifier = IDENTIFIER.exec(code);
+                if (identifier) {
+                    const word = identifier[0];
+                    const className = classifyIdentifier(definition, word, code.slice(position + word.length, position + word.length + 40));
+                    matched = { className, text: word };
+                }
+            }
+
+            if (matched && matched.className) {
+                html += escapeHtml(plain) + wrapToken(matched.className, matched.text);
+                plain = '';
+                position += matched.text.length;
+            } else {
+                // Plain text is collected and escaped in one go
+                const text = matched ? matched.text : code[position];
+                plain += text;
+                position += text.length;
+            }
+        }
+
+        return html + escapeHtml(plain);
+    }
+
+    // Public API
+    return {
+        highlight,
+        resolveLanguage,
+        getFileExtension
+    };
+})();
@@ -0,0 +1,95 @@
+/**
+ * Tool Registry Module - Keeps track of the tools the model can call
+ * Each tool has a JSON schema describing its arguments and a handler that runs it
+ */
+const ToolRegistry = (function() {
+    'use strict';
+
+    // Tool names the providers accept
+    const NAME_PATTERN = /^[a-zA-Z0-9_-]{1,64}$/;
+
+    // Private state
+    const tools = new Map();
+
+    /**
+     * Registers a tool
+     * @param {Object} tool - The tool ({ name, description, parameters, handler })
+     * @param {string} tool.name - The name the model calls the tool by
+     * @param {string} tool.description - What the tool does, for the model
+     * @param {Object} tool.parameters - JSON schema of the arguments object
+     * @param {Function} tool.handler - Runs the tool: (args) => result, or a promise of it
+     */
+    function register(tool) {
+        if (!tool || !NAME_PATTERN.test(tool.name || '')) {
+            throw new Error('Tool must have a name of letters, digits, _ or -');
+        }
+        if (typeof tool.handler !== 'function') {
+            throw new Error(`Tool "${tool.name}" is missing a handler`);
+        }
+
+        tools.set(tool.name, tool);
+    }
+
+    /**
+     * Removes a tool
+     * @param {string} name - The tool name
+     */
+    function unregister(name) {
+        tools.delete(name);
+    }
+
+    /**
+     * Gets a tool by name
+     * @param {string} name - The tool name
+     * @returns {Object|null} - The tool or null if not registered
+     */
+    function get(name) {
+        return tools.get(name) || null;
+    }
+
+    /**
+     * Lists all registered tools
+     * @returns {Array<Object>} - The registered tools
+     */
+    function list() {
+        return Array.from(tools.values());
+    }
+
+    /**
+     * Gets the declarations of all tools, as sent to the providers
+     * @returns {Array<Object>} - Declarations as { name, description, parameters }
+     */
+    function getDefinitions() {
+        return list().map(({ name, description, parameters }) => ({ name, description, parameters }));
+    }
+
+    /**
+     * Runs a tool call
+     * Failures are returned rather than thrown so they can be passed back to the model
+     * @param {string} name - The tool name
+     * @param {Object} args - The arguments from the model
+     * @returns {Promise<Object>} - { result } on success or { error } with a message
+     */
+    async function execute(name, args) {
+        const tool = get(name);
+        if (!tool) {
+            return { error: `Unknown tool: ${name}` };
+        }
+
+        try {
+            return { result: await tool.handler(args || {}) };
+        } catch (error) {
+            return { error: error.message || String(error) };
+        }
+    }
+
+    // Public API
+    return {
+        register,
+        unregister,
+        get,
+        list,
+        getDefinitions,
+        execute
+    };
+})();
@@ -0,0 +1,174 @@
+/**
+ * Calculator Tool Module - Evaluates arithmetic expressions for the model
+ * Expressions are parsed here rather than passed to eval, so only numbers,
+ * operators, constants and the listed functions are accepted
+ */
+const CalculatorTool = (function() {
+    'use strict';
+
+    const CONSTANTS = {
+        pi: Math.PI,
+        e: Math.E
+    };
+
+    const FUNCTIONS = {
+        sqrt: Math.sqrt,
+        cbrt: Math.cbrt,
+        abs: Math.abs,
+        round: Math.round,
+        floor: Math.floor,
+        ceil: Math.ceil,
+        sin: Math.sin,
+        cos: Math.cos,
+        tan: Math.tan,
+        asin: Math.asin,
+        acos: Math.acos,
+        atan: Math.atan,
+        ln: Math.log,
+        log: Math.log10,
+        log2: Math.log2,
+        exp: Math.exp,
+        min: Math.min,
+        max: Math.max,
+        pow: Math.pow
+    };
+
+    const TOKEN_PATTERN = /\s*(?:(\d+\.?\d*(?:e[+-]?\d+)?|\.\d+(?:e[+-]?\d+)?)|([a-z_][a-z0-9_]*)|(\*\*|[-+*/%^(),]))/iy;
+
+    /**
+     * Splits an expression into tokens
+     * @param {string} expression - The expression
+     * @returns {Array<Object>} - Tokens as { type: 'number'|'name'|'op', value }
+     */
+    function tokenize(expression) {
+        const tokens = [];
+        TOKEN_PATTERN.lastIndex = 0;
+        while (TOKEN_PATTERN.lastIndex < expression.length) {
+            if (!expression.slice(TOKEN_PATTERN.lastIndex).trim()) break;
+
+            const position = TOKEN_PATTERN.lastIndex;
+            const match = TOKEN_PATTERN.exec(expression);
+            if (!match) {
+                throw new Error(`Unexpected character "${expression.slice(position).trim()[0]}"`);
+            }
+
+            if (match[1] !== undefined) tokens.push({ type: 'number', value: parseFloat(match[1]) });
+            else if (match[2] !== undefined) tokens.push({ type: 'name', value: match[2].toLowerCase() });
+            else tokens.push({ type: 'op', value: match[3] === '**' ? '^' : match[3] });
+        }
+        return tokens;
+    }
+
+    /**
+     * Evaluates an expression
+     * Precedence from low to high: + -, * / %, unary minus, ^ (right associative)
+     * @param {string} expression - The expression, e.g. '2 * (3 + sqrt(16)) ^ 2'
+     * @returns {number} - The result
+     */
+    function evaluate(expression) {
+        const tokens = tokenize(String(expression));
+        let index = 0;
+
+        const peek = () => tokens[index];
+        const isOp = value => peek() && peek().type === 'op' && peek().value === value;
+        const expect = value => {
+            if (!isOp(value)) throw new Error(`Expected "${value}"`);
+            index++;
+        };
+
+        function parseSum() {
+            let value = parseProduct();
+            while (isOp('+') || isOp('-')) {
+                const op = tokens[index++].value;
+                const right = parseProduct();
+                value = op === '+' ? value + right : value - right;
+            }
+            return value;
+        }
+
+        function parseProduct() {
+            let value = parseUnary();
+            while (isOp('*') || isOp('/') || isOp('%')) {
+                const op = tokens[index++].value;
+                const right = parseUnary();
+                value = op === '*' ? value * right : op === '/' ? value / right : value % right;
+            }
+            return value;
+        }
+
+        function parseUnary() {
+            if (isOp('-')) {
+                index++;
+                return -parseUnary();
+            }
+            if (isOp('+')) {
+                index++;
+                return parseUnary();
+            }
+            return parsePower();
+        }
+
+        function parsePower() {
+            const base = parseAtom();
+            if (isOp('^')) {
+                index++;
+                return Math.pow(base, parseUnary());
+            }
+            return base;
+        }
+
+        function parseAtom() {
+            const token = tokens[index++];
+            if (!token) throw new Error('Unexpected end of expression');
+
+            if (token.type === 'number') return token.value;
+            if (token.type === 'op' && token.value === '(') {
+                const value = parseSum();
+                expect(')');
+                return value;
+            }
+            if (token.type === 'name') {
+                if (Object.hasOwn(FUNCTIONS, token.value)) {
+                    expect('(');
+                    const args = [parseSum()];
+                    while (isOp(',')) {
+                        index++;
+                        args.push(parseSum());
+                    }
+                    expect(')');
+                    return FUNCTIONS[token.value](...args);
+                }
+                if (Object.hasOwn(CONSTANTS, token.value)) return CONSTANTS[token.value];
+                throw new Error(`Unknown name "${token.value}"`);
+            }
+            throw new Error(`Unexpected "${token.value}"`);
+        }
+
+        if (tokens.length === 0) throw new Error('The expression is empty');
+        const result = parseSum();
+        if (index < tokens.length) throw new Error(`Unexpected "${tokens[index].value}"`);
+        if (!Number.isFinite(result)) throw new Error('The result is not a finite number');
+        return result;
+    }
+
+    const tool = {
+        name: 'calculator',
+        description: 'Evaluates an arithmetic expression. Supports + - * / % ^, parentheses, the constants pi and e, ' +
+            `and the functions ${Object.keys(FUNCTIONS).join(', ')} (log is base 10, ln is natural, angles in radians).`,
+        parameters: {
+            type: 'object',
+            properties: {
+                expression: { type: 'string', description: 'The expression, e.g. "2 * (3 + sqrt(16)) ^ 2"' }
+            },
+            required: ['expression']
+        },
+        handler: args => ({ expression: args.expression, result: evaluate(args.expression) })
+    };
+
+    ToolRegistry.register(tool);
+
+    // Public API
+    return {
+        evaluate
+    };
+})();
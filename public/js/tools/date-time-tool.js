@@ -0,0 +1,55 @@
+/**
+ * Date Time Tool Module - Tells the model the current date and time
+ * Uses the browser's clock, in its own time zone or a requested IANA zone
+ */
+const DateTimeTool = (function() {
+    'use strict';
+
+    /**
+     * Gets the current date and time
+     * @param {string} [timeZone] - An IANA time zone such as 'Europe/Paris'; defaults to the user's
+     * @returns {Object} - The ISO timestamp, the local date and time, the weekday, the zone and the Unix time
+     */
+    function now(timeZone) {
+        const date = new Date();
+        const zone = timeZone || Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+        let format;
+        try {
+            format = new Intl.DateTimeFormat('en-US', {
+                timeZone: zone,
+                dateStyle: 'full',
+                timeStyle: 'long'
+            });
+        } catch (error) {
+            throw new Error(`Unknown time zone: ${zone}`);
+        }
+
+        return {
+            iso: date.toISOString(),
+            local: format.format(date),
+            weekday: new Intl.DateTimeFormat('en-US', { timeZone: zone, weekday: 'long' }).format(date),
+            timeZone: zone,
+            unixTime: Math.floor(date.getTime() / 1000)
+        };
+    }
+
+    const tool = {
+        name: 'current_datetime',
+        description: 'Gets the current date and time, in the user\'s time zone or a given IANA time zone.',
+        parameters: {
+            type: 'object',
+            properties: {
+                timeZone: { type: 'string', description: 'IANA time zone, e.g. "America/New_York". Leave out for the user\'s own.' }
+            }
+        },
+        handler: args => now(args.timeZone)
+    };
+
+    ToolRegistry.register(tool);
+
+    // Public API
+    return {
+        now
+    };
+})();
@@ -0,0 +1,170 @@
+/**
+ * JavaScript Tool Module - Runs model-written JavaScript in a sandbox
+ * The code runs in a Web Worker started by a throwaway sandboxed iframe: the iframe's opaque origin
+ * gives it no access to the page or its storage, its Content Security Policy lets it make no network
+ * requests (dynamic import() included), and it is removed, worker and all, when the time limit passes
+ */
+const JavaScriptTool = (function() {
+    'use strict';
+
+    const TIMEOUT_MS = 5000;
+
+    // Longest output returned to the model
+    const MAX_OUTPUT_CHARS = 10000;
+
+    // Policy of the sandbox document, inherited by its worker: inline and eval'd script and blob: workers only,
+    // so fetch, WebSocket, beacons, importScripts and import() of any URL are refused by the browser
+    const SANDBOX_POLICY = "default-src 'none'; script-src 'unsafe-inline' 'unsafe-eval' blob:; worker-src blob:";
+
+    // Worker globals removed before the code runs, wherever they sit on the prototype chain, as a second line of defence
+    const BLOCKED_GLOBALS = [
+        'fetch', 'XMLHttpRequest', 'WebSocket', 'EventSource', 'importScripts',
+        'indexedDB', 'caches', 'Worker', 'SharedWorker', 'BroadcastChannel', 'WebTransport'
+    ];
+
+    /**
+     * The worker's code: locks down the globals, then runs each received
+     * snippet as the body of an async function with a captured console
+     */
+    const WORKER_SOURCE = `
+        (function() {
+            const blocked = ${JSON.stringify(BLOCKED_GLOBALS)};
+            for (let scope = self; scope; scope = Object.getPrototypeOf(scope)) {
+                blocked.forEach(name => {
+                    if (!Object.prototype.hasOwnProperty.call(scope, name)) return;
+                    try {
+                        Object.defineProperty(scope, name, { value: undefined, writable: false, configurable: false });
+                    } catch (error) {}
+                });
+            }
+        })();
+
+        const format = value => {
+            if (typeof value === 'string') return value;
+            if (value === undefined) return 'undefined';
+            if (typeof value === 'function' || typeof value === 'symbol' || typeof value === 'bigint') return String(value);
+            try {
+                return JSON.stringify(value);
+            } catch (error) {
+                return String(value);
+            }
+        };
+
+        self.onmessage = async event => {
+            const logs = [];
+            const log = (...values) => logs.push(values.map(format).join(' '));
+            const console = { log, info: log, warn: log, error: log, debug: log };
+            try {
+                const AsyncFunction = Object.getPrototypeOf(async function() {}).constructor;
+                const value = await new AsyncFunction('console', event.data)(console);
+                self.postMessage({ result: value === undefined ? undefined : format(value), logs });
+            } catch (error) {
+                self.postMessage({ error: String(error), logs });
+            }
+        };
+    `;
+
+    /**
+     * Builds the sandbox iframe's document
+     * Its script starts the worker, passes it the code posted by the page, and posts the worker's answer back
+     * @returns {string} - The HTML
+     */
+    function createSandboxDocument() {
+        // Escaped so the source can't end the script element
+        const source = JSON.stringify(WORKER_SOURCE).replace(/</g, '\\u003c');
+        return `<!DOCTYPE html>
+            <meta http-equiv="Content-Security-Policy" content="${SANDBOX_POLICY}">
+            <script>
+                window.onmessage = event => {
+                    if (event.source !== parent) return;
+                    try {
+                        const url = URL.createObjectURL(new Blob([${source}], { type: 'text/javascript' }));
+                        const worker = new Worker(url);
+                        worker.onmessage = answer => parent.postMessage(answer.data, '*');
+                        worker.onerror = error => {
+                            error.preventDefault();
+                            parent.postMessage({ error: error.message || 'The code could not be run', logs: [] }, '*');
+                        };
+                        worker.postMessage(event.data);
+                    } catch (error) {
+                        parent.postMessage({ error: String(error), logs: [] }, '*');
+                    }
+                };
+            <\/script>`;
+    }
+
+    /**
+     * Shortens text that is too long to return to the model
+     * @param {string} text - The text
+     * @returns {string} - The text, cut off after MAX_OUTPUT_CHARS characters
+     */
+    function truncate(text) {
+        if (text.length <= MAX_OUTPUT_CHARS) return text;
+        return `${text.slice(0, MAX_OUTPUT_CHARS)}… (${text.length - MAX_OUTPUT_CHARS} more characters)`;
+    }
+
+    /**
+     * Runs code in a new sandboxed iframe and worker
+     * @param {string} code - The body of an async function; its return value is the result
+     * @returns {Promise<Object>} - { result, logs } with the result and console output as text
+     */
+    function run(code) {
+        return new Promise((resolve, reject) => {
+            const frame = document.createElement('iframe');
+            frame.setAttribute('sandbox', 'allow-scripts');
+            frame.hidden = true;
+            frame.srcdoc = createSandboxDocument();
+
+            const onMessage = event => {
+                if (event.source !== frame.contentWindow || !event.data || typeof event.data !== 'object') return;
+
+                finish();
+                const { result, error } = event.data;
+                const logs = Array.isArray(event.data.logs) ? event.data.logs.map(String) : [];
+                const output = truncate(logs.join('\n'));
+                if (error) {
+                    reject(new Error(output ? `${error}\nConsole output:\n${output}` : String(error)));
+                } else {
+                    resolve({ result: result === undefined ? null : truncate(String(result)), logs: output });
+                }
+            };
+
+            // Removing the iframe also stops its worker
+            const finish = () => {
+                clearTimeout(timer);
+                window.removeEventListener('message', onMessage);
+                frame.remove();
+            };
+            const timer = setTimeout(() => {
+                finish();
+                reject(new Error(`The code did not finish within ${TIMEOUT_MS / 1000} seconds`));
+            }, TIMEOUT_MS);
+
+            window.addEventListener('message', onMessage);
+            frame.addEventListener('load', () => frame.contentWindow.postMessage(String(code), '*'));
+            document.body.appendChild(frame);
+        });
+    }
+
+    const tool = {
+        name: 'run_javascript',
+        description: 'Runs JavaScript in an isolated sandbox and returns the value of its return statement plus any ' +
+            'console.log output. The code is the body of an async function, so use return to produce a result and ' +
+            `await where needed. There is no DOM and no network access, and it is stopped after ${TIMEOUT_MS / 1000} seconds.`,
+        parameters: {
+            type: 'object',
+            properties: {
+                code: { type: 'string', description: 'The code, e.g. "const xs = [3, 1, 2]; return xs.sort();"' }
+            },
+            required: ['code']
+        },
+        handler: args => run(args.code)
+    };
+
+    ToolRegistry.register(tool);
+
+    // Public API
+    return {
+        run
+    };
+})();
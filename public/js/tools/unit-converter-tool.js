@@ -0,0 +1,129 @@
+/**
+ * Unit Converter Tool Module - Converts values between units for the model
+ * Each category has a base unit; temperatures are converted with offsets
+ */
+const UnitConverterTool = (function() {
+    'use strict';
+
+    // Size of each unit in its category's base unit (metre, kilogram, litre, ...)
+    const UNITS = {
+        length: {
+            mm: 0.001, cm: 0.01, m: 1, km: 1000,
+            in: 0.0254, ft: 0.3048, yd: 0.9144, mi: 1609.344, nmi: 1852
+        },
+        mass: {
+            mg: 0.000001, g: 0.001, kg: 1, t: 1000,
+            oz: 0.028349523125, lb: 0.45359237, st: 6.35029318
+        },
+        volume: {
+            ml: 0.001, l: 1, m3: 1000,
+            tsp: 0.00492892159375, tbsp: 0.01478676478125, floz: 0.0295735295625,
+            cup: 0.2365882365, pt: 0.473176473, qt: 0.946352946, gal: 3.785411784
+        },
+        area: {
+            mm2: 0.000001, cm2: 0.0001, m2: 1, ha: 10000, km2: 1000000,
+            in2: 0.00064516, ft2: 0.09290304, yd2: 0.83612736, acre: 4046.8564224, mi2: 2589988.110336
+        },
+        speed: {
+            'm/s': 1, 'km/h': 1 / 3.6, mph: 0.44704, knot: 1852 / 3600, 'ft/s': 0.3048
+        },
+        time: {
+            ms: 0.001, s: 1, min: 60, h: 3600, day: 86400, week: 604800, year: 31557600
+        },
+        data: {
+            bit: 0.125, B: 1, KB: 1000, MB: 1e6, GB: 1e9, TB: 1e12,
+            KiB: 1024, MiB: 1024 ** 2, GiB: 1024 ** 3, TiB: 1024 ** 4
+        }
+    };
+
+    // Temperatures as [scale, offset] from Celsius: value = celsius * scale + offset
+    const TEMPERATURES = {
+        C: [1, 0],
+        F: [9 / 5, 32],
+        K: [1, 273.15]
+    };
+
+    /**
+     * Finds the category of a unit
+     * Data units are case sensitive (Mb is not MB); the others are not
+     * @param {string} unit - The unit symbol
+     * @returns {{category: string, unit: string}|null} - The category and the unit's symbol, or null if unknown
+     */
+    function findUnit(unit) {
+        const symbol = String(unit).trim();
+        if (Object.hasOwn(TEMPERATURES, symbol.toUpperCase().replace(/^°/, ''))) {
+            return { category: 'temperature', unit: symbol.toUpperCase().replace(/^°/, '') };
+        }
+
+        for (const [category, units] of Object.entries(UNITS)) {
+            if (Object.hasOwn(units, symbol)) return { category, unit: symbol };
+            if (category === 'data') continue;
+
+            const match = Object.keys(units).find(key => key.toLowerCase() === symbol.toLowerCase());
+            if (match) return { category, unit: match };
+        }
+        return null;
+    }
+
+    /**
+     * Converts a value between two units of the same category
+     * @param {number} value - The value
+     * @param {string} from - The unit to convert from
+     * @param {string} to - The unit to convert to
+     * @returns {number} - The converted value
+     */
+    function convert(value, from, to) {
+        if (typeof value !== 'number' || !Number.isFinite(value)) {
+            throw new Error('The value must be a number');
+        }
+
+        const source = findUnit(from);
+        const target = findUnit(to);
+        if (!source) throw new Error(`Unknown unit: ${from}`);
+        if (!target) throw new Error(`Unknown unit: ${to}`);
+        if (source.category !== target.category) {
+            throw new Error(`Cannot convert ${source.category} (${from}) to ${target.category} (${to})`);
+        }
+
+        if (source.category === 'temperature') {
+            const [fromScale, fromOffset] = TEMPERATURES[source.unit];
+            const [toScale, toOffset] = TEMPERATURES[target.unit];
+            return (value - fromOffset) / fromScale * toScale + toOffset;
+        }
+
+        const units = UNITS[source.category];
+        return value * units[source.unit] / units[target.unit];
+    }
+
+    const unitList = [
+        `temperature: ${Object.keys(TEMPERATURES).join(', ')}`,
+        ...Object.entries(UNITS).map(([category, units]) => `${category}: ${Object.keys(units).join(', ')}`)
+    ].join('; ');
+
+    const tool = {
+        name: 'convert_units',
+        description: `Converts a value from one unit to another of the same kind. Units: ${unitList}.`,
+        parameters: {
+            type: 'object',
+            properties: {
+                value: { type: 'number', description: 'The value to convert' },
+                from: { type: 'string', description: 'The unit to convert from, e.g. "km"' },
+                to: { type: 'string', description: 'The unit to convert to, e.g. "mi"' }
+            },
+            required: ['value', 'from', 'to']
+        },
+        handler: args => ({
+            value: args.value,
+            from: args.from,
+            to: args.to,
+            result: Number(convert(args.value, args.from, args.to).toPrecision(12))
+        })
+    };
+
+    ToolRegistry.register(tool);
+
+    // Public API
+    return {
+        convert
+    };
+})();
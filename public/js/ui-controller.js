@@ -0,0 +1,1432 @@
+/**
+ * UI Controller Module - Manages UI elements and interactions
+ * Handles chat display, inputs, and visual elements
+ */
+const UIController = (function() {
+    'use strict';
+
+    // Conversations with more messages than this are rendered as a virtual list
+    const VIRTUALIZE_AFTER = 60;
+    
+    // Pixels from the bottom within which the chat window keeps following new output
+    const PIN_THRESHOLD = 40;
+    
+    // Private state
+    let sendMessageCallback = null;
+    let messageActionCallback = null;
+    const streamRenderers = new WeakMap();
+    const pendingUpdates = new Map();
+    let frameRequested = false;
+    let pinnedToBottom = true;
+    let virtualList = null;
+    let resizeObserver = null;
+    let contextMarks = { summarised: new Set(), dropped: new Set() };
+    
+    /**
+     * Initializes the UI controller
+     */
+    function init() {
+        // Add enter key handler for message input
+        const messageInput = document.getElementById('message-input');
+        messageInput.addEventListener('keydown', function(event) {
+            if (event.key === 'Enter' && !event.shiftKey) {
+                event.preventDefault();
+                if (sendMessageCallback) sendMessageCallback();
+            }
+        });
+        
+        // Auto-resize textarea as user types
+        messageInput.addEventListener('input', function() {
+            this.style.height = 'auto';
+            this.style.height = Math.min(this.scrollHeight, 200) + 'px';
+        });
+        
+        // Event delegation for per-message actions (regenerate, edit, branch paging)
+        document.getElementById('chat-window').addEventListener('click', function(event) {
+            const codeButton = event.target.closest('[data-code-action]');
+            if (codeButton) {
+                handleCodeAction(codeButton);
+                return;
+            }
+            
+            const button = event.target.closest('[data-message-action]');
+            if (!button || button.disabled || !messageActionCallback) return;
+            
+            const messageElement = button.closest('.chat-app__message');
+            const messageId = messageElement && messageElement.getAttribute('data-message-id');
+            if (messageId) {
+                messageActionCallback(button.getAttribute('data-message-action'), messageId);
+            }
+        });
+        
+        // Follow new output only while the user is at the bottom, so reading history isn't interrupted
+        const chatWindow = document.getElementById('chat-window');
+        chatWindow.addEventListener('scroll', function() {
+            pinnedToBottom = this.scrollHeight - this.scrollTop - this.clientHeight <= PIN_THRESHOLD;
+            scheduleFrame();
+        }, { passive: true });
+        document.getElementById('jump-to-latest').addEventListener('click', scrollToLatest);
+        
+        // Messages change size as images load and replies finish; the window itself as it is shown or resized
+        if (typeof ResizeObserver === 'function') {
+            resizeObserver = new ResizeObserver(scheduleFrame);
+            resizeObserver.observe(chatWindow);
+        }
+    }
+
+    /**
+     * Sets up the handlers of the system prompt panel
+     * @param {Function} onPersonaSelect - Callback when a persona is chosen (personaId, or '' for none)
+     * @param {Function} onSystemPromptChange - Callback when the system prompt has been edited (text)
+     */
+    function setupSystemPromptHandlers(onPersonaSelect, onSystemPromptChange) {
+        document.getElementById('persona-select').addEventListener('change', function() {
+            onPersonaSelect(this.value);
+        });
+        
+        // 'change' fires when the textarea loses focus, i.e. before the Send button is clicked
+        document.getElementById('system-prompt-input').addEventListener('change', function() {
+            onSystemPromptChange(this.value);
+        });
+    }
+
+    /**
+     * Sets up the export menu in the header
+     * @param {Function} onExport - Callback with the chosen format ('markdown', 'html' or 'json')
+     */
+    function setupExportHandlers(onExport) {
+        const button = document.getElementById('export-button');
+        const menu = document.getElementById('export-menu');
+        const setOpen = open => {
+            menu.hidden = !open;
+            button.setAttribute('aria-expanded', String(open));
+        };
+        
+        button.addEventListener('click', () => setOpen(menu.hidden));
+        menu.addEventListener('click', function(event) {
+            const option = event.target.closest('[data-export-format]');
+            if (!option) return;
+            setOpen(false);
+            onExport(option.getAttribute('data-export-format'));
+        });
+        
+        // Close the menu on a click anywhere else
+        document.addEventListener('click', function(event) {
+            if (!menu.hidden && !event.target.closest('.chat-app__export')) setOpen(false);
+        });
+    }
+
+    /**
+     * Replaces the persona choices of the system prompt panel
+     * @param {Array} personas - The personas ({ id, name })
+     */
+    function setPersonaOptions(personas) {
+        const select = document.getElementById('persona-select');
+        const selected = select.value;
+        
+        select.innerHTML = '';
+        select.appendChild(new Option('No persona', ''));
+        personas.forEach(persona => select.appendChild(new Option(persona.name, persona.id)));
+        select.value = personas.some(persona => persona.id === selected) ? selected : '';
+    }
+
+    /**
+     * Shows a conversation's system prompt in the system prompt panel
+     * @param {string} systemPrompt - The system prompt (may be empty)
+     * @param {Object|null} persona - The persona the conversation started from
+     */
+    function showSystemPrompt(systemPrompt, persona) {
+        document.getElementById('system-prompt-input').value = systemPrompt;
+        document.getElementById('persona-select').value = persona ? persona.id : '';
+        
+        let label = 'none';
+        if (persona) {
+            label = systemPrompt === persona.systemPrompt ? persona.name : `${persona.name} (edited)`;
+        } else if (systemPrompt) {
+            label = 'custom';
+        }
+        document.getElementById('system-prompt-summary').textContent = `System prompt: ${label}`;
+    }
+
+    /**
+     * Handles the Copy, Download and line number buttons on a code block
+     * @param {Element} button - The clicked toolbar button
+     */
+    function handleCodeAction(button) {
+        const block = button.closest('.code-block');
+        const codeElement = block && block.querySelector('code');
+        if (!codeElement) return;
+        
+        const code = codeElement.textContent;
+        const language = block.getAttribute('data-language');
+        
+        switch (button.getAttribute('data-code-action')) {
+            case 'copy':
+                navigator.clipboard.writeText(code)
+                    .then(() => flashButtonLabel(button, 'Copied!'))
+                    .catch(() => flashButtonLabel(button, 'Copy failed'));
+                break;
+            case 'download':
+                Utils.downloadFile(code, `snippet.${SyntaxHighlighter.getFileExtension(language)}`);
+                break;
+            case 'toggle-line-numbers': {
+                const numbered = block.classList.toggle('code-block--numbered');
+                button.setAttribute('aria-pressed', String(numbered));
+                break;
+            }
+        }
+    }
+    
+    /**
+     * Briefly replaces a button's label, e.g. to confirm a copy
+     * @param {Element} button - The button
+     * @param {string} label - The temporary label
+     */
+    function flashButtonLabel(button, label) {
+        const original = button.getAttribute('data-label') || button.textContent;
+        button.setAttribute('data-label', original);
+        button.textContent = label;
+        
+        setTimeout(() => {
+            button.textContent = original;
+        }, 1500);
+    }
+
+    /**
+     * Sets up event handlers for UI elements
+     * @param {Function} onSendMessage - Callback for send button
+     * @param {Function} onStop - Callback for stop button
+     * @param {Function} onMessageAction - Callback for message actions (action, messageId, value)
+     */
+    function setupEventHandlers(onSendMessage, onStop, onMessageAction) {
+        sendMessageCallback = onSendMessage;
+        messageActionCallback = onMessageAction;
+        
+        // Send and stop button click handlers
+        document.getElementById('send-button').addEventListener('click', onSendMessage);
+        document.getElementById('stop-button').addEventListener('click', onStop);
+    }
+
+    /**
+     * Sets up attaching files by dropping or pasting them into the message input,
+     * or choosing them with the attach button
+     * @param {Function} onFiles - Callback with the files to attach (Array of File)
+     * @param {Function} onRemove - Callback when a pending attachment is removed (attachmentId)
+     */
+    function setupAttachmentHandlers(onFiles, onRemove) {
+        const messageInput = document.getElementById('message-input');
+        const fileInput = document.getElementById('attach-input');
+        
+        document.getElementById('attach-button').addEventListener('click', () => fileInput.click());
+        fileInput.addEventListener('change', function() {
+            if (this.files.length > 0) onFiles(Array.from(this.files));
+            this.value = '';
+        });
+        
+        messageInput.addEventListener('dragover', function(event) {
+            if (!event.dataTransfer.types.includes('Files')) return;
+            event.preventDefault();
+            this.classList.add('chat-app__message-input--drop');
+        });
+        messageInput.addEventListener('dragleave', function() {
+            this.classList.remove('chat-app__message-input--drop');
+        });
+        messageInput.addEventListener('drop', function(event) {
+            this.classList.remove('chat-app__message-input--drop');
+            if (event.dataTransfer.files.length === 0) return;
+            event.preventDefault();
+            onFiles(Array.from(event.dataTransfer.files));
+        });
+        
+        // Pasted files are attached; pasted text goes into the input as usual
+        messageInput.addEventListener('paste', function(event) {
+            const files = Array.from(event.clipboardData.files);
+            if (files.length === 0) return;
+            event.preventDefault();
+            onFiles(files);
+        });
+        
+        document.getElementById('attachment-tray').addEventListener('click', function(event) {
+            const button = event.target.closest('.attachment-chip__remove');
+            const chip = event.target.closest('.attachment-chip');
+            if (button && chip) {
+                onRemove(chip.getAttribute('data-attachment-id'));
+            }
+        });
+    }
+
+    /**
+     * Creates the chip showing an attachment
+     * @param {Object} attachment - The attachment
+     * @param {boolean} removable - Whether the chip has a remove button
+     * @returns {Element} - The chip element
+     */
+    function createAttachmentChip(attachment, removable) {
+        const chip = Utils.createFromTemplate('attachment-chip-template');
+        chip.setAttribute('data-attachment-id', attachment.id);
+        chip.title = attachment.name;
+        
+        const preview = chip.querySelector('.attachment-chip__preview');
+        if (attachment.kind === 'image') {
+            const image = document.createElement('img');
+            image.src = Attachments.toDataUrl(attachment);
+            image.alt = attachment.name;
+            preview.appendChild(image);
+        } else {
+            preview.textContent = attachment.kind === 'pdf' ? 'PDF' : 'TXT';
+        }
+        
+        chip.querySelector('.attachment-chip__name').textContent = attachment.name;
+        chip.querySelector('.attachment-chip__size').textContent = Attachments.formatSize(attachment.size);
+        if (!removable) {
+            chip.querySelector('.attachment-chip__remove').remove();
+        }
+        return chip;
+    }
+
+    /**
+     * Shows the attachments waiting to be sent with the next message
+     * @param {Array} attachments - The pending attachments
+     */
+    function showPendingAttachments(attachments) {
+        const tray = document.getElementById('attachment-tray');
+        const error = document.getElementById('attachment-error');
+        
+        tray.querySelectorAll('.attachment-chip').forEach(chip => chip.remove());
+        attachments.forEach(attachment => tray.insertBefore(createAttachmentChip(attachment, true), error));
+        tray.hidden = attachments.length === 0 && !error.textContent;
+    }
+
+    /**
+     * Shows why a file could not be attached
+     * @param {string} message - The error message (empty to clear)
+     */
+    function showAttachmentError(message) {
+        document.getElementById('attachment-error').textContent = message;
+        if (message) {
+            document.getElementById('attachment-tray').hidden = false;
+        }
+    }
+
+    /**
+     * Shows a message's attachments as thumbnails above its text
+     * @param {Element} messageElement - The message element
+     * @param {Array} attachments - The attachments
+     */
+    function setMessageAttachments(messageElement, attachments) {
+        if (!messageElement || !attachments || attachments.length === 0) return;
+        
+        const existing = messageElement.querySelector('.chat-app__message-attachments');
+        if (existing) existing.remove();
+        
+        const list = document.createElement('div');
+        list.className = 'chat-app__message-attachments';
+        attachments.forEach(attachment => list.appendChild(createAttachmentChip(attachment, false)));
+        messageElement.insertBefore(list, messageElement.querySelector('.chat-app__message-content'));
+    }
+
+    /**
+     * Formats a value for a tool call block
+     * @param {*} value - The arguments or result
+     * @returns {string} - The value as indented JSON, or the text itself
+     */
+    function formatToolValue(value) {
+        if (typeof value === 'string') return value;
+        return JSON.stringify(value, null, 2);
+    }
+
+    /**
+     * Creates the collapsible block showing one tool call
+     * @param {Object} call - The call ({ name, arguments, result, error }); without a result or error it is still running
+     * @param {boolean} open - Whether the block starts expanded
+     * @returns {Element} - The block
+     */
+    function createToolCall(call, open) {
+        const block = Utils.createFromTemplate('tool-call-template');
+        const running = !('result' in call) && !('error' in call);
+        const args = JSON.stringify(call.arguments || {});
+        
+        block.dataset.callId = call.id;
+        block.open = open;
+        block.classList.toggle('tool-call--running', running);
+        block.classList.toggle('tool-call--error', Boolean(call.error));
+        block.querySelector('.tool-call__name').textContent =
+            `${call.name}(${args.length > 80 ? args.slice(0, 79) + '…' : args})`;
+        block.querySelector('.tool-call__status').textContent = running ? 'Running...' : call.error ? 'Failed' : 'Done';
+        block.querySelector('.tool-call__arguments').textContent = formatToolValue(call.arguments || {});
+        block.querySelector('.tool-call__result').textContent =
+            running ? '' : call.error ? `Error: ${call.error}` : formatToolValue(call.result);
+        return block;
+    }
+
+    /**
+     * Shows the tools a reply called, with their arguments and results, above its text
+     * Blocks the user opened stay open when the steps are shown again
+     * @param {Element} messageElement - The message element
+     * @param {Array} steps - The tool steps ({ text, calls }), in order
+     */
+    function setToolSteps(messageElement, steps) {
+        if (!messageElement) return;
+        
+        const existing = messageElement.querySelector('.chat-app__tool-steps');
+        const openIds = new Set(existing ?
+            Array.from(existing.querySelectorAll('.tool-call[open]'), block => block.dataset.callId) : []);
+        if (existing) existing.remove();
+        if (!steps || steps.length === 0) return;
+        
+        const list = document.createElement('div');
+        list.className = 'chat-app__tool-steps';
+        steps.forEach(step => {
+            if (step.text) {
+                const note = document.createElement('div');
+                note.className = 'chat-app__tool-note chat-app__message-content--markdown';
+                note.innerHTML = MarkdownRenderer.render(step.text);
+                list.appendChild(note);
+            }
+            step.calls.forEach(call => list.appendChild(createToolCall(call, openIds.has(call.id))));
+        });
+        messageElement.insertBefore(list, messageElement.querySelector('.chat-app__message-content'));
+    }
+
+    /**
+     * Swaps the Send button for a Stop button while a reply is generated
+     * @param {boolean} generating - Whether a reply is in progress
+     */
+    function setGenerating(generating) {
+        document.getElementById('send-button').style.display = generating ? 'none' : '';
+        document.getElementById('stop-button').style.display = generating ? '' : 'none';
+        document.getElementById('chat-window').classList.toggle('chat-app__window--generating', generating);
+    }
+
+    /**
+     * Sets up the login form and logout button
+     * @param {Function} onLogin - Called with (username, password) when the form is submitted
+     * @param {Function} onLogout - Called when the logout button is clicked
+     */
+    function setupAuthHandlers(onLogin, onLogout) {
+        const form = document.getElementById('login-form');
+        form.addEventListener('submit', function(event) {
+            event.preventDefault();
+            
+            const username = document.getElementById('login-username').value.trim();
+            const password = document.getElementById('login-password').value;
+            if (!username || !password) return;
+            
+            form.querySelector('button[type="submit"]').disabled = true;
+            document.getElementById('login-error').textContent = '';
+            onLogin(username, password);
+        });
+        
+        document.getElementById('logout-button').addEventListener('click', onLogout);
+    }
+
+    /**
+     * Shows the login screen
+     * @param {string} [errorMessage] - Error to show above the form
+     */
+    function showLogin(errorMessage) {
+        document.getElementById('chat-container').style.display = 'none';
+        document.getElementById('login-screen').style.display = 'flex';
+        document.getElementById('login-error').textContent = errorMessage || '';
+        document.getElementById('login-password').value = '';
+        document.querySelector('#login-form button[type="submit"]').disabled = false;
+        document.getElementById('login-username').focus();
+    }
+
+    /**
+     * Shows the chat for a logged in user
+     * @param {string} username - The logged in user
+     */
+    function showChat(username) {
+        document.getElementById('login-screen').style.display = 'none';
+        document.getElementById('chat-container').style.display = 'flex';
+        document.getElementById('current-user').textContent = username;
+        document.getElementById('login-password').value = '';
+    }
+
+    /**
+     * Creates a message element without adding it to the chat window
+     * @param {string} sender - The sender ('user' or 'ai')
+     * @param {string} text - The message text
+     * @returns {Element} - The created message element
+     */
+    function createMessage(sender, text) {
+        const messageElement = Utils.createFromTemplate('message-template');
+        
+        // Set appropriate class based on sender
+        messageElement.classList.add(`${sender}-message`);
+        
+        // Format the message text
+        updateMessageContent(messageElement, text);
+        
+        return messageElement;
+    }
+
+    /**
+     * Adds a message to the chat window
+     * @param {string} sender - The sender ('user' or 'ai')
+     * @param {string} text - The message text
+     * @returns {Element} - The created message element
+     */
+    function addMessage(sender, text) {
+        const messageElement = createMessage(sender, text);
+        appendMessage(messageElement);
+        return messageElement;
+    }
+
+    /**
+     * Adds a message element to the end of the chat window
+     * The user's own messages scroll the window back to the bottom
+     * @param {Element} messageElement - The message element, e.g. from createMessage
+     */
+    function appendMessage(messageElement) {
+        if (messageElement.classList.contains('user-message')) {
+            pinnedToBottom = true;
+        }
+        appendToChat(messageElement);
+    }
+
+    /**
+     * Appends an element to the chat window and watches it for changes of size
+     * @param {Element} element - The message, error card or comparison
+     */
+    function appendToChat(element) {
+        document.getElementById('chat-window').appendChild(element);
+        if (resizeObserver) resizeObserver.observe(element);
+        scheduleFrame();
+    }
+
+    /**
+     * Shows a conversation's messages in place of those shown, scrolled to the latest
+     * Long conversations become a virtual list, so only the messages near the visible part are in the page
+     * @param {number} count - The number of messages
+     * @param {Function} renderItem - Creates the element of a message (index), e.g. with createMessage
+     */
+    function showMessages(count, renderItem) {
+        clearMessages();
+        const chatWindow = document.getElementById('chat-window');
+        
+        if (count > VIRTUALIZE_AFTER) {
+            virtualList = VirtualList.create(chatWindow, {
+                count,
+                renderItem: index => applyContextMark(renderItem(index)),
+                onResize: scheduleFrame
+            });
+            virtualList.update(true);
+        } else {
+            for (let index = 0; index < count; index++) {
+                appendToChat(renderItem(index));
+            }
+        }
+        followOutput();
+    }
+
+    /**
+     * Renders pending work in the next animation frame
+     * Streaming updates, virtual list changes and scrolling are batched so each happens at most once per frame
+     */
+    function scheduleFrame() {
+        if (frameRequested) return;
+        frameRequested = true;
+        requestAnimationFrame(renderFrame);
+    }
+
+    /**
+     * Renders the streaming updates that arrived since the last frame and brings the view up to date
+     */
+    function renderFrame() {
+        frameRequested = false;
+        
+        // Only the latest text of each message is rendered
+        pendingUpdates.forEach((update, messageElement) => {
+            renderMessageContent(messageElement, update.text, update.options);
+        });
+        pendingUpdates.clear();
+        
+        if (virtualList) virtualList.update(pinnedToBottom);
+        followOutput();
+    }
+
+    /**
+     * Keeps the chat window at the bottom while it is pinned there,
+     * and offers a way back down while it isn't
+     */
+    function followOutput() {
+        const chatWindow = document.getElementById('chat-window');
+        if (pinnedToBottom) {
+            chatWindow.scrollTop = chatWindow.scrollHeight;
+        }
+        document.getElementById('jump-to-latest').hidden = pinnedToBottom;
+    }
+
+    /**
+     * Scrolls the chat window to the latest message and follows new output again
+     */
+    function scrollToLatest() {
+        pinnedToBottom = true;
+        if (virtualList) virtualList.update(true);
+        followOutput();
+    }
+
+    /**
+     * Updates the content of a message element
+     * Streaming updates are rendered in the next animation frame, replacing any earlier one still waiting;
+     * other updates are rendered at once
+     * @param {Element} messageElement - The message element to update
+     * @param {string} text - The new text content
+     * @param {Object} [options] - Update options
+     * @param {boolean} [options.streaming] - Whether the text is a reply that is still streaming
+     * @param {string} [options.reasoning] - The reply's reasoning, shown in a collapsible section
+     * @param {boolean} [options.thinking] - Whether the model is still reasoning
+     */
+    function updateMessageContent(messageElement, text, options = {}) {
+        if (!messageElement) return;
+        
+        if (options.streaming) {
+            pendingUpdates.set(messageElement, { text, options });
+            scheduleFrame();
+            return;
+        }
+        pendingUpdates.delete(messageElement);
+        renderMessageContent(messageElement, text, options);
+    }
+
+    /**
+     * Renders the content of a message element
+     * @param {Element} messageElement - The message element
+     * @param {string} text - The new text content
+     * @param {Object} options - Update options, as for updateMessageContent
+     */
+    function renderMessageContent(messageElement, text, options) {
+        const contentElement = messageElement.querySelector('.chat-app__message-content');
+        if (!contentElement) return;
+        
+        // User messages are shown exactly as typed
+        if (!messageElement.classList.contains('ai-message')) {
+            contentElement.className = 'chat-app__message-content';
+            contentElement.textContent = text;
+            return;
+        }
+        
+        // Nothing to show yet while the model is reasoning
+        if (options.thinking && !text && !options.reasoning) {
+            streamRenderers.delete(contentElement);
+            contentElement.className = 'chat-app__message-content thinking-indicator';
+            contentElement.textContent = 'Thinking...';
+            return;
+        }
+        
+        contentElement.className = 'chat-app__message-content chat-app__message-content--markdown';
+        
+        if (!options.reasoning) {
+            renderMarkdownInto(contentElement, text, options.streaming);
+            return;
+        }
+        
+        // The reasoning section is kept across updates so it stays open or closed as the user left it
+        let reasoningElement = contentElement.querySelector(':scope > .chat-app__reasoning');
+        if (!reasoningElement) {
+            streamRenderers.delete(contentElement);
+            contentElement.innerHTML = '';
+            reasoningElement = Utils.createFromTemplate('reasoning-template');
+            reasoningElement.open = Boolean(options.thinking);
+            
+            const answerElement = document.createElement('div');
+            answerElement.className = 'chat-app__answer';
+            contentElement.append(reasoningElement, answerElement);
+        } else if (reasoningElement.hasAttribute('data-thinking') && !options.thinking) {
+            // Collapse the reasoning once the answer starts
+            reasoningElement.open = false;
+        }
+        
+        reasoningElement.toggleAttribute('data-thinking', Boolean(options.thinking));
+        reasoningElement.querySelector('.chat-app__reasoning-label').textContent =
+            options.thinking ? 'Thinking...' : 'Reasoning';
+        renderMarkdownInto(reasoningElement.querySelector('.chat-app__reasoning-body'),
+            options.reasoning, options.streaming && options.thinking);
+        renderMarkdownInto(contentElement.querySelector('.chat-app__answer'), text, options.streaming);
+    }
+    
+    /**
+     * Renders Markdown into an element
+     * While streaming, finished blocks are rendered and added once; only the unfinished tail is replaced
+     * @param {Element} element - The element to fill
+     * @param {string} text - The Markdown text
+     * @param {boolean} [streaming] - Whether the text is still streaming
+     */
+    function renderMarkdownInto(element, text, streaming = false) {
+        if (!streaming) {
+            element.innerHTML = MarkdownRenderer.render(text);
+            streamRenderers.delete(element);
+            return;
+        }
+        
+        // Start over if the element was filled some other way since the last update
+        let stream = streamRenderers.get(element);
+        if (!stream || element.childNodes.length !== stream.stableCount + stream.tail.length) {
+            stream = { renderer: MarkdownRenderer.createStreamRenderer(), stableHtml: '', stableCount: 0, tail: [] };
+            streamRenderers.set(element, stream);
+            element.innerHTML = '';
+        }
+        
+        const result = stream.renderer.render(text);
+        stream.tail.forEach(node => node.remove());
+        if (result.stableHtml.startsWith(stream.stableHtml)) {
+            element.insertAdjacentHTML('beforeend', result.stableHtml.slice(stream.stableHtml.length));
+        } else {
+            // Earlier text changed, e.g. a retried reply streaming again from the start
+            element.innerHTML = result.stableHtml;
+        }
+        stream.stableHtml = result.stableHtml;
+        stream.stableCount = element.childNodes.length;
+        
+        const tail = document.createElement('template');
+        tail.innerHTML = result.tailHtml;
+        stream.tail = Array.from(tail.content.childNodes);
+        element.appendChild(tail.content);
+    }
+
+    /**
+     * Marks a message as a reply that was stopped before it finished
+     * @param {Element} messageElement - The message element
+     */
+    function markInterrupted(messageElement) {
+        if (messageElement) {
+            messageElement.classList.add('chat-app__message--interrupted');
+        }
+    }
+
+    /**
+     * Marks the messages that were summarised or left out to fit the context window
+     * Clears the marks of all other messages
+     * @param {Array} summarisedIds - Messages covered by the conversation summary
+     * @param {Array} droppedIds - Messages left out of the request
+     */
+    function markContext(summarisedIds, droppedIds) {
+        // Kept for the messages a virtual list renders later
+        contextMarks = { summarised: new Set(summarisedIds), dropped: new Set(droppedIds) };
+        document.querySelectorAll('#chat-window [data-message-id]').forEach(applyContextMark);
+    }
+
+    /**
+     * Marks one message as summarised or left out, as set by markContext
+     * @param {Element} element - The message element
+     * @returns {Element} - The message element
+     */
+    function applyContextMark(element) {
+        const id = element.getAttribute('data-message-id');
+        const summarised = contextMarks.summarised.has(id);
+        const dropped = contextMarks.dropped.has(id);
+        element.classList.toggle('chat-app__message--summarised', summarised);
+        element.classList.toggle('chat-app__message--dropped', dropped);
+        
+        if (summarised) {
+            element.title = 'Sent to the model as part of a summary of the earlier conversation';
+        } else if (dropped) {
+            element.title = 'Not sent to the model: outside the context window';
+        } else {
+            element.removeAttribute('title');
+        }
+        return element;
+    }
+
+    /**
+     * Shows a reply's token usage below its text
+     * @param {Element} messageElement - The message element
+     * @param {Object} usage - The usage ({ promptTokens, completionTokens, totalTokens, reasoningTokens, estimated })
+     * @param {number} [cost] - The reply's cost in dollars, if the model's price is known
+     */
+    function setMessageUsage(messageElement, usage, cost) {
+        if (!messageElement || !usage) return;
+        
+        const existing = messageElement.querySelector('.chat-app__message-usage');
+        if (existing) existing.remove();
+        
+        const usageElement = document.createElement('div');
+        usageElement.className = 'chat-app__message-usage';
+        usageElement.textContent = `${usage.estimated ? '~' : ''}${usage.totalTokens.toLocaleString()} tokens ` +
+            `(${Utils.describeUsageParts(usage)})` +
+            (cost === undefined ? '' : ` · ${usage.estimated ? '~' : ''}${Pricing.formatCost(cost)}`);
+        if (usage.estimated) {
+            usageElement.title = 'Estimated; the provider did not report usage for this reply';
+        }
+        
+        // Keep the usage above the message actions
+        messageElement.insertBefore(usageElement, messageElement.querySelector('.chat-app__message-actions'));
+    }
+
+    /**
+     * Labels a reply with the model that wrote it
+     * @param {Element} messageElement - The message element
+     * @param {string} model - The model ID
+     * @param {Object} [fallback] - Set when the reply came from a fallback model ({ from, reason })
+     */
+    function setMessageModel(messageElement, model, fallback) {
+        if (!messageElement || !model) return;
+        
+        let label = messageElement.querySelector('.chat-app__message-model');
+        if (!label) {
+            label = document.createElement('div');
+            label.className = 'chat-app__message-model';
+            messageElement.prepend(label);
+        }
+        label.textContent = ModelCatalog.getModelName(model);
+        label.classList.toggle('chat-app__message-model--fallback', Boolean(fallback));
+        label.title = '';
+        if (fallback) {
+            label.textContent += ` · instead of ${ModelCatalog.getModelName(fallback.from)}`;
+            label.title = `${ModelCatalog.getModelName(fallback.from)} failed (${fallback.reason}), so its fallback answered`;
+        }
+    }
+
+    /**
+     * Finds the element of a message in the chat window
+     * @param {string} messageId - The message ID
+     * @returns {Element|null} - The message element
+     */
+    function getMessageElement(messageId) {
+        return document.querySelector(`#chat-window [data-message-id="${CSS.escape(messageId)}"]`);
+    }
+
+    /**
+     * Creates a message action button
+     * @param {string} action - The action name passed to the callback
+     * @param {string} label - The button text
+     * @param {string} title - The button tooltip
+     * @returns {Element} - The button
+     */
+    function createActionButton(action, label, title) {
+        const button = document.createElement('button');
+        button.className = 'chat-app__message-action';
+        button.setAttribute('data-message-action', action);
+        button.setAttribute('title', title);
+        button.setAttribute('aria-label', title);
+        button.textContent = label;
+        return button;
+    }
+
+    /**
+     * Sets a message's ID and renders its actions and branch navigation
+     * @param {Element} messageElement - The message element
+     * @param {Object} controls - The controls to show
+     * @param {string} controls.id - The message ID
+     * @param {number} controls.branchIndex - Zero-based index among sibling branches
+     * @param {number} controls.branchCount - Number of sibling branches
+     * @param {boolean} controls.canEdit - Whether the message can be edited and resent
+     * @param {boolean} controls.canRegenerate - Whether the reply can be regenerated
+     */
+    function setMessageControls(messageElement, controls) {
+        if (!messageElement) return;
+        
+        messageElement.setAttribute('data-message-id', controls.id);
+        
+        const existing = messageElement.querySelector('.chat-app__message-actions');
+        if (existing) existing.remove();
+        
+        const actions = document.createElement('div');
+        actions.className = 'chat-app__message-actions';
+        
+        if (controls.branchCount > 1) {
+            const previous = createActionButton('prev-branch', '‹', 'Previous version');
+            const next = createActionButton('next-branch', '›', 'Next version');
+            const counter = document.createElement('span');
+            counter.className = 'chat-app__branch-counter';
+            counter.textContent = `${controls.branchIndex + 1}/${controls.branchCount}`;
+            
+            previous.disabled = controls.branchIndex === 0;
+            next.disabled = controls.branchIndex === controls.branchCount - 1;
+            actions.append(previous, counter, next);
+        }
+        
+        if (controls.canEdit) {
+            actions.appendChild(createActionButton('edit', '✎ Edit', 'Edit and resend'));
+        }
+        if (controls.canRegenerate) {
+            actions.appendChild(createActionButton('regenerate', '↻ Regenerate', 'Regenerate reply'));
+        }
+        
+        if (actions.childElementCount > 0) {
+            messageElement.appendChild(actions);
+        }
+    }
+
+    /**
+     * Replaces a user message with an editor to change and resend it
+     * @param {string} messageId - The message ID
+     * @param {string} text - The current message text
+     */
+    function showMessageEditor(messageId, text) {
+        const messageElement = getMessageElement(messageId);
+        if (!messageElement || messageElement.classList.contains('chat-app__message--editing')) return;
+        
+        messageElement.classList.add('chat-app__message--editing');
+        
+        const editor = document.createElement('div');
+        editor.className = 'chat-app__message-editor';
+        
+        const textarea = document.createElement('textarea');
+        textarea.className = 'chat-app__message-editor-input';
+        textarea.value = text;
+        textarea.rows = Math.min(Math.max(text.split('\n').length, 2), 10);
+        
+        const submit = document.createElement('button');
+        submit.className = 'chat-app__message-editor-button chat-app__message-editor-button--primary';
+        submit.textContent = 'Save & send';
+        
+        const cancel = document.createElement('button');
+        cancel.className = 'chat-app__message-editor-button';
+        cancel.textContent = 'Cancel';
+        
+        const close = function() {
+            editor.remove();
+            messageElement.classList.remove('chat-app__message--editing');
+        };
+        
+        submit.addEventListener('click', function() {
+            const value = textarea.value;
+            close();
+            if (messageActionCallback) messageActionCallback('submit-edit', messageId, value);
+        });
+        cancel.addEventListener('click', close);
+        textarea.addEventListener('keydown', function(event) {
+            if (event.key === 'Enter' && !event.shiftKey) {
+                event.preventDefault();
+                submit.click();
+            } else if (event.key === 'Escape') {
+                close();
+            }
+        });
+        
+        editor.append(textarea, submit, cancel);
+        messageElement.appendChild(editor);
+        textarea.focus();
+    }
+
+    /**
+     * Adds an error card to the chat window in place of a reply
+     * @param {Object} error - The error as described by ApiError.describe ({ title, message, hint })
+     * @param {Function} [onRetry] - Callback for the Retry button; without it there is no button
+     * @returns {Element} - The card
+     */
+    function showErrorCard(error, onRetry) {
+        const card = Utils.createFromTemplate('error-card-template');
+        card.querySelector('.error-card__title').textContent = error.title;
+        card.querySelector('.error-card__message').textContent = error.message;
+        card.querySelector('.error-card__hint').textContent = error.hint;
+        
+        const retryButton = card.querySelector('.error-card__retry');
+        if (onRetry) {
+            retryButton.addEventListener('click', () => {
+                retryButton.disabled = true;
+                onRetry();
+            });
+        } else {
+            retryButton.remove();
+        }
+        
+        appendToChat(card);
+        return card;
+    }
+
+    /**
+     * Shows that a request failed and is about to be retried, above the reply
+     * @param {Element} messageElement - The reply's message element
+     * @param {string} text - The notice, or '' to remove it
+     */
+    function setRetryNotice(messageElement, text) {
+        if (!messageElement) return;
+        
+        let notice = messageElement.querySelector('.chat-app__retry-notice');
+        if (!text) {
+            if (notice) notice.remove();
+            return;
+        }
+        if (!notice) {
+            notice = document.createElement('div');
+            notice.className = 'chat-app__retry-notice';
+            notice.setAttribute('role', 'status');
+            messageElement.prepend(notice);
+        }
+        notice.textContent = text;
+    }
+
+    /**
+     * Removes all messages from the chat window
+     */
+    function clearMessages() {
+        const chatWindow = document.getElementById('chat-window');
+        pendingUpdates.clear();
+        if (virtualList) {
+            virtualList.destroy();
+            virtualList = null;
+        }
+        if (resizeObserver) {
+            resizeObserver.disconnect();
+            resizeObserver.observe(chatWindow);
+        }
+        contextMarks = { summarised: new Set(), dropped: new Set() };
+        chatWindow.innerHTML = '';
+        pinnedToBottom = true;
+    }
+
+    /**
+     * Creates an empty AI message element
+     * @returns {Element} - The created message element
+     */
+    function createEmptyAIMessage() {
+        return addMessage('ai', '');
+    }
+
+    /**
+     * Gets the content of the user input field
+     * @returns {string} - The user input text
+     */
+    function getUserInput() {
+        return document.getElementById('message-input').value.trim();
+    }
+
+    /**
+     * Clears the user input field
+     */
+    function clearUserInput() {
+        const inputElement = document.getElementById('message-input');
+        inputElement.value = '';
+        inputElement.style.height = 'auto';
+    }
+
+    /**
+     * Sets up the model picker: opening it, searching, choosing a model and reloading the lists
+     * @param {Function} onSelect - Callback after a model has been chosen (modelId)
+     * @param {Function} onRefresh - Callback for the reload button
+     */
+    function setupModelPicker(onSelect, onRefresh) {
+        const button = document.getElementById('model-select');
+        const menu = document.getElementById('model-picker-menu');
+        const search = document.getElementById('model-search');
+        const list = document.getElementById('model-list');
+        
+        button.addEventListener('click', () => setModelPickerOpen(menu.hidden));
+        search.addEventListener('input', () => filterModelOptions(search.value));
+        
+        // Enter picks the first match; the arrow keys move through the matches
+        menu.addEventListener('keydown', function(event) {
+            const options = Array.from(list.querySelectorAll('.model-picker__option'))
+                .filter(option => !option.hidden && !option.closest('.model-picker__group').hidden);
+            const index = options.indexOf(document.activeElement);
+            
+            if (event.key === 'Escape') {
+                setModelPickerOpen(false);
+                button.focus();
+            } else if (event.key === 'Enter' && event.target === search && options.length > 0) {
+                event.preventDefault();
+                options[0].click();
+            } else if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+                event.preventDefault();
+                const next = event.key === 'ArrowDown' ? index + 1 : index - 1;
+                const target = options[Math.min(next, options.length - 1)];
+                if (next < 0) {
+                    search.focus();
+                } else if (target) {
+                    target.focus();
+                }
+            }
+        });
+        
+        list.addEventListener('click', function(event) {
+            const option = event.target.closest('.model-picker__option');
+            if (!option) return;
+            setSelectedModel(option.getAttribute('data-model-id'));
+            setModelPickerOpen(false);
+            button.focus();
+            onSelect(getSelectedModel());
+        });
+        
+        document.getElementById('model-refresh-button').addEventListener('click', onRefresh);
+        
+        // Close the picker on a click anywhere else
+        document.addEventListener('click', function(event) {
+            if (!menu.hidden && !event.target.closest('.model-picker')) setModelPickerOpen(false);
+        });
+    }
+
+    /**
+     * Opens or closes the model picker, starting each time with an empty search
+     * @param {boolean} open - Whether the picker is open
+     */
+    function setModelPickerOpen(open) {
+        const menu = document.getElementById('model-picker-menu');
+        const search = document.getElementById('model-search');
+        
+        menu.hidden = !open;
+        document.getElementById('model-select').setAttribute('aria-expanded', String(open));
+        if (open) {
+            search.value = '';
+            filterModelOptions('');
+            search.focus();
+        }
+    }
+
+    /**
+     * Shows only the models whose name, ID or provider contains the query
+     * @param {string} query - The search text
+     */
+    function filterModelOptions(query) {
+        const needle = query.trim().toLowerCase();
+        const list = document.getElementById('model-list');
+        let matches = 0;
+        
+        list.querySelectorAll('.model-picker__group').forEach(group => {
+            let visible = 0;
+            group.querySelectorAll('.model-picker__option').forEach(option => {
+                option.hidden = Boolean(needle) && !option.getAttribute('data-search').includes(needle);
+                if (!option.hidden) visible++;
+            });
+            group.hidden = visible === 0;
+            matches += visible;
+        });
+        
+        const empty = list.querySelector('.model-picker__empty');
+        if (empty) empty.hidden = matches > 0;
+    }
+
+    /**
+     * Formats a token count compactly
+     * @param {number} tokens - The token count
+     * @returns {string} - E.g. '128K' or '1M'
+     */
+    function formatTokenCount(tokens) {
+        if (tokens >= 1000000) return `${Number((tokens / 1000000).toFixed(1))}M`;
+        if (tokens >= 1000) return `${Math.round(tokens / 1000)}K`;
+        return String(tokens);
+    }
+
+    /**
+     * Describes what a model supports, for the model picker
+     * @param {Object} model - The catalog entry
+     * @returns {string} - E.g. '1M context · images · tools · $0.40 / $1.60 per 1M tokens'
+     */
+    function describeModel(model) {
+        const parts = [];
+        if (model.contextWindow) parts.push(`${formatTokenCount(model.contextWindow)} context`);
+        if (model.vision) parts.push('images');
+        if (model.tools) parts.push('tools');
+        if (!model.streaming) parts.push('no streaming');
+        if (model.pricing) {
+            parts.push(model.pricing.input === 0 && model.pricing.output === 0 ? 'free' :
+                `$${model.pricing.input.toFixed(2)} / $${model.pricing.output.toFixed(2)} per 1M tokens`);
+        }
+        return parts.join(' · ');
+    }
+
+    /**
+     * Fills the model picker with the catalog's models, one group per provider
+     * The selection is kept if its model is still listed
+     * @param {Array} groups - Providers as { name, models } with catalog entries
+     * @param {Array<string>} [errors] - Problems listing models, shown below the list
+     */
+    function setModelOptions(groups, errors = []) {
+        const list = document.getElementById('model-list');
+        list.innerHTML = '';
+        
+        groups.forEach(group => {
+            if (group.models.length === 0) return;
+            
+            const section = document.createElement('div');
+            section.className = 'model-picker__group';
+            section.setAttribute('role', 'group');
+            section.setAttribute('aria-label', group.name);
+            
+            const title = document.createElement('div');
+            title.className = 'model-picker__group-title';
+            title.textContent = group.name;
+            section.appendChild(title);
+            
+            group.models.forEach(model => {
+                const option = Utils.createFromTemplate('model-option-template');
+                option.setAttribute('data-model-id', model.id);
+                option.setAttribute('data-search', `${model.name} ${model.id} ${group.name}`.toLowerCase());
+                option.querySelector('.model-picker__option-name').textContent = model.name;
+                option.querySelector('.model-picker__option-meta').textContent = describeModel(model);
+                section.appendChild(option);
+            });
+            list.appendChild(section);
+        });
+        
+        const empty = document.createElement('p');
+        empty.className = 'model-picker__empty';
+        empty.textContent = 'No models match';
+        empty.hidden = true;
+        list.appendChild(empty);
+        
+        document.getElementById('model-picker-status').textContent = errors.join('. ');
+        fillCompareOptions();
+        filterModelOptions(document.getElementById('model-search').value);
+        
+        const selected = getSelectedModel();
+        setSelectedModel(ModelCatalog.hasModel(selected) ? selected : ModelCatalog.getDefaultModel());
+    }
+
+    /**
+     * Gets the currently selected model
+     * @returns {string} - The selected model ID
+     */
+    function getSelectedModel() {
+        return document.getElementById('model-select').getAttribute('data-model-id') || '';
+    }
+
+    /**
+     * Selects a model in the model picker if it is listed
+     * Only text files can be chosen for attaching if the model can't read images and PDFs
+     * @param {string} model - The model ID
+     */
+    function setSelectedModel(model) {
+        if (!ModelCatalog.hasModel(model)) return;
+        
+        const entry = ModelCatalog.getModel(model);
+        const button = document.getElementById('model-select');
+        button.setAttribute('data-model-id', model);
+        button.textContent = entry.name;
+        button.title = [entry.providerName, describeModel(entry)].filter(Boolean).join(' · ');
+        
+        document.querySelectorAll('#model-list .model-picker__option').forEach(option => {
+            option.setAttribute('aria-selected', String(option.getAttribute('data-model-id') === model));
+        });
+        
+        const fileInput = document.getElementById('attach-input');
+        const accept = fileInput.getAttribute('data-accept') || fileInput.accept;
+        fileInput.setAttribute('data-accept', accept);
+        fileInput.accept = entry.vision ? accept :
+            accept.split(',').filter(type => !type.startsWith('image/') && type !== 'application/pdf').join(',');
+        document.getElementById('attach-button').title = entry.vision ?
+            'Attach images, PDFs or text files' : `Attach text files (${entry.name} can't read images or PDFs)`;
+    }
+
+    /**
+     * Sets up the compare bar: turning compare mode on and off, adding and removing models
+     * @param {Function} onToggle - Callback for the compare button
+     * @param {Function} onAdd - Callback when a model is added (modelId)
+     * @param {Function} onRemove - Callback when a model's chip is removed (modelId)
+     */
+    function setupCompareHandlers(onToggle, onAdd, onRemove) {
+        document.getElementById('compare-button').addEventListener('click', onToggle);
+        
+        const addSelect = document.getElementById('compare-add');
+        addSelect.addEventListener('change', function() {
+            const model = addSelect.value;
+            addSelect.value = '';
+            if (model) onAdd(model);
+        });
+        
+        document.getElementById('compare-models').addEventListener('click', function(event) {
+            const chip = event.target.closest('.compare-chip');
+            if (chip && event.target.closest('.compare-chip__remove')) {
+                onRemove(chip.getAttribute('data-model-id'));
+            }
+        });
+    }
+
+    /**
+     * Shows the models chosen for comparison in the compare bar
+     * @param {Array<string>} models - The model IDs
+     * @param {boolean} enabled - Whether compare mode is on
+     * @param {number} maxModels - How many models can be compared at once
+     */
+    function showCompareModels(models, enabled, maxModels) {
+        document.getElementById('compare-bar').hidden = !enabled;
+        document.getElementById('compare-button').setAttribute('aria-pressed', String(enabled));
+        
+        const list = document.getElementById('compare-models');
+        list.innerHTML = '';
+        models.forEach(model => {
+            const chip = document.createElement('span');
+            chip.className = 'compare-chip';
+            chip.setAttribute('data-model-id', model);
+            
+            const name = document.createElement('span');
+            name.className = 'compare-chip__name';
+            name.textContent = ModelCatalog.getModelName(model);
+            
+            const remove = document.createElement('button');
+            remove.className = 'compare-chip__remove';
+            remove.setAttribute('aria-label', `Stop comparing ${name.textContent}`);
+            remove.textContent = '✕';
+            
+            chip.append(name, remove);
+            list.appendChild(chip);
+        });
+        
+        document.getElementById('compare-add').disabled = models.length >= maxModels;
+        fillCompareOptions();
+        showCompareStatus('');
+    }
+
+    /**
+     * Fills the compare bar's model list with the catalog's models that aren't compared yet
+     */
+    function fillCompareOptions() {
+        const addSelect = document.getElementById('compare-add');
+        const chosen = new Set(Array.from(document.querySelectorAll('#compare-models .compare-chip'))
+            .map(chip => chip.getAttribute('data-model-id')));
+        
+        addSelect.innerHTML = '';
+        addSelect.appendChild(new Option(addSelect.disabled ? 'Comparing the most models' : 'Add a model...', ''));
+        
+        ModelCatalog.getGroups().forEach(group => {
+            const models = group.models.filter(model => !chosen.has(model.id));
+            if (models.length === 0) return;
+            
+            const optgroup = document.createElement('optgroup');
+            optgroup.label = group.name;
+            models.forEach(model => optgroup.appendChild(new Option(model.name, model.id)));
+            addSelect.appendChild(optgroup);
+        });
+    }
+
+    /**
+     * Shows a hint or problem in the compare bar
+     * @param {string} message - The message, or '' to clear it
+     */
+    function showCompareStatus(message) {
+        document.getElementById('compare-status').textContent = message;
+    }
+
+    /**
+     * Adds a comparison to the chat window, with one column per model
+     * @param {Array<Object>} models - The catalog entries of the compared models
+     * @param {Function} onChoose - Callback when a column's reply is chosen (modelId)
+     * @returns {Array<Element>} - The columns, in the order of the models
+     */
+    function createComparison(models, onChoose) {
+        const comparison = document.createElement('div');
+        comparison.className = 'comparison';
+        
+        const columns = models.map(model => {
+            const column = Utils.createFromTemplate('compare-column-template');
+            column.setAttribute('data-model-id', model.id);
+            column.querySelector('.compare-column__model').textContent = model.name;
+            column.querySelector('.compare-column__provider').textContent = model.providerName;
+            comparison.appendChild(column);
+            return column;
+        });
+        
+        comparison.addEventListener('click', function(event) {
+            const button = event.target.closest('.compare-column__choose');
+            if (button && !button.disabled) {
+                onChoose(button.closest('.compare-column').getAttribute('data-model-id'));
+            }
+        });
+        
+        appendToChat(comparison);
+        return columns;
+    }
+
+    /**
+     * Updates the reply shown in a comparison column
+     * @param {Element} column - The column
+     * @param {string} text - The reply text
+     * @param {Object} [options] - Options as for updateMessageContent
+     */
+    function updateComparisonColumn(column, text, options) {
+        updateMessageContent(column.querySelector('.compare-column__reply'), text, options);
+    }
+
+    /**
+     * Formats a duration in seconds
+     * @param {number} ms - The duration in milliseconds
+     * @returns {string} - E.g. '1.4 s'
+     */
+    function formatSeconds(ms) {
+        return `${(ms / 1000).toFixed(1)} s`;
+    }
+
+    /**
+     * Shows how a comparison column's request went
+     * @param {Element} column - The column
+     * @param {Object} stats - The request's results
+     * @param {number} [stats.firstTextMs] - Time until the first streamed text
+     * @param {number} [stats.totalMs] - Time until the reply was complete
+     * @param {Object} [stats.usage] - The reply's token usage
+     * @param {number} [stats.cost] - The reply's cost in dollars, if the model's price is known
+     * @param {boolean} [stats.interrupted] - Whether the reply was stopped before it finished
+     * @param {Object} [stats.error] - Why the request failed ({ title, message }, see ApiError.describe)
+     */
+    function setComparisonStats(column, stats) {
+        const statsElement = column.querySelector('.compare-column__stats');
+        column.classList.toggle('compare-column--failed', Boolean(stats.error));
+        
+        if (stats.error) {
+            updateComparisonColumn(column, `${stats.error.title}: ${stats.error.message}`);
+            statsElement.textContent = '';
+            return;
+        }
+        if (stats.interrupted) {
+            markInterrupted(column.querySelector('.compare-column__reply'));
+        }
+        
+        const approx = stats.usage && stats.usage.estimated ? '~' : '';
+        const parts = [];
+        if (stats.firstTextMs !== undefined) parts.push(`first text after ${formatSeconds(stats.firstTextMs)}`);
+        if (stats.totalMs !== undefined) parts.push(`${formatSeconds(stats.totalMs)} total`);
+        if (stats.usage) parts.push(`${approx}${stats.usage.totalTokens.toLocaleString()} tokens`);
+        if (stats.cost !== undefined) parts.push(`${approx}${Pricing.formatCost(stats.cost)}`);
+        statsElement.textContent = parts.join(' · ');
+        if (stats.usage) statsElement.title = Utils.describeUsageParts(stats.usage);
+    }
+
+    /**
+     * Lets the user carry a comparison column's reply into the conversation, or not
+     * @param {Element} column - The column
+     * @param {boolean} choosable - Whether the reply can be chosen
+     */
+    function setComparisonChoosable(column, choosable) {
+        column.querySelector('.compare-column__choose').disabled = !choosable;
+    }
+
+    // Public API
+    return {
+        init,
+        setupEventHandlers,
+        setGenerating,
+        setupAttachmentHandlers,
+        showPendingAttachments,
+        showAttachmentError,
+        setupAuthHandlers,
+        showLogin,
+        showChat,
+        createMessage,
+        addMessage,
+        appendMessage,
+        showMessages,
+        clearMessages,
+        createEmptyAIMessage,
+        updateMessageContent,
+        showErrorCard,
+        setRetryNotice,
+        setupSystemPromptHandlers,
+        setupExportHandlers,
+        setPersonaOptions,
+        showSystemPrompt,
+        markInterrupted,
+        markContext,
+        setMessageUsage,
+        setMessageModel,
+        setMessageAttachments,
+        setToolSteps,
+        getMessageElement,
+        setMessageControls,
+        showMessageEditor,
+        getUserInput,
+        clearUserInput,
+        setupModelPicker,
+        setModelOptions,
+        getSelectedModel,
+        setSelectedModel,
+        setupCompareHandlers,
+        showCompareModels,
+        showCompareStatus,
+        createComparison,
+        updateComparisonColumn,
+        setComparisonStats,
+        setComparisonChoosable
+    };
+})(); 
\ No newline at end of file
@@ -0,0 +1,251 @@
+/**
+ * Utilities Module - Contains cookie, template and other helper functions
+ */
+const Utils = (function() {
+    'use strict';
+
+    // Name of the settings cookie
+    const SETTINGS_COOKIE = 'chat_settings';
+
+    // Settings with an entry per model, kept in localStorage under this key instead of the cookie
+    const STORED_SETTINGS = ['modelParams', 'fallbackChains'];
+    const STORED_SETTINGS_KEY = 'chat_model_settings';
+
+    /**
+     * Throws a typed error (see ApiError) describing a failed HTTP response
+     * @param {Response} response - The fetch response to check
+     * @returns {Promise<void>} - Resolves when the response is OK
+     */
+    async function assertResponseOk(response) {
+        if (response.ok) return;
+        
+        throw await ApiError.fromResponse(response);
+    }
+
+    /**
+     * Generates a unique ID
+     * @returns {string} - The generated ID
+     */
+    function generateId() {
+        if (window.crypto && typeof window.crypto.randomUUID === 'function') {
+            return window.crypto.randomUUID();
+        }
+        return Date.now().toString(36) + Math.random().toString(36).slice(2, 10);
+    }
+
+    /**
+     * Creates an element from a template
+     * @param {string} templateId - The ID of the template element
+     * @returns {Element} - The cloned template content
+     */
+    function createFromTemplate(templateId) {
+        const template = document.getElementById(templateId);
+        if (!template) {
+            console.error(`Template not found: ${templateId}`);
+            return null;
+        }
+        return template.content.cloneNode(true).firstElementChild;
+    }
+
+    /**
+     * Saves text as a file through the browser's download
+     * @param {string} content - The file content
+     * @param {string} fileName - The suggested file name
+     * @param {string} [mimeType] - The content type
+     */
+    function downloadFile(content, fileName, mimeType = 'text/plain') {
+        const blob = new Blob([content], { type: mimeType });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(link.href), 0);
+    }
+
+    /**
+     * Creates a token usage record
+     * @param {number} [promptTokens] - Tokens in the request
+     * @param {number} [completionTokens] - Tokens in the reply
+     * @param {number} [totalTokens] - Total tokens (defaults to prompt + completion)
+     * @param {number} [reasoningTokens] - Tokens of the reply spent on reasoning (part of the completion)
+     * @returns {Object} - Usage as { promptTokens, completionTokens, totalTokens, reasoningTokens }
+     */
+    function createUsage(promptTokens = 0, completionTokens = 0, totalTokens, reasoningTokens = 0) {
+        return {
+            promptTokens,
+            completionTokens,
+            totalTokens: totalTokens === undefined ? promptTokens + completionTokens : totalTokens,
+            reasoningTokens
+        };
+    }
+
+    /**
+     * Adds two token usage records together
+     * @param {Object} usage - The running usage
+     * @param {Object} [extra] - The usage to add
+     * @returns {Object} - The combined usage
+     */
+    function addUsage(usage, extra) {
+        if (!extra) return usage;
+        return createUsage(
+            usage.promptTokens + (extra.promptTokens || 0),
+            usage.completionTokens + (extra.completionTokens || 0),
+            usage.totalTokens + (extra.totalTokens || 0),
+            (usage.reasoningTokens || 0) + (extra.reasoningTokens || 0)
+        );
+    }
+
+    /**
+     * Estimates the token count of a text without calling an API
+     * Uses the common rule of thumb of about four characters per token
+     * @param {string} text - The text
+     * @returns {number} - The estimated token count
+     */
+    function estimateTokens(text) {
+        return text ? Math.ceil(text.length / 4) : 0;
+    }
+
+    /**
+     * Updates the token usage display
+     * @param {Object} usage - The conversation's usage ({ promptTokens, completionTokens, totalTokens, reasoningTokens })
+     * @param {number} [cost] - The conversation's cost in dollars
+     */
+    function updateTokenDisplay(usage, cost = 0) {
+        const tokenDisplay = document.getElementById('token-usage');
+        if (tokenDisplay) {
+            tokenDisplay.textContent = `Total tokens used: ${usage.totalTokens.toLocaleString()} ` +
+                `(${describeUsageParts(usage)}) · Cost: ${Pricing.formatCost(cost)}`;
+        }
+    }
+
+    /**
+     * Describes the parts of a usage record
+     * @param {Object} usage - The usage
+     * @returns {string} - E.g. '120 prompt, 80 completion, 50 reasoning'
+     */
+    function describeUsageParts(usage) {
+        return `${usage.promptTokens.toLocaleString()} prompt, ${usage.completionTokens.toLocaleString()} completion` +
+            (usage.reasoningTokens ? `, ${usage.reasoningTokens.toLocaleString()} reasoning` : '');
+    }
+
+    /**
+     * Sets a cookie with the given name, value, and expiration days
+     * @param {string} name - Cookie name
+     * @param {string} value - Cookie value
+     * @param {number} days - Days until expiration
+     */
+    function setCookie(name, value, days = 30) {
+        const expirationDate = new Date();
+        expirationDate.setDate(expirationDate.getDate() + days);
+        
+        const cookieValue = encodeURIComponent(value) + 
+            (days ? `; expires=${expirationDate.toUTCString()}` : '') + 
+            '; path=/; SameSite=Strict';
+        
+        document.cookie = `${name}=${cookieValue}`;
+    }
+
+    /**
+     * Gets a cookie by name
+     * @param {string} name - Cookie name
+     * @returns {string|null} - Cookie value or null if not found
+     */
+    function getCookie(name) {
+        const nameEQ = name + '=';
+        const cookies = document.cookie.split(';');
+        
+        for (let i = 0; i < cookies.length; i++) {
+            let cookie = cookies[i].trim();
+            if (cookie.indexOf(nameEQ) === 0) {
+                return decodeURIComponent(cookie.substring(nameEQ.length));
+            }
+        }
+        
+        return null;
+    }
+
+    /**
+     * Deletes a cookie by name
+     * @param {string} name - Cookie name
+     */
+    function deleteCookie(name) {
+        document.cookie = `${name}=; expires=Thu, 01 Jan 1970 00:00:00 UTC; path=/; SameSite=Strict`;
+    }
+
+    /**
+     * Saves settings
+     * The per-model settings grow with every model configured, so they are kept in localStorage;
+     * the cookie, which is sent with every request and dropped past about 4 KB, keeps the rest
+     * @param {Object} settings - The settings object to save
+     */
+    function saveSettings(settings) {
+        const cookieSettings = { ...settings };
+        const storedSettings = {};
+        STORED_SETTINGS.forEach(key => {
+            if (key in cookieSettings) {
+                storedSettings[key] = cookieSettings[key];
+                delete cookieSettings[key];
+            }
+        });
+        
+        setCookie(SETTINGS_COOKIE, JSON.stringify(cookieSettings));
+        try {
+            localStorage.setItem(STORED_SETTINGS_KEY, JSON.stringify(storedSettings));
+        } catch (err) {
+            console.error('Error saving settings to localStorage:', err);
+        }
+    }
+
+    /**
+     * Gets saved settings from the cookie and localStorage
+     * @returns {Object|null} - The settings object or null if not found
+     */
+    function getSavedSettings() {
+        let cookieSettings = null;
+        const settingsStr = getCookie(SETTINGS_COOKIE);
+        if (settingsStr) {
+            try {
+                cookieSettings = JSON.parse(settingsStr);
+            } catch (err) {
+                console.error('Error parsing settings from cookie:', err);
+                deleteCookie(SETTINGS_COOKIE);
+            }
+        }
+        
+        let storedSettings = null;
+        try {
+            storedSettings = JSON.parse(localStorage.getItem(STORED_SETTINGS_KEY));
+        } catch (err) {
+            console.error('Error reading settings from localStorage:', err);
+        }
+        
+        if (!cookieSettings && !storedSettings) return null;
+        const settings = { ...cookieSettings, ...storedSettings };
+        
+        // Cookies saved before the per-model settings moved out still hold them
+        if (cookieSettings && STORED_SETTINGS.some(key => key in cookieSettings)) {
+            saveSettings(settings);
+        }
+        return settings;
+    }
+
+    // Public API
+    return {
+        assertResponseOk,
+        generateId,
+        createFromTemplate,
+        downloadFile,
+        createUsage,
+        addUsage,
+        estimateTokens,
+        updateTokenDisplay,
+        describeUsageParts,
+        setCookie,
+        getCookie,
+        deleteCookie,
+        saveSettings,
+        getSavedSettings
+    };
+})(); 
\ No newline at end of file
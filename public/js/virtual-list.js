@@ -0,0 +1,178 @@
+/**
+ * Virtual List Module - Renders only the items of a long list that are near the visible part of its scroll container
+ * The items above and below are stood in for by two spacers, sized from the heights of items measured so far
+ */
+const VirtualList = (function() {
+    'use strict';
+
+    // Height assumed for an item that hasn't been rendered yet, until others have been measured
+    const ESTIMATED_HEIGHT = 120;
+
+    // Pixels rendered beyond each edge of the visible part, so scrolling doesn't reveal gaps
+    const OVERSCAN = 800;
+
+    // Render and measure passes per update; each pass replaces estimates with measured heights
+    const MAX_PASSES = 4;
+
+    /**
+     * Creates a spacer element
+     * @returns {Element} - The spacer
+     */
+    function createSpacer() {
+        const spacer = document.createElement('div');
+        spacer.className = 'virtual-list__spacer';
+        spacer.setAttribute('aria-hidden', 'true');
+        return spacer;
+    }
+
+    /**
+     * Creates a virtual list at the end of a scroll container
+     * Elements appended to the container afterwards stay below the list
+     * @param {Element} container - The scroll container, laid out as a column
+     * @param {Object} options - List options
+     * @param {number} options.count - The number of items
+     * @param {Function} options.renderItem - Creates the element of an item (index)
+     * @param {Function} [options.onResize] - Called when a rendered item changes size
+     * @returns {Object} - The list ({ update(stickToEnd), destroy() })
+     */
+    function create(container, options) {
+        const count = options.count;
+        const heights = new Array(count).fill(null);
+        const rendered = new Map();
+        const topSpacer = createSpacer();
+        const bottomSpacer = createSpacer();
+        const resizeObserver = typeof ResizeObserver === 'function' && options.onResize ?
+            new ResizeObserver(() => options.onResize()) : null;
+        let start = 0;
+        let end = 0;
+
+        container.append(topSpacer, bottomSpacer);
+
+        /**
+         * Records the heights of the rendered items
+         * An item's height runs to the top of the next element, so it includes its margins
+         */
+        function measure() {
+            for (let index = start; index < end; index++) {
+                const element = rendered.get(index);
+                const next = rendered.get(index + 1) || bottomSpacer;
+                heights[index] = next.getBoundingClientRect().top - element.getBoundingClientRect().top;
+            }
+        }
+
+        /**
+         * Works out where each item starts, using the estimate for items not measured yet
+         * @returns {Array<number>} - The offset of each item from the top of the list, and the list's height last
+         */
+        function getOffsets() {
+            const measured = heights.filter(height => height !== null);
+            const estimate = measured.length > 0 ?
+                measured.reduce((sum, height) => sum + height, 0) / measured.length : ESTIMATED_HEIGHT;
+
+            const offsets = [0];
+            for (let index = 0; index < count; index++) {
+                offsets.push(offsets[index] + (heights[index] ?? estimate));
+            }
+            return offsets;
+        }
+
+        /**
+         * Finds the first rendered item that is at least partly visible
+         * @returns {Element|null} - The item
+         */
+        function findAnchor() {
+            const containerTop = container.getBoundingClientRect().top;
+            for (let index = start; index < end; index++) {
+                const element = rendered.get(index);
+                if (element.getBoundingClientRect().bottom > containerTop) return element;
+            }
+            return null;
+        }
+
+        /**
+         * Renders the items near the visible part of the container and removes the rest
+         * @returns {boolean} - Whether the rendered range changed
+         */
+        function renderRange() {
+            measure();
+            const offsets = getOffsets();
+            const listTop = topSpacer.getBoundingClientRect().top - container.getBoundingClientRect().top;
+            const visibleTop = -listTop - OVERSCAN;
+            const visibleBottom = -listTop + container.clientHeight + OVERSCAN;
+
+            let newStart = 0;
+            while (newStart < count - 1 && offsets[newStart + 1] <= visibleTop) newStart++;
+            let newEnd = newStart;
+            while (newEnd < count && offsets[newEnd] < visibleBottom) newEnd++;
+
+            topSpacer.style.height = `${offsets[newStart]}px`;
+            bottomSpacer.style.height = `${offsets[count] - offsets[newEnd]}px`;
+            if (newStart === start && newEnd === end) return false;
+
+            rendered.forEach((element, index) => {
+                if (index >= newStart && index < newEnd) return;
+                if (resizeObserver) resizeObserver.unobserve(element);
+                element.remove();
+                rendered.delete(index);
+            });
+
+            // Insert from the bottom up, each item before the one after it
+            let before = bottomSpacer;
+            for (let index = newEnd - 1; index >= newStart; index--) {
+                let element = rendered.get(index);
+                if (!element) {
+                    element = options.renderItem(index);
+                    rendered.set(index, element);
+                    container.insertBefore(element, before);
+                    if (resizeObserver) resizeObserver.observe(element);
+                }
+                before = element;
+            }
+
+            start = newStart;
+            end = newEnd;
+            return true;
+        }
+
+        /**
+         * Brings the rendered items in line with the container's scroll position
+         * Keeps the first visible item where it was on screen, so measuring the items above doesn't make the view jump
+         * @param {boolean} [stickToEnd] - Whether to keep the container scrolled to the bottom instead
+         */
+        function update(stickToEnd = false) {
+            // Nothing can be measured while the container is hidden
+            if (container.clientHeight === 0) return;
+
+            for (let pass = 0; pass < MAX_PASSES; pass++) {
+                if (stickToEnd) container.scrollTop = container.scrollHeight;
+
+                const anchor = stickToEnd ? null : findAnchor();
+                const anchorTop = anchor ? anchor.getBoundingClientRect().top : 0;
+                const changed = renderRange();
+                if (anchor && anchor.isConnected) {
+                    container.scrollTop += anchor.getBoundingClientRect().top - anchorTop;
+                }
+                if (!changed) break;
+            }
+            if (stickToEnd) container.scrollTop = container.scrollHeight;
+        }
+
+        /**
+         * Removes the list from the container
+         */
+        function destroy() {
+            if (resizeObserver) resizeObserver.disconnect();
+            rendered.forEach(element => element.remove());
+            rendered.clear();
+            topSpacer.remove();
+            bottomSpacer.remove();
+        }
+
+        return { update, destroy };
+    }
+
+    // Public API
+    return {
+        create
+    };
+})();
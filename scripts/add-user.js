@@ -0,0 +1,61 @@
+/**
+ * Adds a user account, changes its password, or removes it
+ * Usage: npm run add-user -- <username> [--remove]
+ */
+
+const path = require('path');
+const readline = require('readline');
+const { loadConfig } = require('../server/config');
+const { createUserStore } = require('../server/users');
+
+/**
+ * Asks for a password without echoing it
+ * @param {string} question - The prompt text
+ * @returns {Promise<string>} - The entered password
+ */
+function askPassword(question) {
+  return new Promise(resolve => {
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout, terminal: true });
+
+    // Hide typed characters, printing only the prompt itself
+    rl._writeToOutput = text => {
+      if (text.includes(question)) rl.output.write(text);
+    };
+
+    rl.question(question, answer => {
+      rl.close();
+      process.stdout.write('\n');
+      resolve(answer);
+    });
+  });
+}
+
+async function main() {
+  const [username, flag] = process.argv.slice(2);
+  if (!username) {
+    console.error('Usage: npm run add-user -- <username> [--remove]');
+    process.exit(1);
+  }
+
+  const config = loadConfig();
+  const userStore = createUserStore(path.resolve(config.usersFile));
+
+  if (flag === '--remove') {
+    console.log(userStore.removeUser(username) ? `Removed ${username}` : `No user named ${username}`);
+    return;
+  }
+
+  const password = await askPassword(`Password for ${username}: `);
+  const confirmation = await askPassword('Repeat password: ');
+  if (password !== confirmation) {
+    throw new Error('Passwords do not match');
+  }
+
+  const created = await userStore.setPassword(username, password);
+  console.log(created ? `Created ${username}` : `Updated password for ${username}`);
+}
+
+main().catch(err => {
+  console.error(err.message);
+  process.exit(1);
+});
@@ -1,29 +1,82 @@
 /**
  * Simple Express server for the AI Chat Agent
- * Serves the web app on localhost:3005
+ * Serves the web app and proxies AI requests on localhost:3005
  */
 
 const express = require('express');
 const path = require('path');
-const app = express();
-const PORT = 3005;
+const { loadConfig, PUBLIC_DIR } = require('./server/config');
+const { createUserStore } = require('./server/users');
+const { createAuth } = require('./server/auth');
+const { createRateLimiter } = require('./server/rate-limit');
+const { createChatProxy } = require('./server/chat-proxy');
+const { createMockProvider } = require('./server/mock-provider');
 
-// Serve static files from the root directory
-app.use(express.static(path.join(__dirname, '/')));
+/**
+ * Creates the Express app
+ * @param {Object} config - The server configuration
+ * @param {Object} [userStore] - The user store (defaults to config.usersFile)
+ * @returns {express.Application} - The app
+ */
+function createApp(config, userStore = createUserStore(path.resolve(config.usersFile))) {
+  const app = express();
+  const auth = createAuth(config, userStore);
+
+  // Requests per user to the provider proxy
+  const userLimiter = createRateLimiter({
+    windowMs: config.rateLimitWindowSeconds * 1000,
+    max: config.rateLimitMaxRequests,
+    keyFor: req => req.user.username
+  });
+
+  // Scripted stand-ins for the provider APIs; the chat proxy calls them like the real ones, over loopback
+  if (config.mockProviders) {
+    app.use('/mock', createMockProvider(config));
+  }
+
+  // Login, logout and session routes
+  app.use('/api', auth.router);
+
+  // Proxy API for the browser; keys stay on the server, and bodies (which can carry image and PDF
+  // attachments) are only read once the session is checked
+  app.use('/api', auth.requireSession, userLimiter, express.json({ limit: `${config.maxRequestMb}mb` }), createChatProxy(config));
 
-// Serve index.html for the root route
-app.get('/', (req, res) => {
-  res.sendFile(path.join(__dirname, 'index.html'));
-});
+  // Serve the web app from its own directory, so the config, user data and server code are never reachable
+  app.use(express.static(PUBLIC_DIR));
 
-// Start the server
-app.listen(PORT, () => {
-  console.log(`
+  // Serve index.html for the root route
+  app.get('/', (req, res) => {
+    res.sendFile(path.join(PUBLIC_DIR, 'index.html'));
+  });
+
+  return app;
+}
+
+// Start the server when run directly
+if (require.main === module) {
+  // --mock serves scripted replies instead of calling the providers
+  const config = loadConfig(process.argv.includes('--mock') ? { mockProviders: true } : {});
+  const userStore = createUserStore(path.resolve(config.usersFile));
+  const app = createApp(config, userStore);
+
+  if (userStore.countUsers() === 0) {
+    console.warn('No users configured. Add one with: npm run add-user -- <username>');
+  }
+
+  // With mock providers the server is for local development, so it isn't reachable from other machines
+  const host = config.mockProviders ? '127.0.0.1' : undefined;
+
+  app.listen(config.port, host, () => {
+    console.log(`
 =================================================
   AI Chat Agent server running!
   
-  → Access the app at: http://localhost:${PORT}
+  → Access the app at: http://localhost:${config.port}${config.mockProviders ? `
+  → Mock providers on, replies from: ${config.mockFixturesFile}` : ''}
   → Press Ctrl+C to stop the server
 =================================================
   `);
-}); 
\ No newline at end of file
+  });
+}
+
+module.exports = { createApp };
@@ -0,0 +1,105 @@
+/**
+ * Authentication routes
+ * Login, logout and session lookup backed by HttpOnly session cookies
+ */
+
+const express = require('express');
+const { createSessionStore, readCookie } = require('./sessions');
+const { createRateLimiter } = require('./rate-limit');
+
+const SESSION_COOKIE = 'chat_session';
+
+// Failed and successful logins allowed per client address per window
+const LOGIN_WINDOW_MS = 15 * 60 * 1000;
+const LOGIN_MAX_ATTEMPTS = 10;
+
+// Largest login request body; anyone can send one, so it is kept small
+const LOGIN_BODY_LIMIT = '10kb';
+
+/**
+ * Creates the authentication router and middleware
+ * @param {Object} config - The server configuration
+ * @param {Object} userStore - The user store (see users.js)
+ * @returns {{router: express.Router, requireSession: Function}}
+ */
+function createAuth(config, userStore) {
+  const router = express.Router();
+  const ttlMs = config.sessionTtlHours * 60 * 60 * 1000;
+  const sessions = createSessionStore(ttlMs);
+
+  const loginLimiter = createRateLimiter({
+    windowMs: LOGIN_WINDOW_MS,
+    max: LOGIN_MAX_ATTEMPTS,
+    keyFor: req => req.ip,
+    message: 'Too many login attempts, please try again later'
+  });
+
+  /**
+   * Middleware that rejects requests without a valid session
+   * Sets req.user to { username } for authenticated requests
+   */
+  function requireSession(req, res, next) {
+    const session = sessions.get(readCookie(req, SESSION_COOKIE));
+    if (!session) {
+      res.status(401).json({ error: { message: 'Not logged in' } });
+      return;
+    }
+
+    req.user = session;
+    next();
+  }
+
+  /**
+   * Describes a session for the browser
+   * @param {string} username - The logged in user
+   * @returns {Object} - The username, and the largest request body the proxy accepts, so attachments can be sized to fit
+   */
+  function describeSession(username) {
+    return { username, maxRequestBytes: config.maxRequestMb * 1024 * 1024 };
+  }
+
+  router.post('/login', loginLimiter, express.json({ limit: LOGIN_BODY_LIMIT }), async (req, res) => {
+    const { username, password } = req.body || {};
+    if (typeof username !== 'string' || typeof password !== 'string') {
+      res.status(400).json({ error: { message: 'Username and password are required' } });
+      return;
+    }
+
+    try {
+      if (!(await userStore.authenticate(username, password))) {
+        res.status(401).json({ error: { message: 'Invalid username or password' } });
+        return;
+      }
+    } catch (err) {
+      console.error('Error checking credentials:', err);
+      res.status(500).json({ error: { message: 'Could not check credentials' } });
+      return;
+    }
+
+    const token = sessions.create(username);
+    res.cookie(SESSION_COOKIE, token, {
+      httpOnly: true,
+      sameSite: 'strict',
+      secure: req.secure,
+      path: '/',
+      maxAge: ttlMs
+    });
+    res.json(describeSession(username));
+  });
+
+  router.post('/logout', (req, res) => {
+    const token = readCookie(req, SESSION_COOKIE);
+    if (token) sessions.destroy(token);
+
+    res.clearCookie(SESSION_COOKIE, { httpOnly: true, sameSite: 'strict', secure: req.secure, path: '/' });
+    res.status(204).end();
+  });
+
+  router.get('/session', requireSession, (req, res) => {
+    res.json(describeSession(req.user.username));
+  });
+
+  return { router, requireSession };
+}
+
+module.exports = { createAuth };
@@ -0,0 +1,157 @@
+/**
+ * Chat proxy routes
+ * Forwards chat and token counting requests to the upstream providers so API keys never reach the browser
+ */
+
+const express = require('express');
+const { getProvider, isValidModel, sendUpstream } = require('./upstream');
+
+// Upstream response headers passed back to the browser
+const FORWARDED_HEADERS = ['content-type', 'retry-after'];
+
+/**
+ * Sends a JSON error in the same shape the providers use
+ * @param {express.Response} res - The response
+ * @param {number} status - The HTTP status
+ * @param {string} message - The error message
+ */
+function sendError(res, status, message) {
+  res.status(status).json({ error: { message } });
+}
+
+/**
+ * Resolves the provider for a request and checks it can be used
+ * @param {Object} config - The server configuration
+ * @param {express.Response} res - The response, used to report errors
+ * @param {string} providerId - The requested provider
+ * @returns {Object|null} - The provider and its credentials, or null if an error was sent
+ */
+function resolveProvider(config, res, providerId) {
+  const provider = getProvider(providerId);
+  if (!provider) {
+    sendError(res, 400, `Unknown provider: ${providerId}`);
+    return null;
+  }
+
+  const apiKey = config[provider.keyName];
+  if (!apiKey) {
+    sendError(res, 500, `${provider.name} API key is not configured on the server`);
+    return null;
+  }
+
+  return { provider, apiKey, baseUrl: config[provider.baseUrlName] };
+}
+
+/**
+ * Sends a request upstream and pipes the response back
+ * The upstream request is aborted if the browser disconnects first
+ * @param {express.Response} res - The response
+ * @param {Object} target - The upstream request
+ * @param {boolean} stream - Whether the response is an SSE stream
+ */
+async function forward(res, target, stream) {
+  const { request, response } = sendUpstream(target);
+
+  res.on('close', () => {
+    if (!res.writableFinished) request.destroy();
+  });
+
+  try {
+    const upstream = await response;
+
+    // A 401 from the provider is about the server's key; the browser takes 401 to mean its session ended
+    res.status(upstream.statusCode === 401 ? 403 : upstream.statusCode);
+    FORWARDED_HEADERS.forEach(name => {
+      if (upstream.headers[name]) res.set(name, upstream.headers[name]);
+    });
+    if (stream && upstream.statusCode < 400) {
+      res.set('Cache-Control', 'no-cache');
+      res.flushHeaders();
+    }
+
+    // A connection the provider drops is dropped on to the browser, so a stream doesn't hang
+    upstream.on('error', () => res.destroy());
+    upstream.on('aborted', () => res.destroy());
+    upstream.pipe(res);
+  } catch (err) {
+    if (!res.headersSent) {
+      sendError(res, 502, `Upstream request failed: ${err.message}`);
+    }
+  }
+}
+
+/**
+ * Creates the router for the chat proxy API
+ * @param {Object} config - The server configuration
+ * @returns {express.Router} - The router
+ */
+function createChatProxy(config) {
+  const router = express.Router();
+
+  /**
+   * Handles a chat request for either route
+   * @param {boolean} stream - Whether to request a streamed response
+   */
+  const handleChat = stream => (req, res) => {
+    const { provider: providerId, model, payload } = req.body || {};
+
+    const resolved = resolveProvider(config, res, providerId);
+    if (!resolved) return;
+
+    if (!isValidModel(model)) {
+      sendError(res, 400, 'Invalid model');
+      return;
+    }
+
+    const target = resolved.provider.buildChatRequest({
+      baseUrl: resolved.baseUrl,
+      apiKey: resolved.apiKey,
+      model,
+      payload: payload || {},
+      stream
+    });
+
+    forward(res, target, stream);
+  };
+
+  router.post('/chat', handleChat(false));
+  router.post('/chat/stream', handleChat(true));
+
+  // Token counting, for providers with a (free) counting endpoint
+  router.post('/count-tokens', (req, res) => {
+    const { provider: providerId, model, payload } = req.body || {};
+
+    const resolved = resolveProvider(config, res, providerId);
+    if (!resolved) return;
+
+    if (!resolved.provider.buildCountTokensRequest) {
+      sendError(res, 400, `${resolved.provider.name} does not support token counting`);
+      return;
+    }
+
+    if (!isValidModel(model)) {
+      sendError(res, 400, 'Invalid model');
+      return;
+    }
+
+    const target = resolved.provider.buildCountTokensRequest({
+      baseUrl: resolved.baseUrl,
+      apiKey: resolved.apiKey,
+      model,
+      payload: payload || {}
+    });
+
+    forward(res, target, false);
+  });
+
+  router.get('/models', (req, res) => {
+    const resolved = resolveProvider(config, res, req.query.provider);
+    if (!resolved) return;
+
+    forward(res, resolved.provider.buildModelsRequest(resolved), false);
+  });
+
+  return router;
+}
+
+module.exports = { createChatProxy };
@@ -0,0 +1,136 @@
+/**
+ * Server configuration
+ * Reads provider keys and upstream URLs from the environment or a JSON config file
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Default config file location, overridable with CONFIG_FILE
+const DEFAULT_CONFIG_FILE = path.join(__dirname, '..', 'config.json');
+
+// The directory served as static files; nothing private may be kept in it
+const PUBLIC_DIR = path.join(__dirname, '..', 'public');
+
+const DEFAULTS = {
+  port: 3005,
+  openaiApiKey: '',
+  geminiApiKey: '',
+  openaiBaseUrl: 'https://api.openai.com/v1',
+  geminiBaseUrl: 'https://generativelanguage.googleapis.com/v1beta',
+  usersFile: path.join(__dirname, '..', 'data', 'users.json'),
+  sessionTtlHours: 168,
+  rateLimitWindowSeconds: 60,
+  rateLimitMaxRequests: 30,
+  maxRequestMb: 25,
+  mockProviders: false,
+  mockFixturesFile: path.join(__dirname, 'mock-fixtures', 'default.json')
+};
+
+// Environment variables that override config file values
+const ENV_VARS = {
+  port: 'PORT',
+  openaiApiKey: 'OPENAI_API_KEY',
+  geminiApiKey: 'GEMINI_API_KEY',
+  openaiBaseUrl: 'OPENAI_BASE_URL',
+  geminiBaseUrl: 'GEMINI_BASE_URL',
+  usersFile: 'USERS_FILE',
+  sessionTtlHours: 'SESSION_TTL_HOURS',
+  rateLimitWindowSeconds: 'RATE_LIMIT_WINDOW_SECONDS',
+  rateLimitMaxRequests: 'RATE_LIMIT_MAX_REQUESTS',
+  maxRequestMb: 'MAX_REQUEST_MB',
+  mockProviders: 'MOCK_PROVIDERS',
+  mockFixturesFile: 'MOCK_FIXTURES_FILE'
+};
+
+// Settings that are numbers even when read from the environment
+const NUMERIC_SETTINGS = ['port', 'sessionTtlHours', 'rateLimitWindowSeconds', 'rateLimitMaxRequests', 'maxRequestMb'];
+
+// Settings that are on or off; the environment sets them with 'true' or '1'
+const BOOLEAN_SETTINGS = ['mockProviders'];
+
+/**
+ * Reads the JSON config file if it exists
+ * @param {string} filePath - Path to the config file
+ * @returns {Object} - The parsed config, or an empty object
+ */
+function readConfigFile(filePath) {
+  if (!fs.existsSync(filePath)) return {};
+
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (err) {
+    throw new Error(`Invalid config file ${filePath}: ${err.message}`);
+  }
+}
+
+/**
+ * Reads config values from the environment
+ * @param {Object} env - The environment (process.env)
+ * @returns {Object} - The values that are set
+ */
+function readEnvironment(env) {
+  const values = {};
+  Object.keys(ENV_VARS).forEach(key => {
+    const value = env[ENV_VARS[key]];
+    if (value !== undefined && value !== '') {
+      values[key] = value;
+    }
+  });
+  return values;
+}
+
+/**
+ * Checks whether a path is inside a directory
+ * @param {string} filePath - The path
+ * @param {string} dir - The directory
+ * @returns {boolean} - Whether the path is the directory or inside it
+ */
+function isInside(filePath, dir) {
+  const relative = path.relative(dir, path.resolve(filePath));
+  return !relative.startsWith('..') && !path.isAbsolute(relative);
+}
+
+/**
+ * Loads the server configuration
+ * Precedence: overrides, then environment, then config file, then defaults
+ * @param {Object} [overrides] - Values that take precedence over everything else
+ * @param {Object} [env] - The environment to read (defaults to process.env)
+ * @returns {Object} - The resolved configuration
+ */
+function loadConfig(overrides = {}, env = process.env) {
+  const filePath = env.CONFIG_FILE || DEFAULT_CONFIG_FILE;
+  const config = {
+    ...DEFAULTS,
+    ...readConfigFile(filePath),
+    ...readEnvironment(env),
+    ...overrides
+  };
+
+  // Upstream base URLs are joined with paths, so drop trailing slashes
+  config.openaiBaseUrl = config.openaiBaseUrl.replace(/\/+$/, '');
+  config.geminiBaseUrl = config.geminiBaseUrl.replace(/\/+$/, '');
+  NUMERIC_SETTINGS.forEach(key => {
+    config[key] = Number(config[key]);
+  });
+  BOOLEAN_SETTINGS.forEach(key => {
+    config[key] = config[key] === true || config[key] === 'true' || config[key] === '1';
+  });
+
+  // The users file holds password hashes, so it must never be served
+  if (isInside(config.usersFile, PUBLIC_DIR)) {
+    throw new Error(`The users file ${config.usersFile} is inside ${PUBLIC_DIR}, which is served to everyone; move it elsewhere`);
+  }
+
+  // The mock providers are served by this server, in place of the real APIs and their keys
+  if (config.mockProviders) {
+    config.openaiBaseUrl = `http://127.0.0.1:${config.port}/mock/openai/v1`;
+    config.geminiBaseUrl = `http://127.0.0.1:${config.port}/mock/gemini/v1beta`;
+    config.openaiApiKey = 'mock';
+    config.geminiApiKey = 'mock';
+  }
+
+  return config;
+}
+
+module.exports = { loadConfig, PUBLIC_DIR };
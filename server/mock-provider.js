@@ -0,0 +1,581 @@
+/**
+ * Mock provider routes
+ * Serve the OpenAI Chat Completions and Gemini generateContent APIs from scripted fixtures,
+ * so the app can be developed and demonstrated with no network or API keys
+ */
+
+const express = require('express');
+const fs = require('fs');
+const path = require('path');
+
+// Models listed when the fixture file doesn't list its own
+const DEFAULT_MODELS = {
+  openai: ['gpt-4.1-mini', 'gpt-4.1-nano'],
+  gemini: [{ id: 'gemini-2.0-flash', name: 'Gemini 2.0 Flash', contextWindow: 1048576 }]
+};
+
+// Addresses of this machine, the only callers the mock providers answer (the chat proxy calls them over loopback)
+const LOOPBACK_ADDRESSES = ['127.0.0.1', '::1', '::ffff:127.0.0.1'];
+
+// Rough characters per token, for the reported usage
+const CHARS_PER_TOKEN = 4;
+
+// Wire format of each injectable error type
+const ERRORS = {
+  rate_limit: {
+    status: 429,
+    openai: { type: 'requests', code: 'rate_limit_exceeded' },
+    gemini: 'RESOURCE_EXHAUSTED',
+    message: 'Rate limit reached for requests. Please try again later.'
+  },
+  quota: {
+    status: 429,
+    openai: { type: 'insufficient_quota', code: 'insufficient_quota' },
+    gemini: 'RESOURCE_EXHAUSTED',
+    message: 'You exceeded your current quota, please check your plan and billing details.'
+  },
+  auth: {
+    status: 401,
+    openai: { type: 'invalid_request_error', code: 'invalid_api_key' },
+    gemini: 'UNAUTHENTICATED',
+    message: 'Incorrect API key provided.'
+  },
+  context_length: {
+    status: 400,
+    openai: { type: 'invalid_request_error', code: 'context_length_exceeded' },
+    gemini: 'INVALID_ARGUMENT',
+    message: 'The input exceeds the context length of this model.'
+  },
+  invalid_request: {
+    status: 400,
+    openai: { type: 'invalid_request_error', code: null },
+    gemini: 'INVALID_ARGUMENT',
+    message: 'Invalid request.'
+  },
+  server: {
+    status: 503,
+    openai: { type: 'server_error', code: null },
+    gemini: 'UNAVAILABLE',
+    message: 'The model is overloaded. Please try again later.'
+  }
+};
+
+/**
+ * Reads and checks a fixture file
+ * @param {string} filePath - Path to the fixture file
+ * @returns {Object} - The fixtures ({ models, defaults, responses })
+ */
+function loadFixtures(filePath) {
+  let fixtures;
+  try {
+    fixtures = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (err) {
+    throw new Error(`Invalid mock fixture file ${filePath}: ${err.message}`);
+  }
+  if (!Array.isArray(fixtures.responses)) {
+    throw new Error(`Invalid mock fixture file ${filePath}: "responses" must be a list`);
+  }
+
+  return {
+    models: { ...DEFAULT_MODELS, ...fixtures.models },
+    defaults: { latencyMs: 0, chunkDelayMs: 0, ...fixtures.defaults },
+    responses: fixtures.responses
+  };
+}
+
+/**
+ * Checks whether a fixture response applies to a request
+ * @param {Object} response - The fixture response
+ * @param {string} model - The requested model
+ * @param {string} text - The last user message
+ * @returns {boolean} - Whether the response matches
+ */
+function matches(response, model, text) {
+  if (response.models && !response.models.includes(model)) return false;
+  if (!response.match) return true;
+
+  // "/pattern/flags" is a regular expression; anything else a case-insensitive substring
+  const regex = response.match.match(/^\/(.*)\/([a-z]*)$/);
+  return regex ? new RegExp(regex[1], regex[2]).test(text) : text.toLowerCase().includes(response.match.toLowerCase());
+}
+
+/**
+ * Estimates the tokens of a text the way the mock reports usage
+ * @param {string} text - The text
+ * @returns {number} - The token count
+ */
+function countTokens(text) {
+  return Math.ceil(text.length / CHARS_PER_TOKEN);
+}
+
+/**
+ * Splits a reply into the chunks it is streamed in, one word each
+ * @param {string} text - The reply
+ * @returns {Array<string>} - The chunks
+ */
+function toChunks(text) {
+  return text.match(/\s*\S+\s*/g) || [];
+}
+
+/**
+ * Waits for a scripted delay
+ * @param {number} ms - The wait in milliseconds
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+  return ms > 0 ? new Promise(resolve => setTimeout(resolve, ms)) : Promise.resolve();
+}
+
+/**
+ * Creates the scripted reply to a request
+ * @param {Object} fixtures - The loaded fixtures
+ * @param {Map} uses - How many times each limited fixture response has been used
+ * @param {Object} request - The request ({ model, text, prompt, afterTool, hasTools })
+ * @returns {Object} - The reply ({ text, reasoning, toolCalls, usage, error, afterChunks, latencyMs, chunkDelayMs })
+ */
+function createReply(fixtures, uses, request) {
+  const index = fixtures.responses.findIndex((response, i) =>
+    matches(response, request.model, request.text) &&
+    (!response.times || (uses.get(i) || 0) < response.times));
+  const response = index === -1 ? {} : fixtures.responses[index];
+  if (response.times) uses.set(index, (uses.get(index) || 0) + 1);
+
+  // A scripted tool call is made once; the reply to its result is the response text
+  const toolCalls = response.toolCalls && request.hasTools && !request.afterTool ? response.toolCalls : [];
+  const text = toolCalls.length > 0 ? '' : response.text ?? `Mock reply from ${request.model}: "${request.text}"`;
+  const reasoning = response.reasoning || '';
+  const usage = {
+    promptTokens: countTokens(request.prompt),
+    completionTokens: countTokens(text + reasoning + JSON.stringify(toolCalls)),
+    reasoningTokens: countTokens(reasoning),
+    ...response.usage
+  };
+
+  return {
+    text,
+    reasoning,
+    toolCalls,
+    usage,
+    error: response.error || null,
+    afterChunks: response.afterChunks ?? null,
+    latencyMs: response.latencyMs ?? fixtures.defaults.latencyMs,
+    chunkDelayMs: response.chunkDelayMs ?? fixtures.defaults.chunkDelayMs
+  };
+}
+
+/**
+ * Gets the text of a message's content in either wire format
+ * @param {string|Array} content - OpenAI content, or Gemini parts
+ * @returns {string} - The text parts joined
+ */
+function getText(content) {
+  if (typeof content === 'string') return content;
+  return (content || []).map(part => (typeof part.text === 'string' ? part.text : '')).join('');
+}
+
+/**
+ * Writes one server-sent event
+ * @param {express.Response} res - The response
+ * @param {Object|string} data - The event data; objects are sent as JSON
+ */
+function writeEvent(res, data) {
+  res.write(`data: ${typeof data === 'string' ? data : JSON.stringify(data)}\n\n`);
+}
+
+/**
+ * Starts a server-sent event stream
+ * @param {express.Response} res - The response
+ */
+function startStream(res) {
+  res.status(200);
+  res.set({ 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache' });
+  res.flushHeaders();
+}
+
+/**
+ * Gets the wire format of an injected error
+ * @param {Object} error - The fixture error ({ type, message, retryAfterSeconds })
+ * @returns {Object} - The error definition merged with the fixture's message
+ */
+function describeError(error) {
+  const definition = ERRORS[error.type] || ERRORS.server;
+  return { ...definition, message: error.message || definition.message };
+}
+
+/**
+ * Creates the OpenAI Chat Completions routes
+ * @param {Object} fixtures - The loaded fixtures
+ * @param {Map} uses - Use counts of the fixture responses
+ * @returns {express.Router} - The router
+ */
+function createOpenAIRoutes(fixtures, uses) {
+  const router = express.Router();
+  let nextId = 1;
+
+  /**
+   * Sends an injected error as an OpenAI error response
+   * @param {express.Response} res - The response
+   * @param {Object} error - The fixture error
+   */
+  function sendError(res, error) {
+    const definition = describeError(error);
+    if (error.retryAfterSeconds !== undefined) res.set('Retry-After', String(error.retryAfterSeconds));
+    res.status(definition.status).json({
+      error: { message: definition.message, type: definition.openai.type, code: definition.openai.code }
+    });
+  }
+
+  /**
+   * Converts a reply's usage to the OpenAI shape
+   * @param {Object} usage - The reply's usage
+   * @returns {Object} - The usage object
+   */
+  function toUsage(usage) {
+    return {
+      prompt_tokens: usage.promptTokens,
+      completion_tokens: usage.completionTokens,
+      total_tokens: usage.promptTokens + usage.completionTokens,
+      completion_tokens_details: { reasoning_tokens: usage.reasoningTokens }
+    };
+  }
+
+  /**
+   * Converts scripted tool calls to tool_calls
+   * @param {Array} toolCalls - The calls ({ name, arguments })
+   * @param {string} id - The completion ID, used for the call IDs
+   * @returns {Array} - The tool_calls
+   */
+  function toToolCalls(toolCalls, id) {
+    return toolCalls.map((call, index) => ({
+      index,
+      id: `call_${id}_${index}`,
+      type: 'function',
+      function: { name: call.name, arguments: JSON.stringify(call.arguments || {}) }
+    }));
+  }
+
+  router.get('/models', (req, res) => {
+    res.json({
+      object: 'list',
+      data: fixtures.models.openai.map(id => ({ id, object: 'model', created: 0, owned_by: 'mock' }))
+    });
+  });
+
+  router.post('/chat/completions', async (req, res) => {
+    const body = req.body || {};
+    const messages = Array.isArray(body.messages) ? body.messages : [];
+    const lastUser = [...messages].reverse().find(message => message.role === 'user');
+    const reply = createReply(fixtures, uses, {
+      model: body.model,
+      text: lastUser ? getText(lastUser.content) : '',
+      prompt: messages.map(message => getText(message.content)).join('\n'),
+      afterTool: messages.length > 0 && messages[messages.length - 1].role === 'tool',
+      hasTools: Array.isArray(body.tools) && body.tools.length > 0
+    });
+
+    let closed = false;
+    res.on('close', () => { closed = true; });
+
+    await sleep(reply.latencyMs);
+    if (closed) return;
+
+    // Errors are sent before any reply, unless they are scripted to cut into the stream;
+    // a streamed reply is blocked in the stream, as by the real API
+    const error = reply.error;
+    const cutAt = error && body.stream && (reply.afterChunks !== null || error.type === 'safety') ? reply.afterChunks || 0 : null;
+    if (error && cutAt === null) {
+      if (error.type === 'network') {
+        res.destroy();
+      } else if (error.type === 'safety') {
+        res.json({
+          id: `chatcmpl-mock-${nextId++}`,
+          object: 'chat.completion',
+          created: Math.floor(Date.now() / 1000),
+          model: body.model,
+          choices: [{ index: 0, message: { role: 'assistant', content: null }, finish_reason: 'content_filter' }],
+          usage: toUsage({ ...reply.usage, completionTokens: 0 })
+        });
+      } else {
+        sendError(res, error);
+      }
+      return;
+    }
+
+    const id = `chatcmpl-mock-${nextId++}`;
+    const created = Math.floor(Date.now() / 1000);
+    const finishReason = reply.toolCalls.length > 0 ? 'tool_calls' : 'stop';
+
+    if (!body.stream) {
+      const message = { role: 'assistant', content: reply.text || null };
+      if (reply.reasoning) message.reasoning_content = reply.reasoning;
+      if (reply.toolCalls.length > 0) {
+        message.tool_calls = toToolCalls(reply.toolCalls, id).map(({ index, ...call }) => call);
+      }
+      res.json({
+        id,
+        object: 'chat.completion',
+        created,
+        model: body.model,
+        choices: [{ index: 0, message, finish_reason: finishReason }],
+        usage: toUsage(reply.usage)
+      });
+      return;
+    }
+
+    const chunk = (delta, finish = null) => ({
+      id,
+      object: 'chat.completion.chunk',
+      created,
+      model: body.model,
+      choices: [{ index: 0, delta, finish_reason: finish }]
+    });
+    const deltas = [
+      ...toChunks(reply.reasoning).map(text => ({ reasoning_content: text })),
+      ...toChunks(reply.text).map(text => ({ content: text })),
+      ...toToolCalls(reply.toolCalls, id).map(call => ({ tool_calls: [call] }))
+    ];
+
+    startStream(res);
+    writeEvent(res, chunk({ role: 'assistant', content: '' }));
+    for (let i = 0; i < deltas.length; i++) {
+      if (i === cutAt) break;
+      await sleep(reply.chunkDelayMs);
+      if (closed) return;
+      writeEvent(res, chunk(deltas[i]));
+    }
+
+    if (error) {
+      if (error.type === 'network') {
+        res.destroy();
+      } else if (error.type === 'safety') {
+        writeEvent(res, chunk({}, 'content_filter'));
+        writeEvent(res, '[DONE]');
+        res.end();
+      } else {
+        const definition = describeError(error);
+        writeEvent(res, { error: { message: definition.message, type: definition.openai.type, code: definition.openai.code } });
+        res.end();
+      }
+      return;
+    }
+
+    writeEvent(res, chunk({}, finishReason));
+    if (body.stream_options && body.stream_options.include_usage) {
+      writeEvent(res, { id, object: 'chat.completion.chunk', created, model: body.model, choices: [], usage: toUsage(reply.usage) });
+    }
+    writeEvent(res, '[DONE]');
+    res.end();
+  });
+
+  return router;
+}
+
+/**
+ * Creates the Gemini generateContent routes
+ * @param {Object} fixtures - The loaded fixtures
+ * @param {Map} uses - Use counts of the fixture responses
+ * @returns {express.Router} - The router
+ */
+function createGeminiRoutes(fixtures, uses) {
+  const router = express.Router();
+
+  /**
+   * Sends an injected error as a Gemini error response
+   * @param {express.Response} res - The response
+   * @param {Object} error - The fixture error
+   */
+  function sendError(res, error) {
+    const definition = describeError(error);
+    const details = error.retryAfterSeconds === undefined ? [] : [{
+      '@type': 'type.googleapis.com/google.rpc.RetryInfo',
+      retryDelay: `${error.retryAfterSeconds}s`
+    }];
+    res.status(definition.status).json({
+      error: { code: definition.status, message: definition.message, status: definition.gemini, details }
+    });
+  }
+
+  /**
+   * Converts a reply's usage to Gemini usage metadata
+   * @param {Object} usage - The reply's usage
+   * @returns {Object} - The usageMetadata
+   */
+  function toUsageMetadata(usage) {
+    const candidates = usage.completionTokens - usage.reasoningTokens;
+    return {
+      promptTokenCount: usage.promptTokens,
+      candidatesTokenCount: candidates,
+      ...(usage.reasoningTokens ? { thoughtsTokenCount: usage.reasoningTokens } : {}),
+      totalTokenCount: usage.promptTokens + usage.completionTokens
+    };
+  }
+
+  /**
+   * Reads the parts of a request body the mock replies to
+   * @param {string} model - The requested model
+   * @param {Object} body - The generateContent request body
+   * @returns {Object} - The request for createReply
+   */
+  function readRequest(model, body) {
+    const contents = Array.isArray(body.contents) ? body.contents : [];
+    const textOf = content => getText(content.parts);
+    const lastUser = [...contents].reverse().find(content => content.role === 'user' && textOf(content));
+    const last = contents[contents.length - 1];
+    return {
+      model,
+      text: lastUser ? textOf(lastUser) : '',
+      prompt: [getText(body.systemInstruction && body.systemInstruction.parts), ...contents.map(textOf)].join('\n'),
+      afterTool: Boolean(last && (last.parts || []).some(part => part.functionResponse)),
+      hasTools: Array.isArray(body.tools) && body.tools.length > 0
+    };
+  }
+
+  router.get('/models', (req, res) => {
+    res.json({
+      models: fixtures.models.gemini.map(model => ({
+        name: `models/${model.id}`,
+        displayName: model.name || model.id,
+        inputTokenLimit: model.contextWindow || 1048576,
+        outputTokenLimit: 8192,
+        supportedGenerationMethods: ['generateContent', 'countTokens']
+      }))
+    });
+  });
+
+  // Model actions are addressed as models/<model>:<action>
+  router.post('/models/:target', async (req, res) => {
+    const [model, action] = req.params.target.split(':');
+    const body = req.body || {};
+
+    if (action === 'countTokens') {
+      res.json({ totalTokens: countTokens(readRequest(model, body).prompt) });
+      return;
+    }
+    if (action !== 'generateContent' && action !== 'streamGenerateContent') {
+      res.status(404).json({ error: { code: 404, message: `Unknown action: ${action}`, status: 'NOT_FOUND' } });
+      return;
+    }
+
+    const stream = action === 'streamGenerateContent';
+    const reply = createReply(fixtures, uses, readRequest(model, body));
+    const includeThoughts = Boolean(body.generationConfig?.thinkingConfig?.includeThoughts);
+
+    let closed = false;
+    res.on('close', () => { closed = true; });
+
+    await sleep(reply.latencyMs);
+    if (closed) return;
+
+    // Errors are sent before any reply, unless they are scripted to cut into the stream
+    const error = reply.error;
+    const cutAt = error && stream ? reply.afterChunks : null;
+    if (error && cutAt === null) {
+      if (error.type === 'network') {
+        res.destroy();
+      } else if (error.type === 'safety') {
+        const blocked = {
+          promptFeedback: { blockReason: 'SAFETY' },
+          usageMetadata: toUsageMetadata({ ...reply.usage, completionTokens: 0, reasoningTokens: 0 })
+        };
+        if (stream) {
+          startStream(res);
+          writeEvent(res, blocked);
+          res.end();
+        } else {
+          res.json(blocked);
+        }
+      } else {
+        sendError(res, error);
+      }
+      return;
+    }
+
+    const parts = [
+      ...(includeThoughts ? toChunks(reply.reasoning).map(text => ({ text, thought: true })) : []),
+      ...toChunks(reply.text).map(text => ({ text })),
+      ...reply.toolCalls.map(call => ({ functionCall: { name: call.name, args: call.arguments || {} } }))
+    ];
+    const candidate = (candidateParts, finishReason) => ({
+      content: { role: 'model', parts: candidateParts },
+      ...(finishReason ? { finishReason } : {}),
+      index: 0
+    });
+
+    if (!stream) {
+      // Whole replies come as one text part, as from the real API
+      const merged = [
+        ...(includeThoughts && reply.reasoning ? [{ text: reply.reasoning, thought: true }] : []),
+        ...(reply.text ? [{ text: reply.text }] : []),
+        ...parts.filter(part => part.functionCall)
+      ];
+      res.json({
+        candidates: [candidate(merged, 'STOP')],
+        usageMetadata: toUsageMetadata(reply.usage),
+        modelVersion: model
+      });
+      return;
+    }
+
+    startStream(res);
+    for (let i = 0; i < parts.length; i++) {
+      if (i === cutAt) break;
+      await sleep(reply.chunkDelayMs);
+      if (closed) return;
+      writeEvent(res, { candidates: [candidate([parts[i]])], modelVersion: model });
+    }
+
+    if (error) {
+      if (error.type === 'network') {
+        res.destroy();
+      } else if (error.type === 'safety') {
+        writeEvent(res, { candidates: [candidate([], 'SAFETY')], usageMetadata: toUsageMetadata(reply.usage), modelVersion: model });
+        res.end();
+      } else {
+        const definition = describeError(error);
+        writeEvent(res, { error: { code: definition.status, message: definition.message, status: definition.gemini } });
+        res.end();
+      }
+      return;
+    }
+
+    // The last chunk has the finish reason and the usage for the whole request
+    writeEvent(res, { candidates: [candidate([{ text: '' }], 'STOP')], usageMetadata: toUsageMetadata(reply.usage), modelVersion: model });
+    res.end();
+  });
+
+  return router;
+}
+
+/**
+ * Answers only requests from this machine; the routes are hidden from everyone else, signed in or not
+ * @param {express.Request} req - The request
+ * @param {express.Response} res - The response
+ * @param {Function} next - Passes the request on
+ */
+function onlyFromThisMachine(req, res, next) {
+  if (LOOPBACK_ADDRESSES.includes(req.socket.remoteAddress)) {
+    return next();
+  }
+  res.sendStatus(404);
+}
+
+/**
+ * Creates the router for the mock provider APIs
+ * OpenAI is served under /openai/v1 and Gemini under /gemini/v1beta, the same paths as the real APIs
+ * @param {Object} config - The server configuration
+ * @returns {express.Router} - The router
+ */
+function createMockProvider(config) {
+  const fixtures = loadFixtures(path.resolve(config.mockFixturesFile));
+  const uses = new Map();
+  const router = express.Router();
+
+  router.use(onlyFromThisMachine);
+  router.use(express.json({ limit: `${config.maxRequestMb}mb` }));
+  router.use('/openai/v1', createOpenAIRoutes(fixtures, uses));
+  router.use('/gemini/v1beta', createGeminiRoutes(fixtures, uses));
+
+  return router;
+}
+
+module.exports = { createMockProvider };
@@ -0,0 +1,46 @@
+/**
+ * Rate limiting
+ * Fixed-window request counters keyed per user (or per client address)
+ */
+
+/**
+ * Creates rate limiting middleware
+ * @param {Object} options - Limiter options
+ * @param {number} options.windowMs - Length of a window
+ * @param {number} options.max - Requests allowed per window
+ * @param {Function} options.keyFor - Returns the counter key for a request
+ * @param {string} [options.message] - Error message for limited requests
+ * @returns {Function} - Express middleware
+ */
+function createRateLimiter({ windowMs, max, keyFor, message = 'Too many requests, please slow down' }) {
+  const counters = new Map();
+
+  setInterval(() => {
+    const now = Date.now();
+    counters.forEach((counter, key) => {
+      if (counter.resetAt <= now) counters.delete(key);
+    });
+  }, windowMs).unref();
+
+  return (req, res, next) => {
+    const key = keyFor(req);
+    const now = Date.now();
+    let counter = counters.get(key);
+
+    if (!counter || counter.resetAt <= now) {
+      counter = { count: 0, resetAt: now + windowMs };
+      counters.set(key, counter);
+    }
+
+    counter.count += 1;
+    if (counter.count <= max) {
+      next();
+      return;
+    }
+
+    res.set('Retry-After', String(Math.ceil((counter.resetAt - now) / 1000)));
+    res.status(429).json({ error: { message } });
+  };
+}
+
+module.exports = { createRateLimiter };
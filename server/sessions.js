@@ -0,0 +1,96 @@
+/**
+ * Session store
+ * In-memory login sessions identified by random tokens
+ */
+
+const crypto = require('crypto');
+
+// How often expired sessions are swept from memory
+const SWEEP_INTERVAL_MS = 10 * 60 * 1000;
+
+/**
+ * Creates a session store
+ * @param {number} ttlMs - How long a session lives without activity
+ * @returns {Object} - The session store
+ */
+function createSessionStore(ttlMs) {
+  const sessions = new Map();
+
+  /**
+   * Creates a session for a user
+   * @param {string} username - The logged in user
+   * @returns {string} - The session token
+   */
+  function create(username) {
+    const token = crypto.randomBytes(32).toString('hex');
+    sessions.set(token, { username, expiresAt: Date.now() + ttlMs });
+    return token;
+  }
+
+  /**
+   * Gets a live session and extends its lifetime
+   * @param {string} token - The session token
+   * @returns {Object|null} - The session ({ username }) or null if missing or expired
+   */
+  function get(token) {
+    const session = token ? sessions.get(token) : null;
+    if (!session) return null;
+
+    if (session.expiresAt <= Date.now()) {
+      sessions.delete(token);
+      return null;
+    }
+
+    session.expiresAt = Date.now() + ttlMs;
+    return { username: session.username };
+  }
+
+  /**
+   * Ends a session
+   * @param {string} token - The session token
+   */
+  function destroy(token) {
+    sessions.delete(token);
+  }
+
+  /**
+   * Removes expired sessions
+   */
+  function sweep() {
+    const now = Date.now();
+    sessions.forEach((session, token) => {
+      if (session.expiresAt <= now) sessions.delete(token);
+    });
+  }
+
+  setInterval(sweep, SWEEP_INTERVAL_MS).unref();
+
+  return { create, get, destroy };
+}
+
+/**
+ * Reads a cookie from a request
+ * @param {Object} req - The request
+ * @param {string} name - The cookie name
+ * @returns {string|null} - The cookie value or null if not set or malformed
+ */
+function readCookie(req, name) {
+  const header = req.headers.cookie || '';
+  for (const part of header.split(';')) {
+    const index = part.indexOf('=');
+    if (index !== -1 && part.slice(0, index).trim() === name) {
+      try {
+        return decodeURIComponent(part.slice(index + 1).trim());
+      } catch (err) {
+        // A value that isn't valid percent-encoding can't be one of our tokens
+        return null;
+      }
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  createSessionStore,
+  readCookie
+};
@@ -0,0 +1,120 @@
+/**
+ * Upstream provider definitions
+ * Builds requests to the OpenAI and Gemini APIs and sends them with the server-side keys
+ */
+
+const http = require('http');
+const https = require('https');
+
+// Model IDs are used in upstream URL paths, so only allow plain identifiers
+const MODEL_ID_PATTERN = /^[A-Za-z0-9._-]+$/;
+
+const PROVIDERS = {
+  openai: {
+    name: 'OpenAI',
+    keyName: 'openaiApiKey',
+    baseUrlName: 'openaiBaseUrl',
+
+    buildChatRequest({ baseUrl, apiKey, model, payload, stream }) {
+      return {
+        method: 'POST',
+        url: `${baseUrl}/chat/completions`,
+        headers: { 'Authorization': `Bearer ${apiKey}` },
+        body: { ...payload, model, stream }
+      };
+    },
+
+    buildModelsRequest({ baseUrl, apiKey }) {
+      return {
+        method: 'GET',
+        url: `${baseUrl}/models`,
+        headers: { 'Authorization': `Bearer ${apiKey}` }
+      };
+    }
+  },
+
+  gemini: {
+    name: 'Gemini',
+    keyName: 'geminiApiKey',
+    baseUrlName: 'geminiBaseUrl',
+
+    buildChatRequest({ baseUrl, apiKey, model, payload, stream }) {
+      const action = stream ? 'streamGenerateContent?alt=sse' : 'generateContent';
+      return {
+        method: 'POST',
+        url: `${baseUrl}/models/${model}:${action}`,
+        headers: { 'x-goog-api-key': apiKey },
+        body: payload
+      };
+    },
+
+    buildCountTokensRequest({ baseUrl, apiKey, model, payload }) {
+      return {
+        method: 'POST',
+        url: `${baseUrl}/models/${model}:countTokens`,
+        headers: { 'x-goog-api-key': apiKey },
+        body: payload
+      };
+    },
+
+    buildModelsRequest({ baseUrl, apiKey }) {
+      return {
+        method: 'GET',
+        url: `${baseUrl}/models?pageSize=1000`,
+        headers: { 'x-goog-api-key': apiKey }
+      };
+    }
+  }
+};
+
+/**
+ * Gets a provider definition by ID
+ * @param {string} id - The provider ID
+ * @returns {Object|null} - The provider definition or null if unknown
+ */
+function getProvider(id) {
+  return Object.prototype.hasOwnProperty.call(PROVIDERS, id) ? PROVIDERS[id] : null;
+}
+
+/**
+ * Checks that a model ID is safe to put in an upstream URL
+ * @param {string} model - The model ID
+ * @returns {boolean} - Whether the model ID is valid
+ */
+function isValidModel(model) {
+  return typeof model === 'string' && MODEL_ID_PATTERN.test(model);
+}
+
+/**
+ * Sends a request upstream
+ * @param {Object} target - The request (method, url, headers, body)
+ * @returns {{request: http.ClientRequest, response: Promise<http.IncomingMessage>}}
+ *   The outgoing request (so it can be aborted) and a promise for the response
+ */
+function sendUpstream(target) {
+  const url = new URL(target.url);
+  const transport = url.protocol === 'http:' ? http : https;
+  const body = target.body === undefined ? null : JSON.stringify(target.body);
+  const headers = { ...target.headers };
+
+  if (body !== null) {
+    headers['Content-Type'] = 'application/json';
+    headers['Content-Length'] = Buffer.byteLength(body);
+  }
+
+  let request;
+  const response = new Promise((resolve, reject) => {
+    request = transport.request(url, { method: target.method, headers }, resolve);
+    request.on('error', reject);
+  });
+
+  request.end(body === null ? undefined : body);
+
+  return { request, response };
+}
+
+module.exports = {
+  getProvider,
+  isValidModel,
+  sendUpstream
+};
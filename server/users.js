@@ -0,0 +1,165 @@
+/**
+ * User store
+ * Keeps user accounts with scrypt-hashed passwords in a JSON file
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// scrypt parameters stored with each hash so they can be raised later
+const SCRYPT_COST = 16384;
+const SCRYPT_BLOCK_SIZE = 8;
+const SCRYPT_PARALLELIZATION = 1;
+const KEY_LENGTH = 64;
+const SALT_BYTES = 16;
+
+const USERNAME_PATTERN = /^[A-Za-z0-9._-]{1,64}$/;
+
+// Hash checked for unknown usernames so response times don't reveal which names exist
+let dummyHashPromise = null;
+
+/**
+ * Derives a key with scrypt
+ * @param {string} password - The password
+ * @param {Buffer} salt - The salt
+ * @param {Object} params - The scrypt parameters (N, r, p)
+ * @returns {Promise<Buffer>} - The derived key
+ */
+function deriveKey(password, salt, params) {
+  return new Promise((resolve, reject) => {
+    crypto.scrypt(password, salt, KEY_LENGTH, params, (err, key) => {
+      if (err) reject(err);
+      else resolve(key);
+    });
+  });
+}
+
+/**
+ * Hashes a password
+ * @param {string} password - The password
+ * @returns {Promise<string>} - The hash as "scrypt$N$r$p$salt$key"
+ */
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(SALT_BYTES);
+  const params = { N: SCRYPT_COST, r: SCRYPT_BLOCK_SIZE, p: SCRYPT_PARALLELIZATION };
+  const key = await deriveKey(password, salt, params);
+  return ['scrypt', params.N, params.r, params.p, salt.toString('base64'), key.toString('base64')].join('$');
+}
+
+/**
+ * Checks a password against a stored hash in constant time
+ * @param {string} password - The password to check
+ * @param {string} storedHash - The hash from hashPassword
+ * @returns {Promise<boolean>} - Whether the password matches
+ */
+async function verifyPassword(password, storedHash) {
+  const [scheme, N, r, p, salt, key] = String(storedHash).split('$');
+  if (scheme !== 'scrypt' || !salt || !key) return false;
+
+  const expected = Buffer.from(key, 'base64');
+  const actual = await deriveKey(password, Buffer.from(salt, 'base64'), {
+    N: Number(N), r: Number(r), p: Number(p)
+  });
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+/**
+ * Creates a user store backed by a JSON file
+ * @param {string} filePath - Path to the users file
+ * @returns {Object} - The user store
+ */
+function createUserStore(filePath) {
+  /**
+   * Reads all users from the file
+   * @returns {Array} - Users as { username, passwordHash }
+   */
+  function readUsers() {
+    if (!fs.existsSync(filePath)) return [];
+    const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    return Array.isArray(data.users) ? data.users : [];
+  }
+
+  /**
+   * Writes all users to the file
+   * @param {Array} users - The users to store
+   */
+  function writeUsers(users) {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, JSON.stringify({ users }, null, 2) + '\n', { mode: 0o600 });
+  }
+
+  /**
+   * Checks a username and password
+   * @param {string} username - The username
+   * @param {string} password - The password
+   * @returns {Promise<boolean>} - Whether the credentials are valid
+   */
+  async function authenticate(username, password) {
+    const user = readUsers().find(item => item.username === username);
+
+    if (!user) {
+      dummyHashPromise = dummyHashPromise || hashPassword(crypto.randomBytes(16).toString('hex'));
+      await verifyPassword(String(password), await dummyHashPromise);
+      return false;
+    }
+
+    return verifyPassword(String(password), user.passwordHash);
+  }
+
+  /**
+   * Creates a user or changes an existing user's password
+   * @param {string} username - The username
+   * @param {string} password - The new password
+   * @returns {Promise<boolean>} - True if the user was created, false if updated
+   */
+  async function setPassword(username, password) {
+    if (!USERNAME_PATTERN.test(username)) {
+      throw new Error('Usernames may only contain letters, digits, ".", "_" and "-"');
+    }
+    if (!password || password.length < 8) {
+      throw new Error('Passwords must be at least 8 characters long');
+    }
+
+    const users = readUsers();
+    const passwordHash = await hashPassword(password);
+    const existing = users.find(item => item.username === username);
+
+    if (existing) {
+      existing.passwordHash = passwordHash;
+    } else {
+      users.push({ username, passwordHash });
+    }
+
+    writeUsers(users);
+    return !existing;
+  }
+
+  /**
+   * Removes a user
+   * @param {string} username - The username
+   * @returns {boolean} - Whether the user existed
+   */
+  function removeUser(username) {
+    const users = readUsers();
+    const remaining = users.filter(item => item.username !== username);
+    writeUsers(remaining);
+    return remaining.length !== users.length;
+  }
+
+  /**
+   * Counts the configured users
+   * @returns {number} - The number of users
+   */
+  function countUsers() {
+    return readUsers().length;
+  }
+
+  return { authenticate, setPassword, removeUser, countUsers };
+}
+
+module.exports = {
+  hashPassword,
+  verifyPassword,
+  createUserStore
+};
@@ -0,0 +1,145 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { loadBrowserModules } = require('./helpers/browser-modules');
+
+const { ConversationExport } = loadBrowserModules(['utils.js', 'generation-params.js', 'conversation-export.js'],
+  { window: { crypto } });
+
+/**
+ * Creates a message tree node
+ * @param {string} id - The node ID
+ * @param {string|null} parentId - The parent's ID
+ * @param {Array<string>} [childIds] - The children's IDs
+ * @returns {Object} - The node
+ */
+function node(id, parentId, childIds = []) {
+  return {
+    id,
+    parentId,
+    role: parentId === null || parentId === 'a2' ? 'user' : 'assistant',
+    content: `Message ${id}`,
+    childIds,
+    activeChildId: childIds[0] || null
+  };
+}
+
+/**
+ * Creates the JSON export of a conversation: a question, two answers to it and a follow-up on the first
+ * @param {Function} [change] - Alters the tree before it is written out
+ * @returns {string} - The file content
+ */
+function exportWith(change = () => {}) {
+  const tree = {
+    nodes: {
+      u1: node('u1', null, ['a1', 'a2']),
+      a1: node('a1', 'u1'),
+      a2: node('a2', 'u1', ['u2']),
+      u2: node('u2', 'a2')
+    },
+    rootIds: ['u1'],
+    activeRootId: 'u1'
+  };
+  change(tree);
+  return JSON.stringify({
+    format: 'simple-ai-agent-conversation',
+    version: 1,
+    conversation: { title: 'Imported', model: 'gpt-4.1-mini', tree }
+  });
+}
+
+test('imports a well-formed tree', () => {
+  const conversation = ConversationExport.fromJSON(exportWith());
+  assert.equal(conversation.title, 'Imported');
+  assert.deepEqual(Object.keys(conversation.tree.nodes), ['u1', 'a1', 'a2', 'u2']);
+});
+
+test('drops malformed attachments', () => {
+  const conversation = ConversationExport.fromJSON(exportWith(tree => {
+    tree.nodes.u1.attachments = [{ kind: 'text', name: 'notes.txt', text: 'hi' }, { kind: 'image', name: 'x.png' }];
+  }));
+  assert.equal(conversation.tree.nodes.u1.attachments.length, 1);
+  assert.equal(conversation.tree.nodes.u1.attachments[0].name, 'notes.txt');
+});
+
+test('drops malformed usage, keeping well-formed usage and its cost', () => {
+  const conversation = ConversationExport.fromJSON(exportWith(tree => {
+    tree.nodes.a1.usage = { promptTokens: 10, completionTokens: 5, totalTokens: 15 };
+    tree.nodes.a1.cost = 0.01;
+    tree.nodes.a2.usage = { promptTokens: '10', completionTokens: 5, totalTokens: 15 };
+    tree.nodes.a2.cost = 0.01;
+  }));
+  const { a1, a2 } = conversation.tree.nodes;
+  assert.deepEqual([a1.usage.promptTokens, a1.usage.completionTokens, a1.usage.totalTokens, a1.usage.reasoningTokens],
+    [10, 5, 15, 0]);
+  assert.equal(a1.cost, 0.01);
+  assert.equal(a2.usage, undefined);
+  assert.equal(a2.cost, undefined);
+});
+
+test('drops malformed tool steps', () => {
+  const steps = [{ text: '', calls: [{ id: 'c1', name: 'calculator', arguments: { expression: '1+1' }, result: 2 }] }];
+  const conversation = ConversationExport.fromJSON(exportWith(tree => {
+    tree.nodes.a1.toolSteps = steps;
+    tree.nodes.a2.toolSteps = [{ text: '', calls: 'calculator' }];
+    tree.nodes.u2.toolSteps = [{ text: '', calls: [null] }];
+  }));
+  const { a1, a2, u2 } = conversation.tree.nodes;
+  assert.equal(a1.toolSteps.length, 1);
+  assert.equal(a1.toolSteps[0].calls[0].name, 'calculator');
+  assert.equal(a2.toolSteps, undefined);
+  assert.equal(u2.toolSteps, undefined);
+});
+
+test('drops reasoning and model names that are not text', () => {
+  const conversation = ConversationExport.fromJSON(exportWith(tree => {
+    Object.assign(tree.nodes.a1, { reasoning: 'Thinking it over', model: 'gpt-4.1-mini' });
+    Object.assign(tree.nodes.a2, { reasoning: { text: 'x' }, model: 42 });
+  }));
+  const { a1, a2 } = conversation.tree.nodes;
+  assert.equal(a1.reasoning, 'Thinking it over');
+  assert.equal(a1.model, 'gpt-4.1-mini');
+  assert.equal(a2.reasoning, undefined);
+  assert.equal(a2.model, undefined);
+});
+
+test('drops context summaries that are not text', () => {
+  const file = JSON.parse(exportWith());
+  file.conversation.contextSummaries = { a1: 'The story so far', a2: { text: 'x' }, u2: null };
+  const conversation = ConversationExport.fromJSON(JSON.stringify(file));
+  assert.deepEqual(Object.keys(conversation.contextSummaries), ['a1']);
+  assert.equal(conversation.contextSummaries.a1, 'The story so far');
+});
+
+test('rejects files that are not conversation exports', () => {
+  assert.throws(() => ConversationExport.fromJSON('not json'), /not valid JSON/);
+  assert.throws(() => ConversationExport.fromJSON('{"format":"other"}'), /not a conversation export/);
+});
+
+test('rejects malformed messages', () => {
+  assert.throws(() => ConversationExport.fromJSON(exportWith(tree => { tree.nodes.a1.role = 'system'; })),
+    /malformed message/);
+  assert.throws(() => ConversationExport.fromJSON(exportWith(tree => { tree.nodes.u1.attachments = 'x'; })),
+    /malformed message/);
+});
+
+const BROKEN_LINKS = {
+  'a missing child': tree => { tree.nodes.u2.childIds = ['gone']; },
+  'a child whose parent is another node': tree => { tree.nodes.a1.parentId = 'a2'; },
+  'a parent that does not list the node': tree => { tree.nodes.u1.childIds = ['a2']; },
+  'an active child that is not a child': tree => { tree.nodes.u2.activeChildId = 'u1'; },
+  'an active root that is not a root': tree => { tree.activeRootId = 'a1'; },
+  'a root with a parent': tree => { tree.rootIds = ['u1', 'a1']; },
+  'a root listed twice': tree => { tree.rootIds = ['u1', 'u1']; },
+  'a loop': tree => {
+    tree.nodes.u1.parentId = 'u2';
+    tree.nodes.u2.childIds = ['u1'];
+  },
+  'an unreachable node': tree => { tree.nodes.x1 = node('x1', null); }
+};
+
+Object.entries(BROKEN_LINKS).forEach(([name, change]) => {
+  test(`rejects a tree with ${name}`, () => {
+    assert.throws(() => ConversationExport.fromJSON(exportWith(change)), /not linked up correctly/);
+  });
+});
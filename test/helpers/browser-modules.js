@@ -0,0 +1,34 @@
+/**
+ * Loads the web app's browser modules into a sandbox, the way the page's <script> tags do,
+ * so they can be tested under Node
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const JS_DIR = path.join(__dirname, '..', '..', 'public', 'js');
+
+/**
+ * Runs browser modules in one sandbox, in order
+ * Each file declares one module (const Name = ...); later files see the earlier ones
+ * @param {Array<string>} files - The module files, relative to public/js
+ * @param {Object} [globals] - Browser globals the modules use (e.g. window)
+ * @returns {Object} - The modules by name
+ */
+function loadBrowserModules(files, globals = {}) {
+  const context = vm.createContext({ console, ...globals });
+  const modules = {};
+
+  files.forEach(file => {
+    const source = fs.readFileSync(path.join(JS_DIR, file), 'utf8');
+    vm.runInContext(source, context, { filename: file });
+
+    const name = source.match(/^const (\w+) =/m)[1];
+    modules[name] = vm.runInContext(name, context);
+  });
+
+  return modules;
+}
+
+module.exports = { loadBrowserModules };
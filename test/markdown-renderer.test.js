@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadBrowserModules } = require('./helpers/browser-modules');
+
+const { MarkdownRenderer } = loadBrowserModules(['syntax-highlighter.js', 'markdown-renderer.js']);
+
+test('renders emphasis and escapes code spans', () => {
+  assert.equal(MarkdownRenderer.render('**bold** and *it* `x<y`'),
+    '<p><strong>bold</strong> and <em>it</em> <code>x&lt;y</code></p>');
+});
+
+test('escapes HTML in the text', () => {
+  assert.equal(MarkdownRenderer.render('<script>alert(1)</script>'), '<p>&lt;script&gt;alert(1)&lt;/script&gt;</p>');
+});
+
+test('renders headings and lists', () => {
+  assert.equal(MarkdownRenderer.render('# Title'), '<h1>Title</h1>');
+  assert.equal(MarkdownRenderer.render('- one\n- two'), '<ul><li>one</li><li>two</li></ul>');
+});
+
+test('opens links in a new tab and drops unsafe URLs', () => {
+  assert.equal(MarkdownRenderer.render('[docs](https://example.com "Docs")'),
+    '<p><a href="https://example.com" target="_blank" rel="noopener noreferrer">docs</a></p>');
+  assert.equal(MarkdownRenderer.render('[x](javascript:alert(1))'), '<p>x</p>');
+});
+
+test('keeps code spans in link labels', () => {
+  assert.equal(MarkdownRenderer.render('[`a`](http://b)'),
+    '<p><a href="http://b" target="_blank" rel="noopener noreferrer"><code>a</code></a></p>');
+  assert.equal(MarkdownRenderer.renderInline('[a `b` c](https://example.com)'),
+    '<a href="https://example.com" target="_blank" rel="noopener noreferrer">a <code>b</code> c</a>');
+});
+
+test('highlights fenced code blocks', () => {
+  const html = MarkdownRenderer.render('```js\nlet a = 1;\n```');
+  assert.match(html, /^<div class="code-block" data-language="js">/);
+  assert.match(html, /<span class="hl-keyword">let<\/span> a = <span class="hl-number">1<\/span>;/);
+});
+
+test('never puts held HTML inside a link URL', () => {
+  assert.equal(MarkdownRenderer.render('https://x.com[a](https:/onmouseover=alert(1)//)'),
+    '<p><a href="https://x.com" target="_blank" rel="noopener noreferrer">https://x.com</a>' +
+    '<a href="https:/onmouseover=alert(1)//" target="_blank" rel="noopener noreferrer">a</a></p>');
+
+  ['https://x.com`code`', 'https://x.com\\*', '[a](https://x.com`b`)'].forEach(text => {
+    MarkdownRenderer.render(text).match(/<a [^>]*>/g).forEach(tag =>
+      assert.match(tag, /^<a href="[^"<>]*" target="_blank" rel="noopener noreferrer">$/, text));
+  });
+});
@@ -0,0 +1,30 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadBrowserModules } = require('./helpers/browser-modules');
+
+const { Pricing } = loadBrowserModules(['pricing.js']);
+
+test('prices listed models', () => {
+  assert.equal(Pricing.getPrice('gpt-4.1-mini').input, 0.40);
+  assert.equal(Pricing.getPrice('gemini-2.5-pro').output, 10.00);
+});
+
+test('prices dated and versioned IDs by the longest listed family', () => {
+  assert.equal(Pricing.getPrice('gpt-4.1-mini-2025-04-14'), Pricing.getPrice('gpt-4.1-mini'));
+  assert.equal(Pricing.getPrice('gpt-4.1-2025-04-14'), Pricing.getPrice('gpt-4.1'));
+  assert.equal(Pricing.getPrice('gemini-2.0-flash-lite-001'), Pricing.getPrice('gemini-2.0-flash-lite'));
+});
+
+test('has no price for unknown models', () => {
+  assert.equal(Pricing.getPrice('my-local-model'), null);
+  assert.equal(Pricing.getPrice('gpt-4.10'), null);
+  assert.equal(Pricing.getPrice(undefined), null);
+  assert.equal(Pricing.calculateCost('my-local-model', { promptTokens: 10, completionTokens: 10 }), null);
+});
+
+test('calculates and formats costs', () => {
+  const cost = Pricing.calculateCost('gpt-4.1', { promptTokens: 1000000, completionTokens: 500000 });
+  assert.equal(cost, 6);
+  assert.equal(Pricing.formatCost(cost), '$6.00');
+  assert.equal(Pricing.formatCost(0.00425), '$0.0043');
+});
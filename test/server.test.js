@@ -0,0 +1,231 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { createApp } = require('../server');
+const { loadConfig } = require('../server/config');
+const { createUserStore } = require('../server/users');
+
+const USERNAME = 'tester';
+const PASSWORD = 'correct horse battery';
+
+let server;
+let baseUrl;
+let dataDir;
+
+/**
+ * Starts the app with the mock providers on a free port
+ * The port is known before the config is loaded, since the chat proxy calls the mock providers through it
+ * @param {Object} [overrides] - Config values for the test
+ * @param {string} [host] - The address to listen on
+ * @returns {Promise<Object>} - The server and its config
+ */
+async function startServer(overrides = {}, host = '127.0.0.1') {
+  const httpServer = http.createServer();
+  await new Promise(resolve => httpServer.listen(0, host, resolve));
+
+  const config = loadConfig({
+    port: httpServer.address().port,
+    usersFile: path.join(dataDir, 'users.json'),
+    mockProviders: true,
+    mockFixturesFile: path.join(__dirname, 'fixtures', 'mock-fixtures.json'),
+    ...overrides
+  }, { CONFIG_FILE: path.join(dataDir, 'config.json') });
+
+  httpServer.on('request', createApp(config, createUserStore(config.usersFile)));
+  return { httpServer, config };
+}
+
+/**
+ * Sends a request to the test server
+ * @param {string} urlPath - The path, sent as it is (percent-encoding included)
+ * @param {Object} [options] - fetch options; a body object is sent as JSON
+ * @returns {Promise<Response>} - The response
+ */
+function request(urlPath, options = {}) {
+  const headers = { ...options.headers };
+  let body = options.body;
+  if (body && typeof body === 'object') {
+    headers['Content-Type'] = 'application/json';
+    body = JSON.stringify(body);
+  }
+  return fetch(`${baseUrl}${urlPath}`, { ...options, headers, body });
+}
+
+/**
+ * Logs in as the test user
+ * @returns {Promise<string>} - The session cookie, to send with later requests
+ */
+async function login() {
+  const res = await request('/api/login', { method: 'POST', body: { username: USERNAME, password: PASSWORD } });
+  assert.equal(res.status, 200);
+  return res.headers.get('set-cookie').split(';')[0];
+}
+
+/**
+ * Sends a chat request through the proxy
+ * @param {string} cookie - The session cookie
+ * @param {string} text - The user message
+ * @param {boolean} [stream] - Whether to stream the reply
+ * @returns {Promise<Response>} - The response
+ */
+function chat(cookie, text, stream = false) {
+  return request(stream ? '/api/chat/stream' : '/api/chat', {
+    method: 'POST',
+    headers: { Cookie: cookie },
+    body: { provider: 'openai', model: 'gpt-4.1-mini', payload: { messages: [{ role: 'user', content: text }] } }
+  });
+}
+
+test.before(async () => {
+  dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'chat-agent-test-'));
+  await createUserStore(path.join(dataDir, 'users.json')).setPassword(USERNAME, PASSWORD);
+
+  ({ httpServer: server } = await startServer());
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(() => {
+  server.close();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('logs in and reports the session', async () => {
+  const cookie = await login();
+  const res = await request('/api/session', { headers: { Cookie: cookie } });
+  assert.equal(res.status, 200);
+  assert.deepEqual(await res.json(), { username: USERNAME, maxRequestBytes: 25 * 1024 * 1024 });
+});
+
+test('rejects a wrong password and requests without a session', async () => {
+  const res = await request('/api/login', { method: 'POST', body: { username: USERNAME, password: 'wrong password' } });
+  assert.equal(res.status, 401);
+  assert.equal((await request('/api/session')).status, 401);
+  assert.equal((await chat('chat_session=forged', 'hello')).status, 401);
+});
+
+test('rejects a session cookie that is not valid percent-encoding', async () => {
+  assert.equal((await request('/api/session', { headers: { Cookie: 'chat_session=%E0' } })).status, 401);
+});
+
+test('reads no chat request body before the session is checked', async () => {
+  const res = await request('/api/chat', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: '{ not json'
+  });
+  assert.equal(res.status, 401);
+});
+
+test('limits the size of login requests', async () => {
+  const res = await request('/api/login', { method: 'POST', body: { username: USERNAME, password: 'x'.repeat(20000) } });
+  assert.equal(res.status, 413);
+});
+
+test('logs out', async () => {
+  const cookie = await login();
+  assert.equal((await request('/api/logout', { method: 'POST', headers: { Cookie: cookie } })).status, 204);
+  assert.equal((await request('/api/session', { headers: { Cookie: cookie } })).status, 401);
+});
+
+test('proxies a chat request to the provider', async () => {
+  const res = await chat(await login(), 'hello');
+  assert.equal(res.status, 200);
+  assert.equal((await res.json()).choices[0].message.content, 'Hello from the mock');
+});
+
+test('proxies a streamed reply', async () => {
+  const res = await chat(await login(), 'hello', true);
+  assert.equal(res.status, 200);
+  assert.match(res.headers.get('content-type'), /^text\/event-stream/);
+
+  const text = await res.text();
+  const content = text.split('\n')
+    .filter(line => line.startsWith('data: {'))
+    .map(line => JSON.parse(line.slice(6)).choices[0]?.delta?.content || '')
+    .join('');
+  assert.equal(content, 'Hello from the mock');
+  assert.match(text, /data: \[DONE\]/);
+});
+
+test('passes on a provider rate limit with its Retry-After', async () => {
+  const res = await chat(await login(), 'rate limit');
+  assert.equal(res.status, 429);
+  assert.equal(res.headers.get('retry-after'), '3');
+  assert.equal((await res.json()).error.code, 'rate_limit_exceeded');
+});
+
+test('turns a rejected provider key into a 403, so the session stays', async () => {
+  const res = await chat(await login(), 'bad key');
+  assert.equal(res.status, 403);
+});
+
+test('rejects unknown providers and invalid models', async () => {
+  const cookie = await login();
+  const unknown = await request('/api/chat', { method: 'POST', headers: { Cookie: cookie }, body: { provider: 'nope' } });
+  assert.equal(unknown.status, 400);
+
+  const invalid = await request('/api/chat', {
+    method: 'POST',
+    headers: { Cookie: cookie },
+    body: { provider: 'openai', model: '../models', payload: {} }
+  });
+  assert.equal(invalid.status, 400);
+});
+
+test('limits requests per user', async () => {
+  const { httpServer } = await startServer({ rateLimitMaxRequests: 1 });
+  const limitedUrl = `http://127.0.0.1:${httpServer.address().port}`;
+  try {
+    const res = await fetch(`${limitedUrl}/api/login`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ username: USERNAME, password: PASSWORD })
+    });
+    const cookie = res.headers.get('set-cookie').split(';')[0];
+    const send = () => fetch(`${limitedUrl}/api/models?provider=openai`, { headers: { Cookie: cookie } });
+
+    assert.equal((await send()).status, 200);
+    assert.equal((await send()).status, 429);
+  } finally {
+    httpServer.close();
+  }
+});
+
+test('serves the web app', async () => {
+  for (const urlPath of ['/', '/css/styles.css', '/js/app.js', '/og_img.jpg']) {
+    assert.equal((await request(urlPath)).status, 200, urlPath);
+  }
+});
+
+test('never serves the config, user data or server code', async () => {
+  const paths = [
+    '/config.json', '/package.json', '/server.js', '/config.example.json', '/server/config.js', '/data/users.json',
+    '/%63onfig.json', '/%73erver.js', '/%64ata/users.json', '/%2e%2e/package.json', '/js/..%2f..%2fserver.js'
+  ];
+  for (const urlPath of paths) {
+    assert.equal((await request(urlPath)).status, 404, urlPath);
+  }
+});
+
+test('answers mock provider requests only from this machine', async t => {
+  assert.equal((await request('/mock/openai/v1/models')).status, 200);
+
+  // Reach the server from one of this machine's network addresses, as another machine would
+  const address = Object.values(os.networkInterfaces()).flat()
+    .find(item => item.family === 'IPv4' && !item.internal);
+  if (!address) {
+    t.skip('no network address to connect from');
+    return;
+  }
+
+  const { httpServer } = await startServer({}, address.address);
+  try {
+    const res = await fetch(`http://${address.address}:${httpServer.address().port}/mock/openai/v1/models`);
+    assert.equal(res.status, 404);
+  } finally {
+    httpServer.close();
+  }
+});
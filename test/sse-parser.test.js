@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadBrowserModules } = require('./helpers/browser-modules');
+
+// Events that aren't JSON are logged and skipped; the tests feed some on purpose
+const quietConsole = { ...console, error: () => {} };
+const { SSEParser } = loadBrowserModules(['api-error.js', 'sse-parser.js'], { TextDecoder, console: quietConsole });
+
+/**
+ * Feeds a stream to a parser in pieces
+ * @param {Array<string>} pieces - The stream's text as it arrives
+ * @returns {Array<Object>} - The dispatched events
+ */
+function parse(pieces) {
+  const events = [];
+  const parser = SSEParser.createParser(event => events.push(event));
+  pieces.forEach(piece => parser.feed(piece));
+  return events;
+}
+
+/**
+ * Creates a streamed response
+ * @param {string} text - The response body
+ * @returns {Response} - The response
+ */
+function streamOf(text) {
+  return new Response(text, { headers: { 'Content-Type': 'text/event-stream' } });
+}
+
+/**
+ * Reads every JSON event of a response
+ * @param {string} text - The response body
+ * @returns {Promise<Array<Object>>} - The events
+ */
+async function readAll(text) {
+  const events = [];
+  for await (const event of SSEParser.readJSON(streamOf(text))) {
+    events.push(event);
+  }
+  return events;
+}
+
+test('dispatches an event at each blank line', () => {
+  const events = parse(['data: one\n\ndata: two\n\n']);
+  assert.deepEqual(events.map(event => event.data), ['one', 'two']);
+  assert.equal(events[0].type, 'message');
+});
+
+test('joins a CRLF split across chunks', () => {
+  const events = parse(['data: one\r', '\n\r', '\ndata: two\r\n\r\n']);
+  assert.deepEqual(events.map(event => event.data), ['one', 'two']);
+});
+
+test('skips comments and joins multi-line data', () => {
+  const events = parse([': keep-alive\n', 'event: update\ndata: first\ndata: second\nid: 7\n\n']);
+  assert.equal(events.length, 1);
+  assert.equal(events[0].type, 'update');
+  assert.equal(events[0].data, 'first\nsecond');
+  assert.equal(events[0].id, '7');
+});
+
+test('drops an event the stream ends in the middle of', () => {
+  assert.deepEqual(parse(['data: one\n\ndata: cut']).map(event => event.data), ['one']);
+});
+
+test('reads JSON events and the [DONE] sentinel', async () => {
+  const events = await readAll('data: {"a":1}\n\ndata: not json\n\ndata: [DONE]\n\n');
+  assert.equal(events.length, 2);
+  assert.equal(events[0].data.a, 1);
+  assert.equal(events[1].done, true);
+});
+
+test('throws error events as typed errors', async () => {
+  await assert.rejects(readAll('data: {"a":1}\n\ndata: {"error":{"code":429,"message":"Slow down"}}\n\n'),
+    error => error.type === 'rate_limit' && error.message.includes('Slow down'));
+  await assert.rejects(readAll('event: error\ndata: upstream failed\n\n'), error => error.type === 'server');
+});